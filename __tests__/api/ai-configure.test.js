@@ -0,0 +1,149 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createAiConfigureHandler } from '@/pages/api/ai-configure';
+import { createStubBackend, parseConfigReply, resolveModelBackend } from '@/lib/gemini';
+import { getLightingScene } from '@/lib/lightingScenes';
+import { getDefaultConfig } from '@/lib/verandaConfig';
+import { callHandler, silenceConsole } from '../helpers';
+
+describe('POST /api/ai-configure', () => {
+  beforeEach(silenceConsole);
+
+  it('answers other methods with 405 and an Allow header', async () => {
+    const handler = createAiConfigureHandler(() => createStubBackend());
+    const res = await callHandler(handler, { method: 'GET' });
+
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.Allow).toBe('POST');
+    expect(res.body.success).toBe(false);
+  });
+
+  it.each([
+    ['no body', undefined],
+    ['no text', { history: [] }],
+    ['blank text', { text: '   ' }],
+    ['text that is not a string', { text: 42 }]
+  ])('rejects %s with 400', async (_, body) => {
+    const handler = createAiConfigureHandler(() => createStubBackend());
+    const res = await callHandler(handler, { body });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, error: 'Missing request text' });
+  });
+
+  it('returns the validated config from the backend', async () => {
+    const handler = createAiConfigureHandler(() => createStubBackend({ width: 7, depth: 3.5, metalMaterial: 'black' }));
+    const res = await callHandler(handler, { body: { text: 'A black veranda of 7 by 3.5 metres' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.config).toMatchObject({ width: 7, depth: 3.5, metalMaterial: 'black' });
+    expect(res.body.issues).toEqual([]);
+  });
+
+  it('reports the fields it had to clamp', async () => {
+    const handler = createAiConfigureHandler(() => createStubBackend({ width: 40 }));
+    const res = await callHandler(handler, { body: { text: 'Very wide' } });
+
+    expect(res.body.config.width).toBe(15);
+    expect(res.body.issues).toEqual([expect.objectContaining({ field: 'width', action: 'clamped', applied: 15 })]);
+  });
+
+  it('expands a lighting scene preset name to the preset', async () => {
+    const handler = createAiConfigureHandler(() => createStubBackend({ lightsOn: true, lightingScene: ' Dinner ' }));
+    const res = await callHandler(handler, { body: { text: 'Cosy lights for dinner' } });
+
+    expect(res.body.config.lightingScene).toEqual(getLightingScene('dinner'));
+    expect(res.body.issues).toEqual([]);
+  });
+
+  it('accepts a custom lighting scene object', async () => {
+    const scene = { brightness: 0.333, kelvin: 2900.4, zones: ['perimeter', 'front'] };
+    const handler = createAiConfigureHandler(() => createStubBackend({ lightingScene: scene }));
+    const res = await callHandler(handler, { body: { text: 'Dim warm lights along the edge' } });
+
+    expect(res.body.config.lightingScene).toEqual({ preset: 'custom', brightness: 0.33, kelvin: 2900, zones: ['front', 'perimeter'] });
+  });
+
+  it.each([
+    ['an unknown preset name', 'disco', /is not one of everyday, dinner, reading, party/],
+    ['an object with an unknown preset', { preset: 'disco', brightness: 0.5, zones: ['front'] }, /unknown preset/],
+    ['a brightness out of range', { brightness: 2, zones: ['front'] }, /brightness/],
+    ['an unknown zone', { brightness: 0.5, zones: ['garden'] }, /zones/]
+  ])('rejects %s and leaves the lighting scene out', async (_, lightingScene, reason) => {
+    const handler = createAiConfigureHandler(() => createStubBackend({ lightsOn: true, lightingScene }));
+    const res = await callHandler(handler, { body: { text: 'Party lights' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.config).not.toHaveProperty('lightingScene');
+    expect(res.body.config.lightsOn).toBe(true);
+    expect(res.body.issues).toEqual([expect.objectContaining({ field: 'lightingScene', action: 'rejected', reason: expect.stringMatching(reason) })]);
+  });
+
+  it('sends the user text and trimmed history to the backend', async () => {
+    const prompts = [];
+    const handler = createAiConfigureHandler(() => createStubBackend((prompt) => {
+      prompts.push(prompt);
+      return getDefaultConfig();
+    }));
+    const history = [{ role: 'user', content: 'one' }, { role: 'assistant', content: 'two' }, { role: 'user', content: 'three' }];
+    await callHandler(handler, { body: { text: '  Glass roof please  ', history } });
+
+    expect(prompts[0]).toContain('USER REQUEST: "Glass roof please"');
+    expect(prompts[0]).toContain('"content":"three"');
+    expect(prompts[0]).not.toContain('"content":"one"');
+  });
+
+  it('answers a failing backend with 502 and the default config as fallback', async () => {
+    const handler = createAiConfigureHandler(() => ({
+      name: 'broken',
+      generate: async () => { throw new Error('API key not configured.'); }
+    }));
+    const res = await callHandler(handler, { body: { text: 'Anything' } });
+
+    expect(res.statusCode).toBe(502);
+    expect(res.body).toEqual({ success: false, error: 'API key not configured.', fallbackConfig: getDefaultConfig() });
+  });
+
+  it('answers a backend that cannot be set up with 500', async () => {
+    const handler = createAiConfigureHandler(() => { throw new Error('Unknown backend'); });
+    const res = await callHandler(handler, { body: { text: 'Anything' } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ success: false, error: 'AI backend is not available', fallbackConfig: getDefaultConfig() });
+  });
+
+  it('answers a reply that is not JSON with 502', async () => {
+    const handler = createAiConfigureHandler(() => createStubBackend('Sorry, I cannot help with that'));
+    const res = await callHandler(handler, { body: { text: 'Anything' } });
+
+    expect(res.statusCode).toBe(502);
+    expect(res.body.success).toBe(false);
+  });
+});
+
+describe('stub model backend', () => {
+  it('replies with the default config unless told otherwise', async () => {
+    const reply = await createStubBackend().generate('prompt');
+    expect(JSON.parse(reply)).toEqual(getDefaultConfig());
+  });
+
+  it('passes strings through and serialises objects', async () => {
+    expect(await createStubBackend('{"width":6}').generate('prompt')).toBe('{"width":6}');
+    expect(await createStubBackend({ width: 6 }).generate('prompt')).toBe('{"width":6}');
+  });
+
+  it('calls a reply function with the prompt', async () => {
+    const backend = createStubBackend(async (prompt) => ({ width: prompt.length > 0 ? 8 : 3 }));
+    expect(JSON.parse(await backend.generate('prompt'))).toEqual({ width: 8 });
+  });
+
+  it('is picked by AI_MODEL_BACKEND=stub', () => {
+    expect(resolveModelBackend({ AI_MODEL_BACKEND: 'stub' }).name).toBe('stub');
+    expect(resolveModelBackend({ GEMINI_API_KEY: 'key' }).name).toBe('gemini:gemini-2.5-flash');
+  });
+
+  it('produces replies parseConfigReply accepts, including fenced JSON', async () => {
+    const reply = await createStubBackend('```json\n{"glassType":"sixfold"}\n```').generate('prompt');
+    expect(parseConfigReply(reply).config.glassType).toBe('sixfold');
+  });
+});
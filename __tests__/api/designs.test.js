@@ -0,0 +1,141 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { createDesignsHandler } from '@/pages/api/designs';
+import { createDesignHandler } from '@/pages/api/designs/[id]';
+import { createMemoryDesignStore } from '@/lib/designStore';
+import { callHandler, silenceConsole } from '../helpers';
+
+const OWNER = 'owner-1234abcd';
+const OTHER_OWNER = 'owner-5678efgh';
+const UNKNOWN_ID = '00000000-0000-4000-8000-000000000000';
+
+const design = {
+  name: 'Garden room',
+  config: { width: 6, depth: 3.5, metalMaterial: 'black' },
+  pricing: { total: { retail: 5000 } }
+};
+
+describe('/api/designs', () => {
+  let store;
+  let designs;
+  let designById;
+
+  beforeEach(() => {
+    silenceConsole();
+    store = createMemoryDesignStore();
+    designs = createDesignsHandler(() => store);
+    designById = createDesignHandler(() => store);
+  });
+
+  const create = (body = design, ownerId = OWNER) =>
+    callHandler(designs, { method: 'POST', body, headers: { 'x-designer-id': ownerId } });
+
+  it('creates a design and fetches it by id', async () => {
+    const created = await create();
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body.design).toMatchObject({ ownerId: OWNER, name: 'Garden room', config: design.config });
+
+    const fetched = await callHandler(designById, {
+      method: 'GET',
+      query: { id: created.body.design.id },
+      headers: { 'x-designer-id': OWNER }
+    });
+    expect(fetched.statusCode).toBe(200);
+    expect(fetched.body.design).toEqual(created.body.design);
+  });
+
+  it('lists only the designs of the owner', async () => {
+    await create();
+    await create({ ...design, name: 'Other' }, OTHER_OWNER);
+
+    const res = await callHandler(designs, { method: 'GET', headers: { 'x-designer-id': OWNER } });
+    expect(res.body.designs.map(entry => entry.name)).toEqual(['Garden room']);
+  });
+
+  it('keeps only the valid config fields', async () => {
+    const res = await create({ ...design, config: { width: 99, glassType: 'ninefold', unknown: true } });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.design.config).toEqual({ width: 15 });
+  });
+
+  it.each([
+    ['a missing name', { config: design.config }, 'Design name is required'],
+    ['a config with no valid fields', { name: 'Empty', config: { glassType: 'ninefold' } }, 'Design configuration is missing or invalid'],
+    ['no config', { name: 'Empty' }, 'Design configuration is missing or invalid'],
+    ['a thumbnail that is not an image', { ...design, thumbnail: 'https://example.com/a.png' }, 'Thumbnail must be an image data URL under 300KB']
+  ])('rejects %s with 400', async (_, body, error) => {
+    const res = await create(body);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error });
+  });
+
+  it('requires an x-designer-id header', async () => {
+    const res = await callHandler(designs, { method: 'GET' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('answers other methods with 405', async () => {
+    const res = await callHandler(designs, { method: 'DELETE', headers: { 'x-designer-id': OWNER } });
+
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.Allow).toBe('GET, POST');
+  });
+
+  describe('/api/designs/:id', () => {
+    const request = (method, id, body, ownerId = OWNER) =>
+      callHandler(designById, { method, body, query: { id }, headers: { 'x-designer-id': ownerId } });
+
+    it('answers 404 for an unknown id', async () => {
+      const res = await request('GET', UNKNOWN_ID);
+
+      expect(res.statusCode).toBe(404);
+      expect(res.body).toEqual({ error: 'Design not found' });
+    });
+
+    it('answers 404 for an id that is not a uuid', async () => {
+      for (const id of ['42', 'not-a-uuid', ['a', 'b']]) {
+        expect((await request('GET', id)).statusCode).toBe(404);
+      }
+    });
+
+    it("hides another owner's design", async () => {
+      const created = await create();
+      const res = await request('GET', created.body.design.id, undefined, OTHER_OWNER);
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('updates only the given fields', async () => {
+      const created = await create();
+      const res = await request('PUT', created.body.design.id, { name: 'Renamed' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.design).toMatchObject({ name: 'Renamed', config: design.config });
+    });
+
+    it('rejects an update with an invalid config', async () => {
+      const created = await create();
+      const res = await request('PUT', created.body.design.id, { config: { width: 'wide' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ error: 'Design configuration is missing or invalid' });
+    });
+
+    it('deletes a design once', async () => {
+      const created = await create();
+
+      expect((await request('DELETE', created.body.design.id)).statusCode).toBe(204);
+      expect((await request('DELETE', created.body.design.id)).statusCode).toBe(404);
+      expect((await request('GET', created.body.design.id)).statusCode).toBe(404);
+    });
+
+    it('answers 500 when the store fails', async () => {
+      const failing = createDesignHandler(() => ({ get: async () => { throw new Error('Connection lost'); } }));
+      const res = await callHandler(failing, { method: 'GET', query: { id: UNKNOWN_ID }, headers: { 'x-designer-id': OWNER } });
+
+      expect(res.statusCode).toBe(500);
+      expect(res.body).toEqual({ error: 'Could not access saved design' });
+    });
+  });
+});
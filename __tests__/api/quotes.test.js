@@ -0,0 +1,120 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createQuotesHandler } from '@/pages/api/quotes';
+import { createMemoryQuoteStore } from '@/lib/quoteStore';
+import { buildBillOfMaterials } from '@/lib/billOfMaterials';
+import { PriceCalculator, priceConfiguration } from '@/lib/priceCalculator';
+import { getDefaultConfig } from '@/lib/verandaConfig';
+import { callHandler, silenceConsole } from '../helpers';
+
+const customer = {
+  name: 'Anna de Vries',
+  email: 'Anna@Example.nl',
+  postcode: '3511ab',
+  installAddress: 'Oudegracht 1, Utrecht',
+  notes: 'Please call first'
+};
+
+const config = { width: 5, depth: 3, height: 2.5, productLine: 'castor', roofType: 'polycarbonate' };
+
+// The breakdown the configurator would send for this design
+const browserPricing = (input = config) => priceConfiguration(input, { postcode: customer.postcode }).pricing;
+
+describe('POST /api/quotes', () => {
+  let store;
+  let handler;
+
+  beforeEach(() => {
+    silenceConsole();
+    store = createMemoryQuoteStore();
+    handler = createQuotesHandler(() => store);
+  });
+
+  it('stores the request with a quote number and the server price', async () => {
+    const res = await callHandler(handler, { body: { customer, config, pricing: browserPricing() } });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.quote.quoteNumber).toMatch(/^Q-\d{8}-[A-Z2-9]{6}$/);
+
+    const stored = await store.get(res.body.quote.quoteNumber);
+    expect(stored.customer).toEqual({ ...customer, email: 'anna@example.nl', postcode: '3511 AB' });
+    expect(stored.config).toEqual(config);
+    expect(stored.pricing.total.retail).toBe(browserPricing().total.retail);
+    expect(stored.priceCheck.matches).toBe(true);
+  });
+
+  it('flags a browser price that differs from the server price', async () => {
+    const pricing = browserPricing();
+    const tampered = { ...pricing, total: { ...pricing.total, retail: 100 } };
+    const res = await callHandler(handler, { body: { customer, config, pricing: tampered } });
+
+    expect(res.statusCode).toBe(201);
+    const stored = await store.get(res.body.quote.quoteNumber);
+    expect(stored.priceCheck).toMatchObject({ matches: false, submittedTotal: 100 });
+    expect(stored.pricing.total.retail).toBe(pricing.total.retail);
+  });
+
+  it('agrees with the configurator on a custom RAL frame', async () => {
+    const ralConfig = { ...config, metalMaterial: 'ral', frameRal: '3004', frameFinish: 'matte' };
+    // As the configurator prices it: the parts list of its full state
+    const configuratorPricing = new PriceCalculator()
+      .calculateFromBillOfMaterials(buildBillOfMaterials({ ...getDefaultConfig(), ...ralConfig }), { postcode: customer.postcode });
+    const res = await callHandler(handler, { body: { customer, config: ralConfig, pricing: configuratorPricing } });
+
+    const stored = await store.get(res.body.quote.quoteNumber);
+    expect(configuratorPricing.frameColor).toMatchObject({ ral: '3004' });
+    expect(stored.pricing.frameColor.wholesale).toBe(configuratorPricing.frameColor.wholesale);
+    expect(stored.priceCheck).toMatchObject({ matches: true, difference: 0 });
+  });
+
+  it.each([
+    ['name', { ...customer, name: ' ' }],
+    ['email', { ...customer, email: 'anna@' }],
+    ['postcode', { ...customer, postcode: '123' }],
+    ['installAddress', { ...customer, installAddress: '' }]
+  ])('rejects an invalid %s with 400', async (field, invalidCustomer) => {
+    const res = await callHandler(handler, { body: { customer: invalidCustomer, config, pricing: browserPricing() } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.field).toBe(field);
+  });
+
+  it('rejects a config with no valid fields', async () => {
+    const res = await callHandler(handler, { body: { customer, config: { glassType: 'ninefold' }, pricing: browserPricing() } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.field).toBe('config');
+  });
+
+  it('rejects a request without a price breakdown', async () => {
+    const res = await callHandler(handler, { body: { customer, config } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.field).toBe('pricing');
+  });
+
+  it('rejects a design that cannot be built without storing it', async () => {
+    const tooHigh = { ...config, height: 3.4 };
+    const create = vi.spyOn(store, 'create');
+    const res = await callHandler(handler, { body: { customer, config: tooHigh, pricing: browserPricing(tooHigh) } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'structure', error: 'Castor posts are available up to 3m' });
+    expect(res.body.issues).toEqual([expect.objectContaining({ level: 'error', field: 'height' })]);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('answers other methods with 405', async () => {
+    const res = await callHandler(handler, { method: 'GET' });
+
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.Allow).toBe('POST');
+  });
+
+  it('answers 500 when the store fails', async () => {
+    const failing = createQuotesHandler(() => ({ create: async () => { throw new Error('Connection lost'); } }));
+    const res = await callHandler(failing, { body: { customer, config, pricing: browserPricing() } });
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ error: 'Could not submit your quote request' });
+  });
+});
@@ -0,0 +1,38 @@
+import { vi } from 'vitest';
+
+// Stand-in for the Next.js API response, recording what the handler sent
+export function createResponse() {
+  return {
+    statusCode: null,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+export async function callHandler(handler, { method = 'POST', body, query = {}, headers = {} } = {}) {
+  const res = createResponse();
+  await handler({ method, body, query, headers }, res);
+  return res;
+}
+
+// Handlers log with emoji on every call; keep the test output readable
+export function silenceConsole() {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+}
@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { billOfMaterialsToCSV, buildBillOfMaterials } from '@/lib/billOfMaterials';
+import { priceConfiguration } from '@/lib/priceCalculator';
+
+const castor = { productLine: 'castor', roofType: 'polycarbonate', width: 5, depth: 3, height: 2.5 };
+
+const lines = (bom, pattern) => bom.items
+  .filter(line => pattern.test(line.id))
+  .map(({ id, quantity, length, priceAs, partOf }) => ({ id, quantity, length, priceAs, partOf }));
+
+describe('buildBillOfMaterials posts and anchors', () => {
+  it('groups the posts of a wall-mounted veranda into corner and intermediate lines', () => {
+    const bom = buildBillOfMaterials(castor);
+
+    expect(lines(bom, /^posts-/)).toEqual([
+      { id: 'posts-front-corner', quantity: 2, length: 2500, priceAs: null, partOf: 'roof-kit' },
+      { id: 'posts-front-extra', quantity: 1, length: 2500, priceAs: 'post', partOf: null }
+    ]);
+  });
+
+  it('gives every post group its ground anchors, included where the posts are priced', () => {
+    const bom = buildBillOfMaterials(castor);
+
+    expect(lines(bom, /^ground-anchors-/)).toEqual([
+      { id: 'ground-anchors-front-corner', quantity: 2, length: null, priceAs: null, partOf: 'roof-kit' },
+      { id: 'ground-anchors-front-extra', quantity: 1, length: null, priceAs: null, partOf: 'posts-front-extra' }
+    ]);
+  });
+
+  it('anchors a wall-mounted veranda to the wall every 600mm', () => {
+    const wallAnchors = buildBillOfMaterials(castor).items.find(line => line.id === 'wall-anchors');
+    expect(wallAnchors).toMatchObject({ quantity: 10, partOf: 'roof-kit' });
+  });
+
+  it('adds a back row and no wall anchors to a freestanding veranda', () => {
+    const bom = buildBillOfMaterials({ ...castor, width: 6.5, verandaType: 'freestanding' });
+
+    expect(bom.structure.postsPerRow).toBe(4);
+    expect(lines(bom, /^posts-/).map(({ id, quantity }) => [id, quantity])).toEqual([
+      ['posts-front-corner', 2],
+      ['posts-front-extra', 2],
+      ['posts-back-corner', 2],
+      ['posts-back-extra', 2]
+    ]);
+    expect(lines(bom, /^ground-anchors-/).map(({ partOf }) => partOf))
+      .toEqual(['roof-kit', 'posts-front-extra', 'roof-kit', 'posts-back-extra']);
+    expect(bom.items.some(line => line.id === 'wall-anchors')).toBe(false);
+  });
+
+  it('leaves out intermediate posts when the corners carry the roof', () => {
+    const bom = buildBillOfMaterials({ ...castor, width: 3 });
+    expect(lines(bom, /^(posts|ground-anchors)-/).map(({ id }) => id)).toEqual(['posts-front-corner', 'ground-anchors-front-corner']);
+  });
+
+  it('prices the intermediate posts only', () => {
+    const { pricing } = priceConfiguration({ ...castor, width: 6.5, verandaType: 'freestanding' });
+    expect(pricing.structure).toMatchObject({ extraPosts: 4, posts: [{ quantity: 2 }, { quantity: 2 }] });
+  });
+});
+
+describe('billOfMaterialsToCSV', () => {
+  const line = (fields) => ({
+    category: 'fixing',
+    id: 'part',
+    description: 'Part',
+    quantity: 1,
+    unit: 'pcs',
+    length: null,
+    width: null,
+    height: null,
+    partOf: null,
+    meshes: [],
+    ...fields
+  });
+
+  it('writes a header and one row per line with empty cells for missing sizes', () => {
+    const csv = billOfMaterialsToCSV({ items: [line({ category: 'post', length: 2500, meshes: ['post1', 'post2'] })] });
+
+    expect(csv.split('\n')).toEqual([
+      'Category,Part,Description,Quantity,Unit,Length (mm),Width (mm),Height (mm),Included in,Meshes',
+      'Posts,part,Part,1,pcs,2500,,,,post1 post2'
+    ]);
+  });
+
+  it('quotes fields with commas and doubles the quotes inside them', () => {
+    const csv = billOfMaterialsToCSV({ items: [line({ description: 'Castor corner post, front row', partOf: 'Wall "A"' })] });
+    expect(csv.split('\n')[1]).toBe('Fixings,part,"Castor corner post, front row",1,pcs,,,,"Wall ""A""",');
+  });
+
+  it('quotes fields with line breaks', () => {
+    const csv = billOfMaterialsToCSV({ items: [line({ description: 'Two\nlines' })] });
+    expect(csv).toContain(',"Two\nlines",');
+  });
+
+  it('exports the real parts list with one row per line', () => {
+    const bom = buildBillOfMaterials(castor);
+    const rows = billOfMaterialsToCSV(bom).split('\n');
+
+    expect(rows).toHaveLength(bom.items.length + 1);
+    expect(rows).toContain('Fixings,ground-anchors-front-extra,"Ground anchor, front row",1,pcs,,,,posts-front-extra,');
+  });
+});
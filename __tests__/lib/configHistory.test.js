@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import { HISTORY_LIMIT, MERGE_WINDOW, canRedo, canUndo, configHistoryReducer, createHistory } from '@/lib/configHistory';
+
+const start = { width: 5, depth: 3, lightsOn: false };
+
+const run = (actions, history = createHistory(start)) => actions.reduce(configHistoryReducer, history);
+const change = (changes, time) => ({ type: 'change', changes, time });
+
+describe('configHistoryReducer merging', () => {
+  it('merges quick changes to the same fields into one step', () => {
+    const history = run([
+      change({ width: 5.1 }, 0),
+      change({ width: 5.2 }, MERGE_WINDOW - 1),
+      change({ width: 5.3 }, 2 * MERGE_WINDOW - 2)
+    ]);
+
+    expect(history.present.width).toBe(5.3);
+    expect(history.past).toEqual([start]);
+  });
+
+  it('starts a new step once the merge window has passed', () => {
+    const history = run([change({ width: 5.1 }, 0), change({ width: 5.2 }, MERGE_WINDOW)]);
+    expect(history.past.map(design => design.width)).toEqual([5, 5.1]);
+  });
+
+  it('starts a new step for other fields', () => {
+    const history = run([change({ width: 5.1 }, 0), change({ depth: 3.5 }, 10), change({ depth: 4, width: 6 }, 20)]);
+    expect(history.past).toHaveLength(3);
+  });
+
+  it('merges changes to the same fields given in another order', () => {
+    const history = run([change({ width: 6, depth: 4 }, 0), change({ depth: 4.5, width: 6.5 }, 10)]);
+    expect(history.past).toEqual([start]);
+  });
+
+  it('never merges an apply', () => {
+    const history = run([
+      { type: 'apply', changes: { width: 6 } },
+      change({ width: 6.1 }, 0),
+      { type: 'apply', changes: { width: 6.2 } },
+      change({ width: 6.3 }, 10)
+    ]);
+
+    expect(history.past.map(design => design.width)).toEqual([5, 6, 6.1, 6.2]);
+  });
+
+  it('drops the step when quick changes end where they started', () => {
+    const history = run([change({ lightsOn: true }, 0), change({ lightsOn: false }, 100)]);
+
+    expect(history.present).toEqual(start);
+    expect(canUndo(history)).toBe(false);
+  });
+});
+
+describe('configHistoryReducer no-op changes', () => {
+  it('returns the same history for a change that changes nothing', () => {
+    const history = createHistory(start);
+
+    expect(configHistoryReducer(history, change({ width: 5 }, 0))).toBe(history);
+    expect(configHistoryReducer(history, { type: 'apply', changes: { width: 5, depth: 3 } })).toBe(history);
+  });
+
+  it('keeps the redo stack after a no-op change', () => {
+    const history = run([change({ width: 6 }, 0), { type: 'undo' }, change({ width: 5 }, 10)]);
+    expect(canRedo(history)).toBe(true);
+  });
+
+  it('passes the present design to functional changes', () => {
+    const history = run([change(design => ({ width: design.width + 1 }), 0)]);
+    expect(history.present.width).toBe(6);
+  });
+});
+
+describe('configHistoryReducer undo and redo', () => {
+  const edited = run([change({ width: 6 }, 0), change({ depth: 4 }, 10), change({ lightsOn: true }, 20)]);
+
+  it('steps back and forward through the edits', () => {
+    const undone = run([{ type: 'undo' }, { type: 'undo' }], edited);
+    expect(undone.present).toEqual({ width: 6, depth: 3, lightsOn: false });
+    expect(undone.future).toHaveLength(2);
+
+    const redone = run([{ type: 'redo' }], undone);
+    expect(redone.present).toEqual({ width: 6, depth: 4, lightsOn: false });
+    expect(redone.past).toHaveLength(2);
+    expect(redone.future).toHaveLength(1);
+  });
+
+  it('drops the redo stack on a new edit', () => {
+    const history = run([{ type: 'undo' }, { type: 'undo' }, change({ height: 2.8 }, 30)], edited);
+
+    expect(history.present).toEqual({ width: 6, depth: 3, lightsOn: false, height: 2.8 });
+    expect(canRedo(history)).toBe(false);
+    expect(run([{ type: 'redo' }], history)).toBe(history);
+  });
+
+  it('does not merge an edit into the step before an undo', () => {
+    const history = run([change({ width: 6 }, 0), change({ width: 7 }, 1000), { type: 'undo' }, change({ width: 6.5 }, 1010)]);
+    expect(history.past.map(design => design.width)).toEqual([5, 6]);
+  });
+
+  it('ignores undo and redo at the ends of the history', () => {
+    const history = createHistory(start);
+
+    expect(configHistoryReducer(history, { type: 'undo' })).toBe(history);
+    expect(configHistoryReducer(history, { type: 'redo' })).toBe(history);
+    expect(configHistoryReducer(history, { type: 'unknown' })).toBe(history);
+  });
+
+  it(`keeps the last ${HISTORY_LIMIT} steps`, () => {
+    const edits = Array.from({ length: HISTORY_LIMIT + 5 }, (_, index) => ({ type: 'apply', changes: { width: index + 10 } }));
+    const history = run(edits);
+
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0].width).toBe(14);
+  });
+});
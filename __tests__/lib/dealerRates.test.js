@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { DEALER_RATES, DEFAULT_DEALER, findDeliveryZone, getDealerRates, resolveDealer } from '@/lib/dealerRates';
+import { PriceCalculator, priceConfiguration } from '@/lib/priceCalculator';
+
+describe('resolveDealer', () => {
+  it('takes the dealer from the query, then the subdomain', () => {
+    expect(resolveDealer({ query: ' Zuidgevel ' })).toBe('zuidgevel');
+    expect(resolveDealer({ query: ['zuidgevel', 'cubesse'] })).toBe('zuidgevel');
+    expect(resolveDealer({ host: 'zuidgevel.cubesse.nl:3000' })).toBe('zuidgevel');
+    expect(resolveDealer({ query: 'cubesse', host: 'zuidgevel.cubesse.nl' })).toBe('cubesse');
+  });
+
+  it('falls back to the default dealer for unknown names', () => {
+    expect(resolveDealer()).toBe(DEFAULT_DEALER);
+    expect(resolveDealer({ query: 'acme' })).toBe(DEFAULT_DEALER);
+    expect(resolveDealer({ host: 'cubesse.nl' })).toBe(DEFAULT_DEALER);
+  });
+
+  it.each(['constructor', '__proto__', 'toString', 'hasOwnProperty'])('does not accept %s', (name) => {
+    expect(resolveDealer({ query: name })).toBe(DEFAULT_DEALER);
+    expect(resolveDealer({ host: `${name}.cubesse.nl` })).toBe(DEFAULT_DEALER);
+    expect(getDealerRates(name)).toBe(DEALER_RATES[DEFAULT_DEALER]);
+  });
+});
+
+describe('dealer rates', () => {
+  it('names a price list for every dealer', () => {
+    Object.values(DEALER_RATES).forEach(rates => {
+      expect(rates.priceList).toBeTruthy();
+      expect(rates.delivery.zones.map(zone => zone.id)).toContain(rates.delivery.defaultZone);
+    });
+  });
+
+  it("prices with the dealer's own rates", () => {
+    const config = { width: 5, depth: 3, height: 2.5 };
+    const cubesse = priceConfiguration(config, { dealer: 'cubesse', postcode: '5611 AA' }).pricing;
+    const zuidgevel = priceConfiguration(config, { dealer: 'zuidgevel', postcode: '5611 AA' }).pricing;
+
+    expect(zuidgevel.dealer).toBe('zuidgevel');
+    expect(zuidgevel.total.wholesale).toBe(cubesse.total.wholesale);
+    expect(zuidgevel.total.marginRate).toBe(0.5);
+    expect(zuidgevel.delivery.price).toBe(75);
+    expect(zuidgevel.total.retail).toBeLessThan(cubesse.total.retail);
+  });
+
+  it('names the dealer whose rates were used on the quote', () => {
+    const config = { width: 5, depth: 3, height: 2.5 };
+
+    expect(priceConfiguration(config, { dealer: 'acme' }).pricing.dealer).toBe(DEFAULT_DEALER);
+    expect(priceConfiguration(config, { dealer: 'constructor' }).pricing.dealer).toBe(DEFAULT_DEALER);
+    expect(new PriceCalculator({ dealer: '__proto__' }).dealer).toBe(DEFAULT_DEALER);
+  });
+
+  it('finds the delivery zone of a postcode in the given zones', () => {
+    expect(findDeliveryZone('1794 AB').id).toBe('islands');
+    expect(findDeliveryZone('8000', DEALER_RATES.zuidgevel.delivery.zones).id).toBe('rest');
+    expect(findDeliveryZone('abc')).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { compareVariants, nextVariantName } from '@/lib/designVariants';
+import { priceConfiguration } from '@/lib/priceCalculator';
+import { getDefaultConfig } from '@/lib/verandaConfig';
+
+const base = { ...getDefaultConfig(), width: 5, depth: 3, height: 2.5, productLine: 'castor', roofType: 'polycarbonate' };
+const woodWall = { sideEnclosureTypes: { left: { material: 'wood', glassType: 'triple' } } };
+
+const variant = (name, changes) => ({ id: name, name, config: { ...base, ...changes }, thumbnail: null });
+
+const compare = (variants) => compareVariants(
+  variants,
+  variants.map(({ config }) => priceConfiguration(config, { postcode: '3511 AB' }).pricing)
+);
+
+const rowOf = (sections, title, label) => sections
+  .find(section => section.title === title).rows
+  .find(row => row.label === label);
+
+describe('compareVariants', () => {
+  const a = variant('Variant A', { enclosureEnabled: false });
+  const b = variant('Variant B', { width: 6, enclosureEnabled: true, ...woodWall });
+  const sections = compare([a, b]);
+
+  it('lists dimensions, options and price in that order', () => {
+    expect(sections.map(section => section.title)).toEqual(['Dimensions', 'Options', 'Price']);
+  });
+
+  it('marks the dimensions that differ', () => {
+    expect(rowOf(sections, 'Dimensions', 'Width')).toEqual({ label: 'Width', values: ['5.00 m', '6.00 m'], differs: true });
+    expect(rowOf(sections, 'Dimensions', 'Depth')).toEqual({ label: 'Depth', values: ['3.00 m', '3.00 m'], differs: false });
+  });
+
+  it('marks the options that differ', () => {
+    expect(rowOf(sections, 'Options', 'Left side')).toMatchObject({ values: ['Open', 'Wood Panel'], differs: true });
+    expect(rowOf(sections, 'Options', 'Product line')).toMatchObject({ values: ['Castor', 'Castor'], differs: false });
+  });
+
+  it('shows options only one variant has as a dash for the other', () => {
+    expect(rowOf(sections, 'Options', 'Glass style')).toMatchObject({ values: ['–', 'Framed'], differs: true });
+  });
+
+  it('compares the prices of both variants', () => {
+    expect(rowOf(sections, 'Price', 'Materials')).toMatchObject({ values: ['€1.545,00', '€2.630,00'], differs: true });
+    expect(rowOf(sections, 'Price', 'Delivery')).toMatchObject({ values: ['€95,00', '€95,00'], differs: false });
+    expect(rowOf(sections, 'Price', 'Total incl. VAT').values).toEqual(['€4.164,82', '€6.592,08']);
+  });
+
+  it('gives no totals for a variant priced on request', () => {
+    const deep = variant('Variant B', { depth: 6, enclosureEnabled: true, ...woodWall });
+    const totals = compare([a, deep]).find(section => section.title === 'Price').rows.slice(-3);
+
+    totals.forEach(row => {
+      expect(row.values[0]).toMatch(/^€/);
+      expect(row.values[1]).toBe('On request');
+    });
+  });
+});
+
+describe('nextVariantName', () => {
+  it('takes the first free letter', () => {
+    expect(nextVariantName([])).toBe('Variant A');
+    expect(nextVariantName([{ name: 'Variant B' }])).toBe('Variant A');
+    expect(nextVariantName([{ name: 'Variant A' }, { name: 'Variant B' }])).toBe('Variant C');
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { planLedLayout, planRafters, splitLedSets } from '@/lib/ledLayout';
+import { PriceCalculator } from '@/lib/priceCalculator';
+
+describe('splitLedSets', () => {
+  it.each([
+    [5, null, 5],
+    [6, 6, 0],
+    [7, 6, 1],
+    [12, 12, 0],
+    [13, 12, 1],
+    [18, 18, 0],
+    [19, 18, 1],
+    [25, 18, 7]
+  ])('orders %i spots as a set of %s plus %i singles', (count, setSize, singles) => {
+    expect(splitLedSets(count)).toEqual({ setSize, singles });
+  });
+
+  it('prices the set plus the singles', () => {
+    const calculator = new PriceCalculator();
+
+    // Set of 6 €160 + €12, set of 12 €220 + €12, set of 18 €380 + €12 and + 7 × €12
+    expect(calculator.calculateLEDLighting(7)).toMatchObject({ wholesale: 172, setSize: 6, singles: 1 });
+    expect(calculator.calculateLEDLighting(13).wholesale).toBe(232);
+    expect(calculator.calculateLEDLighting(19).wholesale).toBe(392);
+    expect(calculator.calculateLEDLighting(25).wholesale).toBe(464);
+    expect(calculator.calculateLEDLighting(4)).toMatchObject({ wholesale: 48, setSize: null, singles: 4 });
+    expect(calculator.calculateLEDLighting(0).error).toBeTruthy();
+  });
+});
+
+describe('planRafters', () => {
+  it('keeps the rafter fields a multiple of the glass panels', () => {
+    // 5m needs 5 fields of at most 1m; 6 is the next multiple of 3 panels
+    const rafters = planRafters(5, 'triple');
+
+    expect(rafters.fields).toBe(6);
+    expect(rafters.spacing).toBeCloseTo(5 / 6);
+    expect(rafters.positions).toHaveLength(5);
+    expect(rafters.positions[0]).toBeCloseTo(-2.5 + 5 / 6);
+    expect(planRafters(5, 'fourfold').fields).toBe(8);
+  });
+});
+
+describe('planLedLayout', () => {
+  const rafterPositions = planRafters(5, 'triple').positions;
+
+  it('puts one spot in every inner rafter of a shallow veranda', () => {
+    const layout = planLedLayout({ width: 5, depth: 3, glassType: 'triple' });
+
+    expect(layout).toMatchObject({ count: 5, auto: true, rows: 1, rafters: 5 });
+    expect(layout.spots.map(spot => spot.x)).toEqual(rafterPositions);
+    expect(layout.spots.every(spot => spot.z === 1.5)).toBe(true);
+    expect(layout.spots.map(spot => spot.zone)).toEqual(['perimeter', 'front', 'front', 'front', 'perimeter']);
+  });
+
+  it('puts two spots in every rafter from 3.5m deep', () => {
+    const layout = planLedLayout({ width: 5, depth: 4.5, glassType: 'triple' });
+
+    expect(layout).toMatchObject({ count: 10, rows: 2 });
+    expect([...new Set(layout.spots.map(spot => spot.z))]).toEqual([1.5, 3]);
+    // The row nearest the house is the back zone, the one nearest the garden the front
+    expect(layout.spots[2].zone).toBe('back');
+    expect(layout.spots[7].zone).toBe('front');
+  });
+
+  it('spreads a fixed set over the rafters, earlier rows taking the remainder', () => {
+    const layout = planLedLayout({ width: 5, depth: 3, glassType: 'triple', ledSet: 7 });
+    const rafterOf = (spot) => rafterPositions.indexOf(spot.x);
+
+    expect(layout).toMatchObject({ count: 7, auto: false, rows: 2 });
+    expect(layout.spots.filter(spot => spot.z === 1).map(rafterOf)).toEqual([0, 1, 3, 4]);
+    expect(layout.spots.filter(spot => spot.z === 2).map(rafterOf)).toEqual([0, 2, 4]);
+  });
+
+  it('puts one spot per row in the middle rafter when a row has a single spot', () => {
+    // 2m of double glass has one inner rafter, so the set of 6 becomes 6 rows
+    const layout = planLedLayout({ width: 2, depth: 3, glassType: 'double', ledSet: 6 });
+
+    expect(layout).toMatchObject({ rafters: 1, rows: 6 });
+    expect(layout.spots.every(spot => spot.x === 0)).toBe(true);
+  });
+});
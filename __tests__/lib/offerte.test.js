@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { buildOffertePdf } from '@/lib/offerte';
+import { priceConfiguration } from '@/lib/priceCalculator';
+import { getDefaultConfig } from '@/lib/verandaConfig';
+
+// Smallest byte run readJpegSize accepts: SOI, a 2×2 RGB SOF0 frame, EOI.
+// The high bytes check that binary streams are measured in bytes.
+const JPEG = Uint8Array.from([
+  0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x02, 0x00, 0x02, 0x03,
+  0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01, 0xe2, 0xff, 0xd9
+]);
+const RENDER = `data:image/jpeg;base64,${Buffer.from(JPEG).toString('base64')}`;
+
+const config = { ...getDefaultConfig(), width: 5, depth: 3, height: 2.5, productLine: 'castor' };
+const { pricing } = priceConfiguration(config, { postcode: '3511 AB' });
+
+// One character per byte, so string offsets are byte offsets
+const buildPdf = (renders = {}) => Buffer.from(buildOffertePdf({
+  config,
+  pricing,
+  renders,
+  date: new Date(2026, 9, 18, 14, 32)
+})).toString('latin1');
+
+// Strings drawn with Tj, € decoded from WinAnsi
+const drawnText = (pdf) => Array.from(pdf.matchAll(/\((.*)\) Tj ET/g), match => match[1].replace(/\x80/g, '€'));
+
+const euro = (value) => `€ ${value.toLocaleString('nl-NL', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+describe('offerte PDF structure', () => {
+  const pdf = buildPdf({ front: RENDER, side: RENDER });
+
+  it('points every xref entry at its object', () => {
+    const [, first, count] = pdf.match(/\nxref\n(\d+) (\d+)\n/);
+    const entries = pdf.slice(pdf.lastIndexOf('\nxref\n') + 1).split('\n').slice(2, 2 + Number(count));
+
+    expect(Number(first)).toBe(0);
+    expect(entries[0]).toBe('0000000000 65535 f ');
+    entries.slice(1).forEach((entry, index) => {
+      expect(entry).toMatch(/^\d{10} 00000 n $/);
+      const offset = Number(entry.slice(0, 10));
+      expect(pdf.startsWith(`${index + 1} 0 obj\n`, offset)).toBe(true);
+    });
+  });
+
+  it('points startxref at the xref table and sizes the trailer to it', () => {
+    const startxref = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    const count = Number(pdf.match(/\nxref\n0 (\d+)\n/)[1]);
+
+    expect(pdf.startsWith('xref\n', startxref)).toBe(true);
+    expect(pdf).toContain(`/Size ${count} `);
+  });
+
+  it('gives every stream its byte length', () => {
+    const streams = Array.from(pdf.matchAll(/\/Length (\d+) >>\nstream\n/g));
+
+    // Two renders and at least one page of content
+    expect(streams.length).toBeGreaterThanOrEqual(3);
+    streams.forEach(match => {
+      const start = match.index + match[0].length;
+      expect(pdf.startsWith('\nendstream', start + Number(match[1]))).toBe(true);
+    });
+  });
+
+  it('embeds the render bytes unchanged', () => {
+    expect(pdf).toContain(Buffer.from(JPEG).toString('latin1'));
+  });
+});
+
+describe('offerte VAT split', () => {
+  const { total } = pricing;
+
+  it('adds up to the total incl. VAT', () => {
+    expect(total.exclVat + total.vat).toBeCloseTo(total.retail, 2);
+    expect(total.vat).toBeCloseTo(total.exclVat * total.vatRate, 2);
+  });
+
+  it('prints the same split as the breakdown', () => {
+    const text = drawnText(buildPdf());
+
+    expect(text).toContain(euro(total.exclVat));
+    expect(text).toContain(`VAT ${Math.round(total.vatRate * 100)}%`);
+    expect(text).toContain(euro(total.vat));
+    expect(text).toContain(euro(total.retail));
+    expect(text.indexOf('Total excl. VAT')).toBeLessThan(text.indexOf('Total incl. VAT'));
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, expect, it } from 'vitest';
+import { PriceCalculator, priceConfiguration } from '@/lib/priceCalculator';
+import { getActivePriceList } from '@/lib/priceLists';
+
+const enclosed = {
+  width: 5,
+  depth: 3,
+  height: 2.5,
+  enclosureEnabled: true,
+  sideEnclosureTypes: { left: { material: 'wood', glassType: 'triple' } }
+};
+
+describe('provisional side wall prices', () => {
+  it('marks the glass side wall table as an estimate with a source', () => {
+    const { glass } = getActivePriceList('cubesse').sideWalls;
+
+    expect(glass.provisional).toBe(true);
+    expect(glass.source).toMatch(/estimate/i);
+  });
+
+  it('flags side walls priced from the provisional table', () => {
+    const { pricing } = priceConfiguration(enclosed);
+
+    expect(pricing.enclosures.left.provisional).toBe(true);
+    expect(pricing.provisional).toBe(true);
+  });
+
+  it('does not flag a veranda without side walls or extra posts', () => {
+    const { pricing } = priceConfiguration({ width: 3, depth: 3, height: 2.5, enclosureEnabled: false });
+    expect(pricing.provisional).toBe(false);
+  });
+
+  it('derives the other wall types from the glass table', () => {
+    const calculator = new PriceCalculator();
+    const glass = calculator.calculateGlassWall(3000, 2500).wholesale;
+
+    expect(glass).toBe(800);
+    expect(calculator.calculateWoodWall(3000, 2500).wholesale).toBe(960);
+    expect(calculator.calculateRabatWall(3000, 2500).wholesale).toBe(1200);
+    expect(calculator.calculateWindowWall(3000, 2500).wholesale).toBe(1040);
+  });
+
+  it('drops the flag once the table comes from the supplier', () => {
+    const supplierList = structuredClone(getActivePriceList('cubesse'));
+    delete supplierList.sideWalls.glass.provisional;
+    const calculator = new PriceCalculator({ priceList: supplierList });
+
+    expect(calculator.calculateSideWall('glass', 3000, 2500).provisional).toBe(false);
+  });
+});
+
+describe('custom RAL surcharge', () => {
+  it('is flagged as provisional until the coater confirms it', () => {
+    const { pricing } = priceConfiguration({ width: 5, depth: 3, height: 2.5, metalMaterial: 'ral', frameRal: '3004' });
+
+    expect(pricing.frameColor).toMatchObject({ ral: '3004', provisional: true });
+    expect(pricing.provisional).toBe(true);
+  });
+
+  it('is not charged for a standard colour picked by its RAL code', () => {
+    const { pricing } = priceConfiguration({ width: 5, depth: 3, height: 2.5, metalMaterial: 'anthracite', frameRal: '3004' });
+    expect(pricing.frameColor).toBeNull();
+  });
+});
+
+describe('priceConfiguration structure check', () => {
+  it('passes a design that can be built', () => {
+    const { structure } = priceConfiguration({ width: 5, depth: 3, height: 2.5 });
+    expect(structure.valid).toBe(true);
+  });
+
+  it('reports the errors of a design that cannot be built', () => {
+    const { structure } = priceConfiguration({ width: 5, depth: 3, height: 3.4, productLine: 'castor' });
+
+    expect(structure.valid).toBe(false);
+    expect(structure.issues).toContainEqual(expect.objectContaining({ level: 'error', field: 'height' }));
+  });
+});
+
+describe('calculateSlidingGlassWall', () => {
+  const calculator = new PriceCalculator();
+
+  it('prices standard height panels with the rails per started metre', () => {
+    // 3 × €160 + 3-track rails €85 × 3m
+    expect(calculator.calculateSlidingGlassWall({ glassType: 'triple', width: 3000, height: 2500 })).toMatchObject({
+      wholesale: 735,
+      panels: 3,
+      panelWidth: 1000,
+      customHeight: false
+    });
+    expect(calculator.calculateSlidingGlassWall({ glassType: 'triple', width: 3000, height: 2500, tinted: true }).wholesale).toBe(795);
+  });
+
+  it('prices panels above the standard height as custom work', () => {
+    // 3 × €165 + rails €255 + custom work €60
+    expect(calculator.calculateSlidingGlassWall({ glassType: 'triple', width: 3000, height: 3200 })).toMatchObject({
+      wholesale: 810,
+      customHeight: true
+    });
+  });
+
+  it('puts tinted glass above the standard height on request', () => {
+    const wall = calculator.calculateSlidingGlassWall({ glassType: 'triple', width: 3000, height: 3200, tinted: true });
+    expect(wall).toMatchObject({ onRequest: true, panels: 3, tinted: true });
+    expect(wall.error).toMatch(/on request/);
+  });
+
+  it('adds 20% per panel wider than 1200mm', () => {
+    // 4000 / 3 = 1333mm panels: 3 × €192 + rails €85 × 4m
+    expect(calculator.calculateSlidingGlassWall({ glassType: 'triple', width: 4000, height: 2500 })).toMatchObject({
+      wholesale: 916,
+      panelWidth: 1333
+    });
+    expect(calculator.calculateSlidingGlassWall({ glassType: 'fourfold', width: 4800, height: 2500 }).panelWidth).toBe(1200);
+  });
+
+  it('flags the price while the standard height limit is an estimate', () => {
+    const { standardHeight } = getActivePriceList('cubesse').capella.glassPanels;
+    expect(standardHeight).toMatchObject({ provisional: true, max: 3000 });
+    expect(calculator.calculateSlidingGlassWall({ glassType: 'triple', width: 3000, height: 2500 }).provisional).toBe(true);
+  });
+
+  it('rejects an unknown glass type', () => {
+    expect(calculator.calculateSlidingGlassWall({ glassType: 'ninefold', width: 3000, height: 2500 }).error).toBeTruthy();
+  });
+});
+
+describe('side wall sizes', () => {
+  const calculator = new PriceCalculator();
+
+  it('rounds up to the next listed depth and height', () => {
+    expect(calculator.calculateGlassWall(3200, 2600)).toMatchObject({
+      wholesale: 970,
+      cell: { depth: [3500, 3500], width: [2800, 2800] },
+      mode: 'round-up'
+    });
+  });
+
+  it('puts a wall deeper than the table on request', () => {
+    const wall = calculator.calculateGlassWall(6000, 2500);
+    expect(wall).toMatchObject({ outOfRange: true });
+    expect(wall.error).toMatch(/depth 6000mm exceeds 5000mm/);
+  });
+
+  it('puts a wall higher than the table on request', () => {
+    const wall = calculator.calculateWoodWall(3000, 3300);
+    expect(wall).toMatchObject({ outOfRange: true });
+    expect(wall.error).toBe('Wood Panel side wall: Outside the price list: height 3300mm exceeds 3100mm');
+  });
+
+  it('prices at the edge with a warning outside round-up mode', () => {
+    const wall = new PriceCalculator({ mode: 'nearest' }).calculateGlassWall(6000, 3300);
+    expect(wall.wholesale).toBe(1405);
+    expect(wall.warning).toBe('Priced at the largest listed size: depth 6000mm exceeds 5000mm, height 3300mm exceeds 3100mm');
+  });
+
+  it('puts the whole quote on request for a 6m deep Castor with side walls', () => {
+    const { pricing } = priceConfiguration({ ...enclosed, depth: 6, productLine: 'castor', roofType: 'polycarbonate' });
+
+    expect(pricing.roof.error).toBeUndefined();
+    expect(pricing.enclosures.left.outOfRange).toBe(true);
+    expect(pricing.onRequest).toBe(true);
+  });
+});
+
+describe('calculateStructure', () => {
+  const calculator = new PriceCalculator();
+  const post = (length, quantity = 1) => ({ length, quantity });
+
+  it('prices each post at the next stock length', () => {
+    const { posts } = calculator.calculateStructure('castor', { posts: [post(2400), post(2500), post(2600)] });
+
+    expect(posts.map(({ stockLength, price }) => [stockLength, price])).toEqual([[2500, 145], [2500, 145], [3000, 165]]);
+    expect(calculator.calculateStructure('titan', { posts: [post(3200, 2)] })).toMatchObject({
+      wholesale: 470,
+      extraPosts: 2,
+      posts: [{ length: 3200, stockLength: 3500, price: 235 }]
+    });
+  });
+
+  it('prices the gutter insert per metre', () => {
+    expect(calculator.calculateStructure('castor', { reinforcement: { length: 4500 } })).toMatchObject({
+      wholesale: 108,
+      extraPosts: 0,
+      gutterReinforcement: true,
+      reinforcementLength: 4.5
+    });
+  });
+
+  it('puts a post longer than every stock length on request', () => {
+    const castor = calculator.calculateStructure('castor', { posts: [post(2500), post(3400)] });
+    expect(castor).toMatchObject({ outOfRange: true, extraPosts: 2 });
+    expect(castor.error).toBe('Outside the price list: 3400mm posts exceed the 3000mm castor stock length');
+    expect(castor.wholesale).toBeUndefined();
+
+    expect(calculator.calculateStructure('titan', { posts: [post(3500)] }).error).toBeUndefined();
+    expect(calculator.calculateStructure('titan', { posts: [post(3600)] }).outOfRange).toBe(true);
+  });
+
+  it('flags the estimated post and insert prices as provisional', () => {
+    const { structure } = getActivePriceList('cubesse').castor;
+    expect(structure.provisional).toBe(true);
+    expect(structure.source).toMatch(/estimate/i);
+
+    const { pricing } = priceConfiguration({ width: 6, depth: 3, height: 2.5, productLine: 'castor', enclosureEnabled: false });
+    expect(pricing.structure).toMatchObject({ extraPosts: expect.any(Number), provisional: true });
+    expect(pricing.provisional).toBe(true);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { describePriceList, getActivePriceList, isPriceListValid } from '@/lib/priceLists';
+
+const expired = { id: 'supplier', version: '2025.1', validFrom: '2025-01-01', validUntil: '2025-12-31' };
+const current = { id: 'supplier', version: '2026.1', validFrom: '2026-01-01', validUntil: '2026-06-30' };
+const future = { id: 'supplier', version: '2026.2', validFrom: '2026-07-01', validUntil: null };
+const otherSupplier = { id: 'other', version: '2026.1', validFrom: '2020-01-01', validUntil: null };
+const lists = [expired, future, current, otherSupplier];
+
+const day = (text) => new Date(`${text}T12:00:00`);
+
+describe('isPriceListValid', () => {
+  it('includes the first and last day', () => {
+    expect(isPriceListValid(current, day('2026-01-01'))).toBe(true);
+    expect(isPriceListValid(current, day('2026-06-30'))).toBe(true);
+  });
+
+  it('rejects a list before it starts and after it ends', () => {
+    expect(isPriceListValid(future, day('2026-06-30'))).toBe(false);
+    expect(isPriceListValid(expired, day('2026-01-01'))).toBe(false);
+  });
+
+  it('keeps a list without an end date valid', () => {
+    expect(isPriceListValid(future, day('2030-01-01'))).toBe(true);
+  });
+});
+
+describe('getActivePriceList', () => {
+  it('picks the version valid on the date', () => {
+    expect(getActivePriceList('supplier', day('2025-12-31'), lists).version).toBe('2025.1');
+    expect(getActivePriceList('supplier', day('2026-03-15'), lists).version).toBe('2026.1');
+    expect(getActivePriceList('supplier', day('2026-07-01'), lists).version).toBe('2026.2');
+  });
+
+  it('prefers the newest version when two overlap', () => {
+    const open = { ...current, validUntil: null };
+    expect(getActivePriceList('supplier', day('2026-08-01'), [open, future]).version).toBe('2026.2');
+  });
+
+  it('throws rather than quote from an expired or future list', () => {
+    expect(() => getActivePriceList('supplier', day('2024-06-01'), lists)).toThrow('No supplier price list is valid on 2024-06-01');
+    expect(() => getActivePriceList('supplier', day('2026-03-15'), [expired, future])).toThrow(/No supplier price list/);
+  });
+
+  it('uses the published lists by default', () => {
+    const list = getActivePriceList('cubesse', day('2026-10-18'));
+    expect(describePriceList(list)).toMatchObject({ id: 'cubesse', version: '2026.1' });
+    expect(() => getActivePriceList('cubesse', day('2025-12-31'))).toThrow();
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { analyseShade, buildShadeOccluders, formatShadeSummary } from '@/lib/shadeAnalysis';
+
+const veranda = {
+  width: 4,
+  depth: 3,
+  height: 2.5,
+  roofType: 'glass',
+  roofSheet: 'opal',
+  roofPitchActive: false,
+  verandaType: 'wall-mounted',
+  enclosureEnabled: false,
+  orientation: 180
+};
+
+const MIDSUMMER = { dayOfYear: 172, year: 2026 };
+const MIDWINTER = { dayOfYear: 15, year: 2026 };
+
+describe('analyseShade', () => {
+  it('splits the floor into 25cm cells, rows from the house wall', () => {
+    const result = analyseShade(veranda, { ...MIDSUMMER, from: 12, to: 13 });
+
+    expect(result).toMatchObject({ columns: 16, rows: 12 });
+    expect(result.cells).toHaveLength(16 * 12);
+    expect(result.daylightHours).toBeCloseTo(16.5);
+  });
+
+  it('keeps the whole floor in shade behind the house wall when the garden faces north', () => {
+    const noon = analyseShade({ ...veranda, orientation: 0 }, { ...MIDSUMMER, from: 12, to: 15 });
+    const winter = analyseShade({ ...veranda, orientation: 0 }, MIDWINTER);
+
+    expect(noon.summary.shaded).toBe(1);
+    expect(winter.cells.every(cell => cell === 1)).toBe(true);
+  });
+
+  it('lets most of the noon sun through a clear glass roof facing south', () => {
+    const { summary } = analyseShade(veranda, { ...MIDSUMMER, from: 12, to: 15 });
+    expect(summary.shaded).toBeLessThan(0.2);
+  });
+
+  it('stacks the awning on top of the glass roof', () => {
+    // Wherever the roof blocks 10% of the sun, roof and awning block 1 - 0.9 × 0.05 = 95.5%
+    const freestanding = { ...veranda, verandaType: 'freestanding' };
+    const roof = analyseShade(freestanding, { ...MIDSUMMER, from: 13, to: 14 }).summary.shaded;
+    const awning = analyseShade({ ...freestanding, roofAwningPosition: 'top' }, { ...MIDSUMMER, from: 13, to: 14 }).summary.shaded;
+
+    expect(roof).toBeGreaterThan(0);
+    expect(awning).toBeCloseTo(roof / 0.1 * 0.955, 6);
+  });
+
+  it('shades the floor near a wood side wall from the low western sun', () => {
+    const walled = { ...veranda, enclosureEnabled: true, sideEnclosureTypes: { right: { material: 'wood', glassType: 'triple' } } };
+    const open = analyseShade(veranda, { ...MIDSUMMER, from: 18, to: 20 });
+    const shaded = analyseShade(walled, { ...MIDSUMMER, from: 18, to: 20 });
+
+    expect(shaded.summary.shaded).toBeGreaterThan(open.summary.shaded);
+  });
+
+  it('has no summary when the sun is down for the whole window', () => {
+    const { summary } = analyseShade(veranda, { ...MIDWINTER, from: 18, to: 20 });
+
+    expect(summary.shaded).toBeNull();
+    expect(formatShadeSummary(summary)).toBe('No direct sun between 18:00–20:00');
+  });
+});
+
+describe('buildShadeOccluders', () => {
+  it('adds the house wall only for a wall-mounted veranda', () => {
+    const wallMounted = buildShadeOccluders(veranda);
+    const freestanding = buildShadeOccluders({ ...veranda, verandaType: 'freestanding' });
+
+    expect(wallMounted.filter(occluder => occluder.unbounded)).toHaveLength(1);
+    expect(freestanding.filter(occluder => occluder.unbounded)).toHaveLength(0);
+  });
+});
+
+describe('formatShadeSummary', () => {
+  it('rounds the shaded share to a percentage', () => {
+    expect(formatShadeSummary({ from: 12, to: 17.5, shaded: 0.456 })).toBe('46% shaded between 12:00–17:30');
+  });
+});
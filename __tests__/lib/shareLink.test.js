@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import { SHARE_VERSION, decodeShareConfig, encodeShareConfig } from '@/lib/shareLink';
+import { CONFIG_SCHEMA, getDefaultConfig } from '@/lib/verandaConfig';
+import { silenceConsole } from '../helpers';
+
+// Every CONFIG_SCHEMA field, mostly away from its default
+const design = {
+  houseType: 'hoekwoning',
+  width: 6.25,
+  depth: 3.5,
+  height: 2.75,
+  roofPitchAngle: 7.5,
+  metalMaterial: 'ral',
+  frameRal: '9001',
+  frameFinish: 'matte',
+  glassType: 'fivefold',
+  glassStyle: 'grid',
+  selectedSide: null,
+  enclosureType: 'wood',
+  lightShape: 'square',
+  roofAwningPosition: 'top',
+  verandaType: 'freestanding',
+  productLine: 'titan',
+  roofType: 'polycarbonate',
+  roofSheet: 'iqrelax',
+  glassColor: 'lightgrey',
+  leftWallOption: 'rabat',
+  rightWallOption: 'window',
+  lightColor: '#ff8800',
+  ledSet: 12,
+  lightingScene: { preset: 'custom', brightness: 0.55, kelvin: 2700, zones: ['front', 'perimeter'] },
+  orientation: 135,
+  loadZone: 'III',
+  enclosureEnabled: true,
+  lightsOn: true,
+  roofPitchActive: true,
+  tintedGlassEnabled: true,
+  showLeftFence: true,
+  showRightFence: false,
+  sideEnclosureTypes: {
+    left: { material: 'wood', glassType: 'double' },
+    right: { material: 'glass', glassType: 'sixfold' }
+  }
+};
+
+describe('share links', () => {
+  it('covers every field of the configuration schema', () => {
+    expect(Object.keys(design).sort()).toEqual(Object.keys(CONFIG_SCHEMA).sort());
+  });
+
+  it('reopens the same design', () => {
+    const encoded = encodeShareConfig(design);
+
+    expect(encoded.startsWith(`${SHARE_VERSION}.`)).toBe(true);
+    expect(decodeShareConfig(encoded)).toEqual(design);
+  });
+
+  it('keeps an explicitly cleared enclosure side', () => {
+    const decoded = decodeShareConfig(encodeShareConfig({ ...getDefaultConfig(), selectedSide: null }));
+    expect(decoded.selectedSide).toBeNull();
+  });
+
+  it('decodes links from version 8', () => {
+    // A RAL 9001 hoekwoning created before the enclosure fields were shared
+    const decoded = decodeShareConfig('8.1.0.hd.9q.8c.1.8.0.4.1.1.0.__20__.-.-.-.-.1.0.ffd700.0.0.1.c.1280u7.3r.2.9001.0');
+
+    expect(decoded).toMatchObject({
+      houseType: 'hoekwoning',
+      width: 6.25,
+      depth: 3.5,
+      roofPitchAngle: 8,
+      metalMaterial: 'ral',
+      frameRal: '9001',
+      frameFinish: 'matte',
+      ledSet: 12,
+      orientation: 135,
+      loadZone: 'III',
+      sideEnclosureTypes: { left: { material: 'wood', glassType: 'double' } }
+    });
+    expect(decoded).not.toHaveProperty('selectedSide');
+    expect(decoded).not.toHaveProperty('showLeftFence');
+  });
+
+  it('decodes links from version 1', () => {
+    const decoded = decodeShareConfig('1.1.0.hd.9q.8c.1.8.0.4.1.1.0.__20__.-.-.-.-.1.0.ffd700');
+
+    expect(decoded).toMatchObject({ houseType: 'hoekwoning', width: 6.25, roofPitchAngle: 8, lightColor: '#ffd700' });
+    expect(decoded).not.toHaveProperty('productLine');
+  });
+
+  it('rejects links from a newer version or without a version', () => {
+    silenceConsole();
+    expect(decodeShareConfig(`${SHARE_VERSION + 1}.0`)).toBeNull();
+    expect(decodeShareConfig('x.0')).toBeNull();
+    expect(decodeShareConfig('')).toBeNull();
+  });
+});
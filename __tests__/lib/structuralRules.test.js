@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { checkStructure, getRoofLoads } from '@/lib/structuralRules';
+
+const structure = (overrides) => checkStructure({
+  productLine: 'castor',
+  roofType: 'polycarbonate',
+  width: 3,
+  depth: 3,
+  height: 2.5,
+  verandaType: 'wall-mounted',
+  loadZone: 'II',
+  ...overrides
+});
+
+describe('getRoofLoads', () => {
+  it('takes the larger of snow and wind on top of the roof weight', () => {
+    // Snow 0.56 governs inland, wind 0.61 on the coast
+    const inland = getRoofLoads({ roofType: 'polycarbonate', loadZone: 'III' });
+    expect(inland.snow).toBeCloseTo(0.56);
+    expect(inland.design).toBe(0.61);
+    expect(getRoofLoads({ roofType: 'polycarbonate', loadZone: 'I' })).toMatchObject({ wind: 0.61, design: 0.66 });
+    expect(getRoofLoads({ roofType: 'glass', loadZone: 'II' }).design).toBe(0.81);
+  });
+});
+
+describe('extra posts', () => {
+  it('needs none up to the 3m Castor post spacing', () => {
+    expect(structure({ width: 3 })).toMatchObject({ postsPerRow: 2, extraPosts: 0, postPositions: [], valid: true });
+  });
+
+  it('adds one in the middle just over 3m', () => {
+    const result = structure({ width: 3.01 });
+
+    expect(result).toMatchObject({ postsPerRow: 3, extraPosts: 1, postPositions: [0], gutterReinforcement: false });
+    expect(result.issues).toEqual([expect.objectContaining({ level: 'warning', field: 'width', message: '1 extra post per row: Castor allows at most 3m between posts' })]);
+  });
+
+  it('adds a second one just over 6m', () => {
+    expect(structure({ width: 6 }).extraPosts).toBe(1);
+    expect(structure({ width: 6.01 })).toMatchObject({ extraPosts: 2, postPositions: [-1.002, 1.002] });
+  });
+
+  it('puts them in both rows of a freestanding veranda', () => {
+    const result = structure({ width: 6.01, verandaType: 'freestanding' });
+
+    expect(result).toMatchObject({ postsPerRow: 4, rows: 2, extraPosts: 4 });
+    expect(result.posts.filter(post => !post.corner).map(post => post.row)).toEqual(['front', 'front', 'back', 'back']);
+  });
+
+  it('follows the 3.5m Titan post spacing', () => {
+    expect(structure({ productLine: 'titan', width: 3.5 }).extraPosts).toBe(0);
+    expect(structure({ productLine: 'titan', width: 3.51 }).extraPosts).toBe(1);
+  });
+});
+
+describe('gutter reinforcement', () => {
+  it('reinforces a Castor glass roof 4m deep that the gutter cannot span alone', () => {
+    // 0.81 kN/m² × 2m = 1.62 kN/m: 2.72m plain, 3.33m with the insert
+    expect(structure({ roofType: 'glass', depth: 4, width: 2.72 })).toMatchObject({ gutterReinforcement: false, extraPosts: 0 });
+    expect(structure({ roofType: 'glass', depth: 4, width: 2.73 })).toMatchObject({ gutterReinforcement: true, extraPosts: 0, maxSpan: 2.72 });
+  });
+
+  it('switches to a post where the Castor post spacing ends', () => {
+    expect(structure({ roofType: 'glass', depth: 4, width: 3 }).gutterReinforcement).toBe(true);
+    expect(structure({ roofType: 'glass', depth: 4, width: 3.01 })).toMatchObject({ gutterReinforcement: false, extraPosts: 1 });
+  });
+
+  it('is needed sooner on the coast', () => {
+    expect(structure({ roofType: 'glass', depth: 4, width: 2.7, loadZone: 'II' }).gutterReinforcement).toBe(false);
+    expect(structure({ roofType: 'glass', depth: 4, width: 2.7, loadZone: 'I' })).toMatchObject({ gutterReinforcement: true, maxSpan: 2.64 });
+    expect(structure({ roofType: 'glass', depth: 4, width: 2.7, loadZone: 'III' }).gutterReinforcement).toBe(false);
+  });
+
+  it('reinforces a Titan gutter on the coast only', () => {
+    expect(structure({ productLine: 'titan', roofType: 'glass', depth: 4, width: 3.5, loadZone: 'II' }).gutterReinforcement).toBe(false);
+    expect(structure({ productLine: 'titan', roofType: 'glass', depth: 4, width: 3.5, loadZone: 'I' })).toMatchObject({ gutterReinforcement: true, maxSpan: 3.47 });
+  });
+
+  it('is not needed under a 3m deep polycarbonate roof', () => {
+    ['castor', 'titan'].forEach(productLine => {
+      ['I', 'II', 'III'].forEach(loadZone => {
+        expect(structure({ productLine, loadZone, width: 3 }).gutterReinforcement).toBe(false);
+      });
+    });
+  });
+});
+
+describe('errors', () => {
+  it('rejects rafters longer than the profile spans', () => {
+    expect(structure({ depth: 6, loadZone: 'II' }).valid).toBe(true);
+
+    const coast = structure({ depth: 6, loadZone: 'I' });
+    expect(coast.valid).toBe(false);
+    expect(coast.issues).toContainEqual(expect.objectContaining({ level: 'error', field: 'depth' }));
+  });
+
+  it('rejects posts taller than the product line makes', () => {
+    expect(structure({ height: 3 }).valid).toBe(true);
+    expect(structure({ height: 3.01 }).issues).toContainEqual(expect.objectContaining({ level: 'error', field: 'height', message: 'Castor posts are available up to 3m' }));
+    expect(structure({ productLine: 'titan', height: 3.5 }).valid).toBe(true);
+  });
+
+  it('falls back to wind area II for an unknown zone', () => {
+    expect(structure({ loadZone: 'X' }).loadZone).toBe('II');
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { getDutchUtcOffset, getSunDirection, getSunPosition, toDutchDate } from '@/lib/sunPosition';
+
+const degrees = (radians) => radians * 180 / Math.PI;
+
+describe('getSunPosition', () => {
+  // De Bilt, 52.1°N: at solar noon the altitude is 90° - 52.1° ± 23.44°
+  it('puts the summer solstice noon sun due south at 61.3°', () => {
+    const { altitude, azimuth } = getSunPosition(new Date('2026-06-21T11:41:00Z'));
+
+    expect(degrees(altitude)).toBeCloseTo(61.3, 0);
+    expect(degrees(azimuth)).toBeCloseTo(180, 0);
+  });
+
+  it('keeps the winter solstice noon sun at 14.4°', () => {
+    const { altitude, azimuth } = getSunPosition(new Date('2026-12-21T11:45:00Z'));
+
+    expect(degrees(altitude)).toBeCloseTo(14.4, 0);
+    expect(Math.abs(degrees(azimuth) - 180)).toBeLessThan(3);
+  });
+
+  it('rises in the east at the equinox', () => {
+    const { altitude, azimuth } = getSunPosition(new Date('2026-03-20T06:00:00Z'));
+
+    expect(Math.abs(degrees(altitude))).toBeLessThan(3);
+    expect(Math.abs(degrees(azimuth) - 90)).toBeLessThan(4);
+  });
+
+  it('is below the horizon at midnight', () => {
+    expect(getSunPosition(new Date('2026-06-21T23:00:00Z')).altitude).toBeLessThan(0);
+  });
+});
+
+describe('Dutch clock time', () => {
+  it('switches to summer time at 01:00 UTC on the last Sunday of March and back in October', () => {
+    expect(getDutchUtcOffset(new Date('2026-03-29T00:59:00Z'))).toBe(1);
+    expect(getDutchUtcOffset(new Date('2026-03-29T01:00:00Z'))).toBe(2);
+    expect(getDutchUtcOffset(new Date('2026-10-25T00:59:00Z'))).toBe(2);
+    expect(getDutchUtcOffset(new Date('2026-10-25T01:00:00Z'))).toBe(1);
+  });
+
+  it('turns a day of the year and clock hour into UTC', () => {
+    expect(toDutchDate(172, 13.5, 2026).toISOString()).toBe('2026-06-21T11:30:00.000Z');
+    expect(toDutchDate(15, 12, 2026).toISOString()).toBe('2026-01-15T11:00:00.000Z');
+  });
+});
+
+describe('getSunDirection', () => {
+  it('points out of the garden side when the sun stands where the garden faces', () => {
+    const [x, y, z] = getSunDirection({ altitude: 0, azimuth: Math.PI }, 180);
+
+    expect(x).toBeCloseTo(0);
+    expect(y).toBeCloseTo(0);
+    expect(z).toBeCloseTo(-1);
+  });
+
+  it('puts a southern sun behind the house of a north-facing garden', () => {
+    const [, y, z] = getSunDirection({ altitude: Math.PI / 4, azimuth: Math.PI }, 0);
+
+    expect(y).toBeCloseTo(Math.SQRT1_2);
+    expect(z).toBeCloseTo(Math.SQRT1_2);
+  });
+});
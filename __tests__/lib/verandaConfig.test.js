@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { CONFIG_SCHEMA, validateConfig } from '@/lib/verandaConfig';
+import { PRODUCT_LINES } from '@/lib/verandaOptions';
+
+describe('validateConfig dimensions', () => {
+  it('accepts every depth a product line is made in', () => {
+    Object.entries(PRODUCT_LINES).forEach(([productLine, line]) => {
+      Object.entries(line.depthRange).forEach(([roofType, [min, max]]) => {
+        expect(validateConfig({ productLine, roofType, depth: min })).toEqual({ config: { productLine, roofType, depth: min }, issues: [] });
+        expect(validateConfig({ productLine, roofType, depth: max }).issues).toEqual([]);
+      });
+    });
+  });
+
+  it('starts the depth schema at the shallowest product line', () => {
+    expect(CONFIG_SCHEMA.depth.min).toBe(2);
+  });
+
+  it('clamps a depth below every product line', () => {
+    const { config, issues } = validateConfig({ productLine: 'castor', roofType: 'polycarbonate', depth: 1.5 });
+
+    expect(config.depth).toBe(2);
+    expect(issues).toEqual([expect.objectContaining({ field: 'depth', action: 'clamped', applied: 2 })]);
+  });
+
+  it('clamps a depth to the range of the chosen line and roof', () => {
+    const { config, issues } = validateConfig({ productLine: 'titan', roofType: 'polycarbonate', depth: 5.5 });
+
+    expect(config.depth).toBe(4.5);
+    expect(issues[0].reason).toContain('Titan polycarbonate');
+  });
+
+  it('clamps the height to the schema', () => {
+    expect(validateConfig({ height: 2 }).config.height).toBe(CONFIG_SCHEMA.height.min);
+    expect(validateConfig({ height: 7 }).config.height).toBe(CONFIG_SCHEMA.height.max);
+  });
+});
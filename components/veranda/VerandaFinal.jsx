@@ -1,469 +1,145 @@
-import React, { useState, useRef, useEffect, Suspense, useMemo } from 'react';
+import React, { useState, useRef, useEffect, Suspense, useMemo, useReducer } from 'react';
 import { Canvas, useFrame, useThree,useLoader } from '@react-three/fiber';
 import { OrbitControls, useGLTF, useProgress, Environment, ContactShadows, Html } from '@react-three/drei';
 import * as THREE from 'three';
 import styles from '../../styles/VerandaConfigurator.module.css';
+import { CONFIG_SCHEMA, describeConfigIssue, getDefaultConfig, validateConfig } from '../../lib/verandaConfig';
+import { FRAME_COLOR_OPTIONS, FRAME_FINISHES, GLASS_TINT_COLORS, HOUSE_TYPE_DEFAULTS, LED_SET_SIZES, LOAD_ZONES, PRODUCT_LINES, ROOF_SHEETS, SIDE_WALL_OPTIONS, getDepthRange } from '../../lib/verandaOptions';
+import { planLedLayout } from '../../lib/ledLayout';
+import { describeFrameColor, findRalColor, findStandardFrameColor, searchRalColors } from '../../lib/ralColors';
+import { GLASS_CONFIGS, POST_MESHES, ROOF_MESHES, SIDE_WALL_MESHES } from '../../lib/modelMeshes';
+import { KELVIN_RANGE, LIGHTING_SCENES, LIGHT_ZONES, LIGHT_ZONE_LABELS, getLightingScene, getSceneColor } from '../../lib/lightingScenes';
+import { buildShareUrl } from '../../lib/shareLink';
+import { canRedo, canUndo, configHistoryReducer, createHistory } from '../../lib/configHistory';
+import { MAX_VARIANTS, compareVariants, nextVariantName } from '../../lib/designVariants';
+import { checkStructure } from '../../lib/structuralRules';
+import { billOfMaterialsToCSV, billOfMaterialsToJSON, buildBillOfMaterials } from '../../lib/billOfMaterials';
+import { buildOffertePdf } from '../../lib/offerte';
+import { DEFAULT_DEALER } from '../../lib/dealerRates';
+import { PriceCalculator, formatGridCell } from '../../lib/priceCalculator';
+import { DEFAULT_SHADE_WINDOW, analyseShade, formatShadeSummary } from '../../lib/shadeAnalysis';
+import { COMPASS_POINTS, NIGHT_ALTITUDE, formatSunTime, getDayOfYear, getSunDirection, getSunPosition, toDutchDate } from '../../lib/sunPosition';
+import toast from 'react-hot-toast';
 
 
 // ============================================
-// GEMINI AI INTEGRATION
+// AI CONFIGURATION (server-side proxy)
 // ============================================
 
-// ============================================
-// FIXED GEMINI API INTEGRATION
-// Replace your callGeminiAPI function with this version
-// ============================================
-
-const GEMINI_API_KEY = process.env.NEXT_PUBLIC_GEMINI_API_KEY;
-
-// Check if API key is set
-if (!GEMINI_API_KEY) {
-  console.error('❌ GEMINI_API_KEY is not set in environment variables!');
-  console.log('Add this to your .env.local file:');
-  console.log('NEXT_PUBLIC_GEMINI_API_KEY=your_api_key_here');
-}
-
-const SYSTEM_CONTEXT = `You are an expert Dutch veranda configurator assistant. 
-
-CRITICAL RULES:
-1. ALWAYS return ONLY valid JSON - no markdown, no backticks, no explanations
-2. Use EXACT field names as specified below
-3. All measurements in meters (m)
-4. Return ALL fields every time
-
-FRAME COLORS (metalMaterial):
-- "anthracite" (default, modern, dark grey)
-- "black" (bold, contemporary)
-- "grey" (neutral, versatile)
-- "white" (clean, traditional)
-
-GLASS TYPES (glassType):
-- "double" (basic, 2 panels)
-- "triple" (standard, 3 panels)
-- "fourfold" (premium, 4 panels)
-- "fivefold" (luxury, 5 panels)
-- "sixfold" (ultimate luxury, 6 panels)
-
-GLASS STYLES (glassStyle):
-- "withframe" (framed borders)
-- "onlyglass" (frameless, modern)
-- "grid" (traditional divided panes)
-
-EXACT JSON FORMAT TO RETURN:
-{
-  "width": 5.5,
-  "depth": 4.5,
-  "height": 3.0,
-  "metalMaterial": "anthracite",
-  "glassType": "triple",
-  "glassStyle": "withframe",
-  "enclosureEnabled": true,
-  "selectedSide": "front",
-  "enclosureType": "glass",
-  "lightsOn": false,
-  "lightShape": "circle",
-  "lightColor": "#ffd700",
-  "roofPitchActive": false,
-  "roofPitchAngle": 0,
-  "roofAwningPosition": "none",
-  "verandaType": "wall-mounted"
-}
-
-NOW ANALYZE THE USER'S REQUEST AND RETURN ONLY THE JSON OBJECT.`;
-
-// ============================================
-// HOUSE TYPE SMART DEFAULTS
-// ============================================
-
-const HOUSE_TYPE_DEFAULTS = {
-  tussenwoning: {
-    label: 'Tussenwoning',
-    description: 'Row house with neighbors on both sides',
-    icon: '🏘️',
-    width: 5.0,
-    depth: 4.5,
-    height: 3.0,
-    leftWallOption: 'rabat',      // Solid aluminum
-    rightWallOption: 'rabat',     // Solid aluminum
-    showLeftFence: true,
-    showRightFence: true,
-    metalMaterial: 'anthracite',
-    enclosureEnabled: true,
-    selectedSide: 'front',
-    glassType: 'triple'
-  },
-  hoekwoning: {
-    label: 'Hoekwoning',
-    description: 'Corner house with one neighbor',
-    icon: '🏡',
-    width: 5.5,
-    depth: 4.5,
-    height: 3.0,
-    leftWallOption: 'rabat',      // Solid on neighbor side
-    rightWallOption: 'glass',     // Glass on open side
-    showLeftFence: true,
-    showRightFence: false,
-    metalMaterial: 'anthracite',
-    enclosureEnabled: true,
-    selectedSide: 'front',
-    glassType: 'fourfold'
-  },
-  vrijstaand: {
-    label: 'Vrijstaand',
-    description: 'Detached house with open sides',
-    icon: '🏰',
-    width: 6.5,
-    depth: 5.0,
-    height: 3.0,
-    leftWallOption: 'glass',      // Glass both sides
-    rightWallOption: 'glass',
-    showLeftFence: false,
-    showRightFence: false,
-    metalMaterial: 'black',
-    enclosureEnabled: true,
-    selectedSide: 'front',
-    glassType: 'sixfold'
-  }
-};
-
-// Side wall option types
-const SIDE_WALL_OPTIONS = {
-  open: { label: 'Open', price: 0, description: 'No enclosure' },
-  glass: { label: 'Glass Wall', price: 1, description: 'Full glass transparency' },
-  rabat: { label: 'Aluminum Rabat', price: 1.5, description: 'Privacy & maintenance-free' },
-  wood: { label: 'Wood Panel', price: 1.2, description: 'Natural warmth' },
-  window: { label: 'Window Wall', price: 1.3, description: 'Glass with frame' }
-};
- 
-async function callGeminiAPI(userText, conversationHistory = []) {
-  if (!GEMINI_API_KEY || GEMINI_API_KEY === 'undefined') {
-    console.error('❌ Gemini API Key is missing!');
-    return {
-      success: false,
-      error: 'API key not configured.',
-      fallbackConfig: getDefaultConfig()
-    };
-  }
+// Gemini is called from /api/ai-configure so the API key never reaches the browser
+async function requestAIConfig(userText, conversationHistory = []) {
+  let data = null;
 
   try {
-    const prompt = `${SYSTEM_CONTEXT}
-
-USER REQUEST: "${userText}"
-
-${conversationHistory.length > 0 ? `PREVIOUS CONTEXT: ${JSON.stringify(conversationHistory.slice(-2))}` : ''}
-
-Return ONLY the JSON configuration object.`;
-
-    // UPDATED MODEL: gemini-2.5-flash
-    const modelName = 'gemini-2.5-flash';
-    
-    console.log(`🔄 Calling Gemini API (${modelName})...`);
-
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${GEMINI_API_KEY}`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{ text: prompt }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 1024,
-            responseMimeType: "application/json" // Force JSON response
-          }
-        })
-      }
-    );
+    const response = await fetch('/api/ai-configure', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ text: userText, history: conversationHistory })
+    });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => null);
-      // Log the full error for debugging
-      console.error('❌ Gemini API Error:', errorData);
-      
-      // Check for specific model not found error to give better feedback
-      if (response.status === 404) {
-        throw new Error(`Model ${modelName} not found. Try checking API documentation for valid model names.`);
-      }
-      
-      throw new Error(errorData?.error?.message || `API Error ${response.status}`);
-    }
+    data = await response.json().catch(() => null);
 
-    const data = await response.json();
-    
-    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-      throw new Error('Invalid response structure from Gemini');
+    if (!response.ok || !data?.success) {
+      throw new Error(data?.error || `API Error ${response.status}`);
     }
 
-    let textResponse = data.candidates[0].content.parts[0].text;
-    textResponse = textResponse.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-    const config = JSON.parse(textResponse);
-    console.log('✅ Parsed Config:', config);
-
-    // Merge with defaults to ensure all fields exist
-    const finalConfig = { ...getDefaultConfig(), ...config };
-
-    return {
-      success: true,
-      config: finalConfig,
-      rawResponse: textResponse
-    };
-
+    console.log('✅ Parsed Config:', data.config);
+    return data;
   } catch (error) {
-    console.error('❌ Gemini API Processing Error:', error);
+    console.error('❌ AI Configure Error:', error);
     return {
       success: false,
       error: error.message,
-      fallbackConfig: getDefaultConfig()
+      fallbackConfig: data?.fallbackConfig || getDefaultConfig()
     };
   }
 }
 
-// Helper to ensure clean defaults
-function getDefaultConfig() {
-  return {
-    width: 5.5,
-    depth: 4.5,
-    height: 3.0,
-    metalMaterial: 'anthracite',
-    glassType: 'triple',
-    glassStyle: 'withframe',
-    enclosureEnabled: true,
-    selectedSide: 'front',
-    enclosureType: 'glass',
-    lightsOn: false,
-    lightShape: 'circle',
-    lightColor: '#ffd700',
-    roofPitchActive: true,
-    roofPitchAngle: 0,
-    roofAwningPosition: 'none',
-    verandaType: 'wall-mounted'
-  };
-}
 // ============================================
-// PRICING SYSTEM
+// SAVED DESIGNS API
 // ============================================
 
-const PRICE_MULTIPLIER = 2.21;
-
-const applyMultiplier = (price) => Math.round(price * PRICE_MULTIPLIER * 100) / 100;
-
-const CapellaPricing = {
-  glassPanels: {
-    heights: {
-      'standard': { clear: 160, tinted: 180 },
-      'custom': { clear: 165, tinted: 'custom' }
-    }
-  },
-  rails: {
-    '2-track': 80, '3-track': 85, '4-track': 90, '5-track': 95, '6-track': 100
-  },
-  surcharges: {
-    customWork: 60,
-    widthOver1200mm: 0.20
-  }
-};
-
-const CastorPricing = {
-  polycarbonateRoof: {
-    depths: {
-      2000: { 3060: 780, 4060: 920, 5060: 1025, 6060: 1150, 7060: 1300, 8060: 1500, 9060: 1800, 10060: 1950 },
-      2500: { 3060: 900, 4060: 1050, 5060: 1250, 6060: 1425, 7060: 1575, 8060: 1700, 9060: 2100, 10060: 2250 },
-      3000: { 3060: 1050, 4060: 1225, 5060: 1400, 6060: 1525, 7060: 1700, 8060: 1825, 9060: 2350, 10060: 2600 },
-      3500: { 3060: 1225, 4060: 1375, 5060: 1500, 6060: 1700, 7060: 1850, 8060: 2000, 9060: 2450, 10060: 2800 },
-      4000: { 3060: 1350, 4060: 1475, 5060: 1650, 6060: 1875, 7060: 2000, 8060: 2150, 9060: 2575, 10060: 2950 },
-      5000: { 3060: 1500, 4060: 1850, 5060: 2150, 6060: 2450, 7060: 2850, 8060: 3125, 9060: 3325, 10060: 3650 },
-      6000: { 3060: 1850, 4060: 2250, 5060: 2700, 6060: 3100, 7060: 3550, 8060: 3950, 9060: 4250, 10060: 4500 }
-    }
-  },
-  glassRoof: {
-    depths: {
-      2000: { 3060: 1275, 4060: 1500, 5060: 1700, 6060: 1900, 7060: 2150, 8060: 2350, 9060: 2650, 10060: 2900 },
-      2500: { 3060: 1475, 4060: 1675, 5060: 1900, 6060: 2100, 7060: 2375, 8060: 2600, 9060: 3000, 10060: 3250 },
-      3000: { 3060: 1650, 4060: 1875, 5060: 2100, 6060: 2300, 7060: 2600, 8060: 2870, 9060: 3300, 10060: 3550 },
-      3500: { 3060: 1975, 4060: 2300, 5060: 2575, 6060: 2900, 7060: 3100, 8060: 3450, 9060: 4000, 10060: 4350 },
-      4000: { 3060: 2200, 4060: 2580, 5060: 2850, 6060: 3200, 7060: 3500, 8060: 3800, 9060: 4500, 10060: 4900 }
-    }
-  },
-  surcharges: {
-    iqRelaxPoly: 10,
-    smokyGreyPoly: 12
-  }
-};
-
-const TitanPricing = {
-  polycarbonateRoof: {
-    depths: {
-      2000: { 3060: 860, 4060: 955, 5060: 1125, 6060: 1295, 7060: 1525, 8060: 1635, 9060: 1945, 10060: 2030 },
-      2500: { 3060: 935, 4060: 1065, 5060: 1255, 6060: 1450, 7060: 1610, 8060: 1745, 9060: 2180, 10060: 2295 },
-      3000: { 3060: 1015, 4060: 1165, 5060: 1455, 6060: 1575, 7060: 1765, 8060: 1895, 9060: 2385, 10060: 2670 },
-      3500: { 3060: 1205, 4060: 1385, 5060: 1560, 6060: 1810, 7060: 1965, 8060: 2090, 9060: 2540, 10060: 2880 },
-      4000: { 3060: 1365, 4060: 1570, 5060: 1785, 6060: 1965, 7060: 2090, 8060: 2210, 9060: 2695, 10060: 3150 },
-      4500: { 3060: 1620, 4060: 1775, 5060: 1985, 6060: 2300, 7060: 2590, 8060: 2890, 9060: 3095, 10060: 3620 }
-    }
-  },
-  glassRoof: {
-    clear: {
-      depths: {
-        2000: { 3060: 1260, 4060: 1505, 5060: 1755, 6060: 1995, 7060: 2245, 8060: 2460, 9060: 2965, 10060: 3285 },
-        2500: { 3060: 1400, 4060: 1655, 5060: 1895, 6060: 2125, 7060: 2365, 8060: 2605, 9060: 3140, 10060: 3410 },
-        3000: { 3060: 1630, 4060: 1840, 5060: 2190, 6060: 2350, 7060: 2895, 8060: 3050, 9060: 3400, 10060: 3800 },
-        3500: { 3060: 2050, 4060: 2285, 5060: 2660, 6060: 3050, 7060: 3690, 8060: 3900, 9060: 4150, 10060: 4600 },
-        4000: { 3060: 2440, 4060: 2675, 5060: 3050, 6060: 3450, 7060: 4060, 8060: 4700, 9060: 5100, 10060: 5280 }
-      }
-    }
-  },
-  ledLighting: {
-    single: 12,
-    sets: { 6: 160, 8: 180, 10: 200, 12: 220, 14: 340, 16: 360, 18: 380 }
-  }
-};
+const DESIGNER_ID_KEY = 'cubesse-designer-id';
 
-const SideWallsPricing = {
-  zijwandPolycarbonate: {
-    2000: 260, 2500: 315, 3000: 335, 3500: 370, 4000: 395, 4500: 465, 5000: 510
+// Anonymous id that scopes "My designs" to this browser
+const getDesignerId = () => {
+  let designerId = window.localStorage.getItem(DESIGNER_ID_KEY);
+  if (!designerId) {
+    designerId = window.crypto?.randomUUID?.() ||
+      `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    window.localStorage.setItem(DESIGNER_ID_KEY, designerId);
   }
+  return designerId;
 };
 
-class PriceCalculator {
-  constructor() {
-    this.multiplier = PRICE_MULTIPLIER;
-  }
-
-  findClosestDimension(dimensions, targetDepth, targetWidth) {
-    const depthKeys = Object.keys(dimensions).map(Number).sort((a, b) => a - b);
-    const closestDepth = depthKeys.reduce((prev, curr) => 
-      Math.abs(curr - targetDepth) < Math.abs(prev - targetDepth) ? curr : prev
-    );
-
-    const widthKeys = Object.keys(dimensions[closestDepth]).map(Number).sort((a, b) => a - b);
-    const closestWidth = widthKeys.reduce((prev, curr) => 
-      Math.abs(curr - targetWidth) < Math.abs(prev - targetWidth) ? curr : prev
-    );
-
-    return { depth: closestDepth, width: closestWidth };
-  }
-
-  calculateVerandaRoof(config) {
-    const {
-      model = 'castor',
-      roofType = 'polycarbonate',
-      depth = 3000,
-      width = 4000
-    } = config;
-
-    let pricing;
-    let basePrice = 0;
-
-    if (model.toLowerCase() === 'castor') {
-      pricing = roofType === 'polycarbonate' ? 
-        CastorPricing.polycarbonateRoof.depths : 
-        CastorPricing.glassRoof.depths;
-    } else {
-      pricing = roofType === 'polycarbonate' ? 
-        TitanPricing.polycarbonateRoof.depths : 
-        TitanPricing.glassRoof.clear.depths;
-    }
-
-    const coords = this.findClosestDimension(pricing, depth, width);
-    basePrice = pricing[coords.depth][coords.width];
-
-    return {
-      wholesale: basePrice,
-      retail: applyMultiplier(basePrice),
-      dimensions: { depth, width, area: (depth / 1000) * (width / 1000) }
-    };
-  }
-
-  calculateLEDLighting(lightCount) {
-    let basePrice;
-    
-    if (lightCount === 1) {
-      basePrice = TitanPricing.ledLighting.single;
-    } else if (TitanPricing.ledLighting.sets[lightCount]) {
-      basePrice = TitanPricing.ledLighting.sets[lightCount];
-    } else {
-      return { error: 'Invalid light count' };
+async function designsRequest(path = '', options = {}) {
+  const response = await fetch(`/api/designs${path}`, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-designer-id': getDesignerId()
     }
+  });
 
-    return {
-      wholesale: basePrice,
-      retail: applyMultiplier(basePrice),
-      lightCount
-    };
-  }
-
-  calculateSideWall(depth) {
-    const availableDepths = Object.keys(SideWallsPricing.zijwandPolycarbonate).map(Number);
-    const closestDepth = availableDepths.reduce((prev, curr) => 
-      Math.abs(curr - depth) < Math.abs(prev - depth) ? curr : prev
-    );
-    
-    const basePrice = SideWallsPricing.zijwandPolycarbonate[closestDepth];
-    
-    if (!basePrice) {
-      return { error: 'Invalid depth' };
-    }
+  if (response.status === 204) return null;
 
-    return {
-      wholesale: basePrice,
-      retail: applyMultiplier(basePrice),
-      depth: closestDepth
-    };
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(data?.error || `API Error ${response.status}`);
   }
+  return data;
+}
 
-  calculateCompleteVeranda(config) {
-    const {
-      model = 'castor',
-      depth = 3000,
-      width = 4000,
-      roofType = 'polycarbonate',
-      enclosures = { left: false, right: false },
-      lighting = 0
-    } = config;
-
-    const results = {
-      roof: this.calculateVerandaRoof({ model, roofType, depth, width }),
-      enclosures: {},
-      lighting: null,
-      total: { wholesale: 0, retail: 0 }
-    };
+// Small JPEG of the current 3D view (needs preserveDrawingBuffer on the Canvas)
+const captureThumbnail = (sourceCanvas, maxWidth = 320) => {
+  if (!sourceCanvas) return null;
 
-    if (enclosures.left) {
-      results.enclosures.left = this.calculateSideWall(depth);
-    }
-    if (enclosures.right) {
-      results.enclosures.right = this.calculateSideWall(depth);
-    }
+  const scale = Math.min(1, maxWidth / sourceCanvas.width);
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = Math.round(sourceCanvas.width * scale);
+  thumbnail.height = Math.round(sourceCanvas.height * scale);
+  thumbnail.getContext('2d').drawImage(sourceCanvas, 0, 0, thumbnail.width, thumbnail.height);
 
-    if (lighting > 0) {
-      results.lighting = this.calculateLEDLighting(lighting);
-    }
+  return thumbnail.toDataURL('image/jpeg', 0.75);
+};
 
-    results.total.wholesale = results.roof.wholesale;
-    results.total.retail = results.roof.retail;
+// Front, side and top views of the veranda for the offerte PDF. Each view is
+// rendered once with its own camera; the next frame restores the live view.
+const OFFERTE_VIEW_PARTS = ['floor', ...ROOF_MESHES.frame, ...POST_MESHES.front.left, ...POST_MESHES.front.right];
 
-    Object.values(results.enclosures).forEach(enclosure => {
-      if (!enclosure.error) {
-        results.total.wholesale += enclosure.wholesale;
-        results.total.retail += enclosure.retail;
-      }
-    });
+const captureOfferteViews = (gl, scene) => {
+  if (!gl || !scene) return {};
 
-    if (results.lighting && !results.lighting.error) {
-      results.total.wholesale += results.lighting.wholesale;
-      results.total.retail += results.lighting.retail;
-    }
+  const box = new THREE.Box3();
+  scene.traverse((child) => {
+    if (child.visible && OFFERTE_VIEW_PARTS.includes(child.name.toLowerCase())) box.expandByObject(child);
+  });
+  if (box.isEmpty()) return {};
+
+  const centre = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  const camera = new THREE.PerspectiveCamera(35, gl.domElement.width / gl.domElement.height, 0.05, 200);
+  const fitDistance = (extent) => (extent / 2) / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) * 1.3;
+
+  // The garden is at -z, so the front view looks at the veranda from -z
+  const views = {
+    front: { direction: [0, 0.15, -1], up: [0, 1, 0], extent: Math.max(size.x / camera.aspect, size.y), inset: size.z / 2 },
+    side: { direction: [1, 0.15, 0], up: [0, 1, 0], extent: Math.max(size.z / camera.aspect, size.y), inset: size.x / 2 },
+    top: { direction: [0, 1, 0], up: [0, 0, 1], extent: Math.max(size.x / camera.aspect, size.z), inset: size.y / 2 }
+  };
 
-    return results;
-  }
-}
+  return Object.fromEntries(Object.entries(views).map(([name, view]) => {
+    const direction = new THREE.Vector3(...view.direction).normalize();
+    camera.up.set(...view.up);
+    camera.position.copy(centre).addScaledVector(direction, fitDistance(view.extent) + view.inset);
+    camera.lookAt(centre);
+    camera.updateProjectionMatrix();
+    gl.render(scene, camera);
+    return [name, captureThumbnail(gl.domElement, 800)];
+  }));
+};
 
 // ============================================
 // UI COMPONENTS
@@ -1184,53 +860,26 @@ useFrame(() => {
 
   return <primitive ref={houseRef} object={activeScene} key={houseType} />;
 };
-// ============================================
-// GLASS TINT COLORS
-// ============================================
-const GLASS_TINT_COLORS = {
-  clear: {
-    label: 'Clear',
-    color: '#ffffff',
-    opacity: 0.3,
-    description: 'No tint'
-  },
-  lightgrey: {
-    label: 'Light Grey',
-    color: '#b0b0b0',
-    opacity: 0.4,
-    description: 'Subtle grey tint'
-  },
-  smokegrey: {
-    label: 'Smoke Grey',
-    color: '#707070',
-    opacity: 0.5,
-    description: 'Dark smoke effect'
-  },
-  bronze: {
-    label: 'Bronze',
-    color: '#cd7f32',
-    opacity: 0.45,
-    description: 'Warm bronze tone'
-  },
-  green: {
-    label: 'Green',
-    color: '#90c090',
-    opacity: 0.4,
-    description: 'Subtle green tint'
-  },
-  blue: {
-    label: 'Blue',
-    color: '#a0c0e0',
-    opacity: 0.4,
-    description: 'Light blue tint'
-  }
+
+// Polycarbonate roof sheet looks (MeshPhysicalMaterial parameters)
+const ROOF_SHEET_MATERIALS = {
+  clear: { color: '#ffffff', metalness: 0, roughness: 0.15, transmission: 0.85, transparent: true, opacity: 0.35 },
+  opal: { color: '#f4f4f0', metalness: 0, roughness: 0.6, transmission: 0.5, transparent: true, opacity: 0.75 },
+  iqrelax: { color: '#e6edf5', metalness: 0.35, roughness: 0.3, transmission: 0.35, transparent: true, opacity: 0.8 },
+  smokygrey: { color: '#5c5c60', metalness: 0, roughness: 0.2, transmission: 0.6, transparent: true, opacity: 0.6 }
 };
 
+// Shade analysis heatmap: full sun -> fully shaded
+const SHADE_MAP_SUN_COLOR = new THREE.Color('#ffb300');
+const SHADE_MAP_SHADE_COLOR = new THREE.Color('#3d336f');
+
 const VerandaModel = ({ 
   roofPitchActive,
   roofPitchAngle,
   roofAwningPosition,
   metalMaterial,
+  frameRal,
+  frameFinish,
   enclosureType,
   enclosureEnabled,
   selectedSide,
@@ -1246,15 +895,44 @@ const VerandaModel = ({
   sideEnclosureTypes,
   verandaType,
   tintedGlassEnabled,
-  glassColor
+  glassColor,
+  roofType,
+  roofSheet,
+  ledSpots = [],
+  lightingScene,
+  shadeMap,
+  postPositions = []
 }) => {
-  const { scene } = useGLTF('/ver.glb');
+  const { scene: gltfScene } = useGLTF('/ver.glb');
+  // Every instance (the configurator, each compare viewport) gets its own copy,
+  // since the effects below change meshes and materials in place
+  const scene = useMemo(() => {
+    const copy = gltfScene.clone(true);
+    copy.traverse(child => {
+      if (!child.isMesh || !child.material) return;
+      child.material = Array.isArray(child.material) ? child.material.map(material => material.clone()) : child.material.clone();
+    });
+    return copy;
+  }, [gltfScene]);
   const modelRef = useRef();
   const pointLightRef = useRef();
+  const ledSpotsRef = useRef([]);
+  const extraPostsRef = useRef([]);
   const floorRef = useRef();
 useEffect(() => {
   if (!scene) return;
 
+  // Spot clones from the previous run are rebuilt at the end of this effect
+  ledSpotsRef.current.forEach(spot => {
+    spot.removeFromParent();
+    spot.material?.dispose();
+  });
+  ledSpotsRef.current = [];
+
+  // Extra posts share the corner post's material, so they are only detached
+  extraPostsRef.current.forEach(post => post.removeFromParent());
+  extraPostsRef.current = [];
+
   // ============================================
   // STEP 1: DEFINE ALL CONSTANTS FIRST
   // ============================================
@@ -1280,79 +958,16 @@ const visibleAtStart = [
 
   const alwaysVisibleStructural = [];
 
-const glassConfigs = {
-  double: {
-    borders: ['borderglassleft', 'borderglassright'],
-    holders: ['twoglassholder', 'twoglassholderbottom'],
-    glasses: ['oneglassleft', 'oneglassright'],
-    sliders: ['doubleglasssliderleft', 'doubleglasssliderright'],
-    singleGlasses: ['oneglassleft', 'oneglassright'],
-    grid: 'griddouble',
-    pillarScale: { x: 1.0, y: 1.0, z: 1.0 },
-    // 🆕 ADD: Left/Right specific glass names
-    leftGlasses: ['doubleglasssliderleft'],
-    rightGlasses: ['doubleglasssliderright']
-  },
-  triple: {
-    borders: ['borderglasslefttriple', 'borderglassmidtriple', 'borderglassrighttriple'],
-    holders: ['tripleglassholder', 'tripleglassholderbottom'],
-    glasses: ['tripleleftglass', 'triplemidglass', 'triplerightglass'],
-    sliders: ['tripleglasssliderleft', 'tripleglassslidermid', 'tripleglasssliderright'],
-    grid: 'gridtriple',
-    pillarScale: { x: 1.4, y: 1.4, z: 1.4 },
-  
-  },
-  fourfold: {
-    borders: ['borderglassfourleft', 'borderglassfoursecond', 'borderglassfourthird', 'borderglassfourright'],
-    holders: ['fourglassholder', 'fourglassholderbottom'],
-    glasses: ['fourfirstglass', 'foursecondglass', 'fourthirdglass', 'fourlastglass'],
-    sliders: ['glasssliderfourleft', 'glasssliderfoursecond', 'glasssliderfourthird', 'glasssliderfourright'],
-    grid: 'gridfourfold',
-    pillarScale: { x: 1.6, y: 1.6, z: 1.6 },
-    // 🆕 ADD: Based on your screenshots
-    leftGlasses: ['borderglassfourleft', 'borderglassfoursecond', 'borderglassfourthird', 'borderglassfourright'],
-    rightGlasses: ['borderglassfourleft', 'borderglassfoursecond', 'borderglassfourthird', 'borderglassfourright']
-  },
-  fivefold: {
-    borders: ['borderglassfiveleft', 'borderglassfivesecond', 'borderglassfivethird', 'borderglassfivefourth', 'borderglassfiveright'],
-    holders: ['fiveglassholder', 'fiveglassholderbottom'],
-    glasses: ['fivefirstglass', 'fivesecondglass', 'fivethirdglass', 'fivefourthglass', 'fivelastglass'],
-    sliders: ['glasssliderfiveleft', 'glasssliderfivesecond', 'glasssliderfivethird', 'glasssliderfivefour', 'glasssliderfiveright'],
-    grid: 'gridfivefold',
-    pillarScale: { x: 1.85, y: 1.85, z: 1.85 },
-    // 🆕 ADD: Based on your screenshots
-    leftGlasses: ['borderglassfiveleft', 'borderglassfivesecond', 'borderglassfivethird', 'borderglassfivefourth', 'fivefirstglass'],
-    rightGlasses: ['borderglassfivefourth', 'borderglassfiveright', 'fivefourthglass', 'fivelastglass']
-  },
-  sixfold: {
-    borders: ['borderglasssixleft', 'borderglasssixsecond', 'borderglasssixthird', 'borderglasssixfourth', 'borderglasssixfifth', 'borderglasssixright'],
-    holders: ['sixglassholder', 'sixglassholderbottom'],
-    glasses: ['sixfirstglass', 'sixsecondglass', 'sixthirdglass', 'sixfourthglass', 'sixfifthglass', 'sixlastglass'],
-    sliders: ['glasslidersixleft', 'glassslidersixsecond', 'glasslidersixthird', 'glasslidersixfour', 'glasslidersixfifth', 'glasslidersixright'],
-    grid: 'gridsixfold',
-    pillarScale: { x: 2.2, y: 2.1, z: 2.1 },
-    // 🆕 ADD: Based on your screenshots
-    leftGlasses: ['borderglasssixleft', 'borderglasssixsecond', 'borderglasssixthird', 'sixfirstglass', 'sixsecondglass'],
-    rightGlasses: ['borderglasssixfourth', 'borderglasssixfifth', 'borderglasssixright', 'sixfourthglass', 'sixfifthglass', 'sixlastglass']
-  }
-};
 
-  const currentGlassConfig = glassConfigs[glassType] || glassConfigs.double;
+  const currentGlassConfig = GLASS_CONFIGS[glassType] || GLASS_CONFIGS.double;
 
-  const getFrameColor = () => {
-    switch(metalMaterial) {
-      case 'anthracite': return '#28282d';
-      case 'black': return '#000000';
-      case 'grey': return '#808080';
-      case 'white': return '#f5f5f5';
-      default: return '#28282d';
-    }
-  };
+  // Standard colour or RAL pick; the finish sets how metallic the coating looks
+  const frameColor = describeFrameColor({ metalMaterial, frameRal, frameFinish });
 
   const frameMaterial = new THREE.MeshStandardMaterial({
-    color: getFrameColor(),
-    metalness: 0.8,
-    roughness: 0.2
+    color: frameColor.color,
+    metalness: frameColor.finish.metalness,
+    roughness: frameColor.finish.roughness
   });
 
   // ============================================
@@ -1388,6 +1003,10 @@ const getGlassMaterial = () => {
 
 const glassMaterial = getGlassMaterial();
 
+const polycarbonateMaterial = new THREE.MeshPhysicalMaterial(
+  ROOF_SHEET_MATERIALS[roofSheet] || ROOF_SHEET_MATERIALS.opal
+);
+
   const lightEmissiveColor = timeOfDay === 'night' ? lightColor : '#000000';
   const lightIntensity = timeOfDay === 'night' ? 1.5 : 0;
 
@@ -1400,7 +1019,7 @@ const glassMaterial = getGlassMaterial();
   });
 
   const allGlassObjects = [];
-  Object.entries(glassConfigs).forEach(([type, config]) => {
+  Object.entries(GLASS_CONFIGS).forEach(([type, config]) => {
     if (type !== 'double') {
       allGlassObjects.push(
         ...config.borders,
@@ -1601,9 +1220,9 @@ if (isNonDoubleGlassObject) {
 
 if (enclosureEnabled) {
   // ❌ REMOVED: 'leftglass', 'leftholder' (now handled by .001 objects)
-  const leftMetalParts = ['metalleft', 'metalholderleft'];
-  const leftWoodParts = ['woodleft', 'woodholderleft'];
-  const leftWindowParts = ['windowwallleft', 'windowleftone', 'windowlefttwo', 'windowleftholder2', 'windowleftholder'];
+  const leftMetalParts = SIDE_WALL_MESHES.left.metal;
+  const leftWoodParts = SIDE_WALL_MESHES.left.wood;
+  const leftWindowParts = SIDE_WALL_MESHES.left.window;
   
   const leftEnclosureType = sideEnclosureTypes?.left?.material || 'glass';
   
@@ -1639,9 +1258,9 @@ if (enclosureEnabled) {
 // ============================================
 if (enclosureEnabled) {
   // ❌ REMOVED: 'rightglass', 'rightholder' (now handled by .002 objects)
-  const rightMetalParts = ['metalright', 'metalholderright'];
-  const rightWoodParts = ['woodright', 'woodholderright'];
-  const rightWindowParts = ['windowwallright', 'windowrightone', 'windowrighttwo', 'windowrightholder2', 'windowrightholder'];
+  const rightMetalParts = SIDE_WALL_MESHES.right.metal;
+  const rightWoodParts = SIDE_WALL_MESHES.right.wood;
+  const rightWindowParts = SIDE_WALL_MESHES.right.window;
   
   const rightEnclosureType = sideEnclosureTypes?.right?.material || 'glass';
   
@@ -1704,9 +1323,9 @@ if (enclosureEnabled) {
   const leftGlassType = sideEnclosureTypes.left?.glassType || glassType;
   const rightGlassType = sideEnclosureTypes.right?.glassType || glassType;
 
-  const frontConfig = glassConfigs[frontGlassType];
-  const leftConfig = glassConfigs[leftGlassType];   
-  const rightConfig = glassConfigs[rightGlassType]; 
+  const frontConfig = GLASS_CONFIGS[frontGlassType];
+  const leftConfig = GLASS_CONFIGS[leftGlassType];   
+  const rightConfig = GLASS_CONFIGS[rightGlassType]; 
 
   const frontMaterial = sideEnclosureTypes.front?.material || 'glass';
   const leftMaterial = sideEnclosureTypes.left?.material || 'glass';
@@ -1726,7 +1345,7 @@ if (enclosureEnabled) {
   // We check all configs to ensure we hide it if it's not the currently selected one.
   let isAnyGlassObject = false;
 
-  Object.values(glassConfigs).forEach((config) => {
+  Object.values(GLASS_CONFIGS).forEach((config) => {
     const allParts = [
       ...config.borders,
       ...config.holders,
@@ -1799,8 +1418,8 @@ if (enclosureEnabled) {
   // Or hide everything if you want total open air.
   // Assuming default behavior is kept for 'double' elements if Enclosure is OFF:
   const doubleGlassObjects = [
-    ...glassConfigs.double.holders,
-    ...glassConfigs.double.glasses
+    ...GLASS_CONFIGS.double.holders,
+    ...GLASS_CONFIGS.double.glasses
   ];
   
   if (doubleGlassObjects.some(obj => childNameLower === obj.toLowerCase())) {
@@ -1957,49 +1576,31 @@ if (roofAwningPosition === 'top') {
 }
 
     // ============================================
-    // K. LIGHTING LOGIC - SINGLE UNIFIED SECTION
+    // K. LIGHT FIXTURES - templates for the LED spots
     // ============================================
-    // ============================================
-// K. LIGHTING LOGIC - ONLY FLAT ROOF LIGHTS
-// ============================================
+    // The fixtures in the model are never shown themselves: STEP 7 clones the
+    // one matching the light shape and roof (flat or pitched) once per planned spot
 
 const normalLights = ['lightsround', 'lightsrect', 'lightssquare'];
+const pitchedLights = ['roofpitchlightround', 'roofpitchlightsrect', 'roofpitchlightssquare'];
 
-// Hide ALL lights first
-normalLights.forEach(lightName => {
-  if (childNameLower === lightName.toLowerCase()) {
-    child.visible = false;
-  }
-});
+if ([...normalLights, ...pitchedLights].includes(childNameLower)) {
+  child.visible = false;
+}
 
-// Show lights ONLY if lightsOn is true AND pitched roof is INACTIVE
-if (lightsOn && !roofPitchActive) {
-  if (lightShape === 'circle' && childNameLower === 'lightsround') {
-    child.visible = true;
-    if (child.material) child.material = lightMaterial.clone();
-  } 
-  else if (lightShape === 'rectangle' && childNameLower === 'lightsrect') {
-    child.visible = true;
-    if (child.material) child.material = lightMaterial.clone();
-  } 
-  else if (lightShape === 'square' && childNameLower === 'lightssquare') {
-    child.visible = true;
-    if (child.material) child.material = lightMaterial.clone();
-  }
+// Pitched roof fixtures tilt with the roof sheet, so their clones do too
+if (pitchedLights.includes(childNameLower)) {
+  child.rotation.x = -THREE.MathUtils.degToRad(roofPitchAngle);
 }
 
   const roofGlassObjects = ['normroofglass', 'roofpitchglass'];
     
     if (roofGlassObjects.includes(childNameLower)) {
       if (child.material) {
-        child.material = glassMaterial.clone();
+        child.material = (roofType === 'glass' ? glassMaterial : polycarbonateMaterial).clone();
       }
     }
 
-// ✅ REMOVED: All pitched roof light logic
-// Pitched roof lights (roofpitchlightround, roofpitchlightsrect, roofpitchlightssquare) 
-// are permanently disabled
-
     // ============================================
     // L. FRAME COLOR APPLICATION
     // ============================================
@@ -2100,7 +1701,157 @@ scene.traverse((child) => {
     }
   });
 
-}, [scene, roofPitchActive, roofPitchAngle, roofAwningPosition, metalMaterial, lightsOn, lightShape, timeOfDay, lightColor, enclosureType, glassType, glassStyle, enclosureEnabled, width, depth, height, selectedSide, sideEnclosureTypes, verandaType,tintedGlassEnabled,glassColor]);
+  // ============================================
+  // STEP 7: LED SPOTS - one clone of the chosen fixture per planned spot
+  // ============================================
+
+  const spotTemplateName = roofPitchActive
+    ? { circle: 'roofpitchlightround', rectangle: 'roofpitchlightsrect', square: 'roofpitchlightssquare' }[lightShape]
+    : { circle: 'lightsround', rectangle: 'lightsrect', square: 'lightssquare' }[lightShape];
+  const roofPanelName = roofPitchActive ? 'roofpitchglass' : 'normroofglass';
+  let spotTemplate = null;
+  let roofPanel = null;
+  scene.traverse((child) => {
+    const childNameLower = child.name.toLowerCase();
+    if (childNameLower === spotTemplateName) spotTemplate = child;
+    if (childNameLower === roofPanelName) roofPanel = child;
+  });
+
+  if (lightsOn && spotTemplate?.parent && roofPanel) {
+    scene.updateMatrixWorld(true);
+
+    // Spots are planned in metres across the roof; map them onto the roof panel's footprint.
+    // On a pitched roof the box is the sloped sheet's horizontal footprint.
+    const roofBox = new THREE.Box3().setFromObject(roofPanel);
+    const templatePosition = spotTemplate.getWorldPosition(new THREE.Vector3());
+    // Follows the fixtures' rotation.x = angleRad: a horizontal offset dz from the
+    // fixture's pivot moves the spot by -dz * tan(angleRad) along y
+    const angleRad = -THREE.MathUtils.degToRad(roofPitchAngle);
+    const pitchSlope = roofPitchActive ? -Math.tan(angleRad) : 0;
+    const litCentre = new THREE.Vector3();
+    let litCount = 0;
+    const isNight = timeOfDay === 'night';
+    const sceneColor = getSceneColor(lightingScene, lightColor);
+
+    spotTemplate.visible = false;
+
+    // spot.z runs from the house wall, which is on the +z side of the scene
+    ledSpots.forEach((spot, index) => {
+      const worldPosition = new THREE.Vector3(
+        THREE.MathUtils.lerp(roofBox.min.x, roofBox.max.x, spot.x / width + 0.5),
+        templatePosition.y,
+        THREE.MathUtils.lerp(roofBox.max.z, roofBox.min.z, spot.z / depth)
+      );
+
+      const clone = spotTemplate.clone(false);
+      clone.name = `${spotTemplateName}-spot-${index}`;
+      clone.material = lightMaterial.clone();
+      clone.visible = true;
+      clone.position.copy(spotTemplate.parent.worldToLocal(worldPosition));
+      clone.position.y += (clone.position.z - spotTemplate.position.z) * pitchSlope;
+
+      // Spots only glow; the one fill light below does the lighting, so the
+      // number of lights (and the compiled shaders) stays the same.
+      // Spots outside the scene's zones stay visible as switched-off fixtures.
+      if (lightingScene.zones.includes(spot.zone)) {
+        clone.material.emissive.set(sceneColor);
+        clone.material.emissiveIntensity = lightingScene.brightness * (isNight ? 2 : 0.4);
+        litCentre.add(spotTemplate.parent.localToWorld(clone.position.clone()));
+        litCount += 1;
+      } else {
+        clone.material.emissive.set('#000000');
+        clone.material.emissiveIntensity = 0;
+      }
+
+      spotTemplate.parent.add(clone);
+      ledSpotsRef.current.push(clone);
+    });
+
+    // The fill light sits just under the middle of the lit spots
+    if (pointLightRef.current && litCount > 0) {
+      pointLightRef.current.position.copy(litCentre.divideScalar(litCount));
+      pointLightRef.current.position.y -= 0.1;
+    }
+  }
+
+  // ============================================
+  // STEP 8: EXTRA POSTS - clones of the corner posts where the gutter needs support
+  // ============================================
+
+  const findPost = (...names) => {
+    let post = null;
+    scene.traverse((child) => {
+      if (!post && names.includes(child.name.toLowerCase())) post = child;
+    });
+    return post;
+  };
+
+  const postRows = [POST_MESHES.front, POST_MESHES.back].map(row => [findPost(...row.left), findPost(...row.right)]);
+
+  if (postPositions.length > 0) {
+    scene.updateMatrixWorld(true);
+  }
+
+  postRows.forEach(([leftPost, rightPost]) => {
+    if (!leftPost?.parent || !rightPost || !leftPost.visible) return;
+
+    // Interpolate between the posts' visual centres, their pivots may be anywhere
+    const leftCentre = new THREE.Box3().setFromObject(leftPost).getCenter(new THREE.Vector3());
+    const rightCentre = new THREE.Box3().setFromObject(rightPost).getCenter(new THREE.Vector3());
+    const leftOrigin = leftPost.getWorldPosition(new THREE.Vector3());
+
+    postPositions.forEach((x, index) => {
+      const offset = leftCentre.clone().lerp(rightCentre, x / width + 0.5).sub(leftCentre);
+      const post = leftPost.clone();
+      post.name = `${leftPost.name}-extra-${index}`;
+      post.position.copy(leftPost.parent.worldToLocal(leftOrigin.clone().add(offset)));
+      leftPost.parent.add(post);
+      extraPostsRef.current.push(post);
+    });
+  });
+
+}, [scene, roofPitchActive, roofPitchAngle, roofAwningPosition, metalMaterial, frameRal, frameFinish, lightsOn, lightShape, timeOfDay, lightColor, enclosureType, glassType, glassStyle, enclosureEnabled, width, depth, height, selectedSide, sideEnclosureTypes, verandaType,tintedGlassEnabled,glassColor, roofType, roofSheet, ledSpots, lightingScene, postPositions]);
+// Shade analysis heatmap, laid just above the terrace floor. Rows of the map
+// run from the house wall (+z) to the garden, columns from left to right.
+useEffect(() => {
+  const floor = floorRef.current;
+  if (!shadeMap || !floor || !scene.parent) return;
+
+  scene.updateMatrixWorld(true);
+  const floorBox = new THREE.Box3().setFromObject(floor);
+
+  const data = new Uint8Array(shadeMap.columns * shadeMap.rows * 4);
+  const color = new THREE.Color();
+  shadeMap.cells.forEach((shade, index) => {
+    color.copy(SHADE_MAP_SUN_COLOR).lerp(SHADE_MAP_SHADE_COLOR, shade);
+    data.set([color.r * 255, color.g * 255, color.b * 255, 170], index * 4);
+  });
+
+  const texture = new THREE.DataTexture(data, shadeMap.columns, shadeMap.rows, THREE.RGBAFormat);
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+
+  const overlay = new THREE.Mesh(
+    new THREE.PlaneGeometry(floorBox.max.x - floorBox.min.x, floorBox.max.z - floorBox.min.z),
+    new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+  );
+  overlay.name = 'shadeMapOverlay';
+  overlay.rotation.x = -Math.PI / 2;
+  overlay.position.set(
+    (floorBox.min.x + floorBox.max.x) / 2,
+    floorBox.max.y + 0.002,
+    (floorBox.min.z + floorBox.max.z) / 2
+  );
+  scene.parent.add(overlay);
+
+  return () => {
+    overlay.removeFromParent();
+    overlay.geometry.dispose();
+    overlay.material.dispose();
+    texture.dispose();
+  };
+}, [scene, shadeMap, width, depth, height, verandaType]);
+
 useFrame(({ camera }) => {
   if (floorRef.current && floorRef.current.material) {
     const cameraY = camera.position.y;
@@ -2123,26 +1874,22 @@ useFrame(({ camera }) => {
 });
 if (!scene) return null;
 
-// Calculate light position based on dimensions
-const lightHeight = height * 0.18; // 80% of veranda height
-const lightDepth = (depth / 4.93) * 0.15; // Center of veranda depth
+const spotsLit = lightsOn && ledSpots.some(spot => lightingScene.zones.includes(spot.zone));
 
 return (
   <>
     <primitive ref={modelRef} object={scene} />
     
-    {/* Dynamic Point Light - only visible when lights are on */}
-    {lightsOn && (
-      <pointLight
-        ref={pointLightRef}
-        position={[0, lightHeight, lightDepth]}
-        color={lightColor}
-        intensity={timeOfDay === 'night' ? 2.5 : 1.2}
-        distance={100}
-        decay={2}
-        castShadow={false}
-      />
-    )}
+    {/* The LED spots' light; STEP 7 places it under the lit spots. Always
+        mounted (at intensity 0 when off) so switching doesn't recompile shaders */}
+    <pointLight
+      ref={pointLightRef}
+      color={getSceneColor(lightingScene, lightColor)}
+      intensity={spotsLit ? (timeOfDay === 'night' ? 2.5 : 1.2) * lightingScene.brightness : 0}
+      distance={100}
+      decay={2}
+      castShadow={false}
+    />
     
     {/* Optional: Add a subtle glow sphere for visual effect */}
 
@@ -2174,7 +1921,8 @@ const interpretUserInput = (input, history = []) => {
     selectedSide: 'front',
     lightsOn: false,
     lightShape: 'circle',
-    verandaType: 'wall-mounted'
+    verandaType: 'wall-mounted',
+    roofSheet: 'opal'
   };
 
   let reasoning = [];
@@ -2218,6 +1966,18 @@ const interpretUserInput = (input, history = []) => {
     if (colorDetected) break;
   }
 
+  // A RAL code ("RAL 9001") is more precise than a colour name, so it wins
+  const ralMatch = inputLower.match(/\bral\s*(\d{4})\b/);
+  const ralColor = ralMatch ? findRalColor(ralMatch[1]) : null;
+  if (ralColor) {
+    const standard = findStandardFrameColor(ralColor.code);
+    config.metalMaterial = standard || 'ral';
+    config.frameRal = standard ? null : ralColor.code;
+    reasoning.push(`Detected RAL ${ralColor.code} frame color`);
+    keyFeatures.push(`RAL ${ralColor.code} ${ralColor.name} frame`);
+    colorDetected = true;
+  }
+
   // If no color detected, check style-based defaults (lower priority)
   if (!colorDetected) {
     if (/\b(modern|contemporary|sleek|minimalist)\b/.test(inputLower)) {
@@ -2553,6 +2313,25 @@ EXAMPLE MATCHES:
       config.lightShape = 'square';
       reasoning.push('Decorative lighting');
     }
+
+    // "12 spots" / "8 led lights" picks a fixed LED set
+    const spotMatch = inputLower.match(/\b(\d{1,2})\s*(?:led\s*)?(?:spots|spotlights|lights|leds)\b/);
+    if (spotMatch && LED_SET_SIZES.includes(Number(spotMatch[1]))) {
+      config.ledSet = Number(spotMatch[1]);
+      reasoning.push(`Set of ${config.ledSet} LED spots`);
+      keyFeatures.push(`${config.ledSet} LED spots`);
+    }
+
+    if (/\b(dinner|dining|romantic|cosy|cozy)\b/.test(inputLower)) {
+      config.lightingScene = 'dinner';
+      reasoning.push('Dimmed dinner lighting scene');
+    } else if (/\b(reading|read)\b/.test(inputLower)) {
+      config.lightingScene = 'reading';
+      reasoning.push('Bright reading lighting scene');
+    } else if (/\b(party|parties|entertain|entertaining)\b/.test(inputLower)) {
+      config.lightingScene = 'party';
+      reasoning.push('Party lighting scene');
+    }
   }
 
   // ============================================
@@ -2566,6 +2345,31 @@ EXAMPLE MATCHES:
     config.roofPitchActive = false;
   }
 
+  // Roof sheets (polycarbonate)
+  if (/\b(iq.?relax|heat.?reflect\w*|cool(er)?\s+in\s+summer)\b/.test(inputLower)) {
+    config.roofSheet = 'iqrelax';
+    reasoning.push('Heat-reflecting IQ Relax roof sheets');
+    keyFeatures.push('IQ Relax roof');
+  } else if (/\b(smoky|smokey|smoked|tinted\s+roof|grey\s+roof|gray\s+roof)\b/.test(inputLower)) {
+    config.roofSheet = 'smokygrey';
+    reasoning.push('Smoky grey roof sheets');
+    keyFeatures.push('smoky grey roof');
+  } else if (/\b(clear|transparent)\s+(roof|sheets?|polycarbonate)\b/.test(inputLower)) {
+    config.roofSheet = 'clear';
+    reasoning.push('Clear roof sheets');
+  } else if (/\b(opal|milky|frosted|diffused)\b/.test(inputLower)) {
+    config.roofSheet = 'opal';
+    reasoning.push('Opal roof sheets');
+  }
+
+  // "south-facing garden" / "facing west"
+  const facingMatch = inputLower.match(/\b(?:(north|east|south|west)[\s-]*facing|facing\s+(?:the\s+)?(north|east|south|west))\b/);
+  if (facingMatch) {
+    const facing = facingMatch[1] || facingMatch[2];
+    config.orientation = { north: 0, east: 90, south: 180, west: 270 }[facing];
+    reasoning.push(`Garden faces ${facing}`);
+  }
+
   // ============================================
   // STEP 11: CONVERSATION HISTORY ADJUSTMENTS
   // ============================================
@@ -2592,8 +2396,7 @@ EXAMPLE MATCHES:
   // GENERATE RESPONSE
   // ============================================
   
-
-
+  return { config, reasoning, keyFeatures };
 };
 // ============================================
 // MISSING COMPONENTS - ADD THESE TO YOUR CODE
@@ -2920,7 +2723,7 @@ const processVoiceInput = async (userInput) => {
     const newHistory = [...conversationHistory, { role: "user", content: userInput }];
 
     // Call Gemini API
-    const geminiResult = await callGeminiAPI(userInput, conversationHistory);
+    const geminiResult = await requestAIConfig(userInput, conversationHistory);
 
     if (!geminiResult.success) {
       setAiResponse(`⚠️ AI Error: ${geminiResult.error}\n\nUsing fallback configuration...`);
@@ -2946,7 +2749,7 @@ const processVoiceInput = async (userInput) => {
     let formattedResponse = `✨ Perfect! I've designed your veranda based on your description.\n\n`;
     formattedResponse += `📐 Configuration:\n`;
     formattedResponse += `✓ Dimensions: ${config.width}m wide × ${config.depth}m deep × ${config.height}m high\n`;
-    formattedResponse += `✓ Frame: ${config.metalMaterial.charAt(0).toUpperCase() + config.metalMaterial.slice(1)}\n`;
+    formattedResponse += `✓ Frame: ${describeFrameColor(config).label}\n`;
     
     if (config.enclosureEnabled) {
       const glassNames = {
@@ -2973,6 +2776,13 @@ const processVoiceInput = async (userInput) => {
       formattedResponse += `✓ Awning: Roof-mounted\n`;
     }
     
+    if (geminiResult.issues?.length > 0) {
+      formattedResponse += `\n⚠️ Adjusted to what we can build:\n`;
+      geminiResult.issues.forEach(issue => {
+        formattedResponse += `• ${describeConfigIssue(issue)}\n`;
+      });
+    }
+    
     formattedResponse += `\n💡 Click "Apply Configuration" to see your design!`;
     
     setAiResponse(formattedResponse);
@@ -3394,7 +3204,7 @@ const VerandaSideSelector = ({ selectedSide, onSideSelect }) => {
   );
 };
 
-const PriceDisplay = ({ pricing }) => {
+const PriceDisplay = ({ pricing, postcode, onPostcodeChange, onRequestQuote, onDownloadOfferte, onExportBillOfMaterials, blockedReason }) => {
   if (!pricing) return null;
 
   return (
@@ -3402,7 +3212,9 @@ const PriceDisplay = ({ pricing }) => {
       <div className={styles.priceMain}>
         <h4 className={styles.priceTitle}>Estimated Price</h4>
         <div className={styles.priceAmount}>
-          €{pricing.total.retail.toLocaleString('nl-NL', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+          {pricing.onRequest
+            ? 'On request'
+            : `€${pricing.total.retail.toLocaleString('nl-NL', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`}
         </div>
         <p className={styles.priceSubtitle}>Including VAT & Installation</p>
       </div>
@@ -3411,75 +3223,466 @@ const PriceDisplay = ({ pricing }) => {
         <div className={styles.priceItem}>
           <span className={styles.priceItemLabel}>
             Base Roof ({pricing.roof.dimensions.width/1000}m × {pricing.roof.dimensions.depth/1000}m)
+            {pricing.roof.cell && (
+              <span className={styles.priceItemCell}>Price list {formatGridCell(pricing.roof.cell)} ({pricing.roof.mode})</span>
+            )}
           </span>
           <span className={styles.priceItemValue}>
-            €{pricing.roof.retail.toFixed(2)}
+            {pricing.roof.error ? 'On request' : `€${pricing.roof.wholesale.toFixed(2)}`}
           </span>
         </div>
 
-        {pricing.enclosures.left && !pricing.enclosures.left.error && (
+        {(pricing.roof.error || pricing.roof.warning) && (
+          <p className={styles.priceWarning}>⚠️ {pricing.roof.error || pricing.roof.warning}</p>
+        )}
+
+        {pricing.roofSheet && !pricing.roofSheet.error && (
           <div className={styles.priceItem}>
-            <span className={styles.priceItemLabel}>Left Enclosure</span>
+            <span className={styles.priceItemLabel}>
+              {pricing.roofSheet.label} Roof Sheets
+              <span className={styles.priceItemCell}>{pricing.roofSheet.area.toFixed(1)}m² × €{pricing.roofSheet.rate.toFixed(2)}</span>
+            </span>
             <span className={styles.priceItemValue}>
-              €{pricing.enclosures.left.retail.toFixed(2)}
+              €{pricing.roofSheet.wholesale.toFixed(2)}
             </span>
           </div>
         )}
 
-        {pricing.enclosures.right && !pricing.enclosures.right.error && (
+        {pricing.frameColor && (
           <div className={styles.priceItem}>
-            <span className={styles.priceItemLabel}>Right Enclosure</span>
+            <span className={styles.priceItemLabel}>
+              Frame Colour {pricing.frameColor.label}
+              <span className={styles.priceItemCell}>€{pricing.frameColor.setup} setup + {pricing.frameColor.area.toFixed(1)}m² × €{pricing.frameColor.rate.toFixed(2)}{pricing.frameColor.provisional && ' · provisional'}</span>
+            </span>
             <span className={styles.priceItemValue}>
-              €{pricing.enclosures.right.retail.toFixed(2)}
+              €{pricing.frameColor.wholesale.toFixed(2)}
             </span>
           </div>
         )}
 
-        {pricing.lighting && (
+        {pricing.enclosures.left && (!pricing.enclosures.left.error || pricing.enclosures.left.outOfRange) && (
           <div className={styles.priceItem}>
             <span className={styles.priceItemLabel}>
-              LED Lighting ({pricing.lighting.lightCount} lights)
+              Left Wall - {pricing.enclosures.left.label}
+              {pricing.enclosures.left.cell && (
+                <span className={styles.priceItemCell}>Price list {formatGridCell(pricing.enclosures.left.cell)}{pricing.enclosures.left.provisional && ' · provisional'}</span>
+              )}
             </span>
             <span className={styles.priceItemValue}>
-              €{pricing.lighting.retail.toFixed(2)}
+              {pricing.enclosures.left.error ? 'On request' : `€${pricing.enclosures.left.wholesale.toFixed(2)}`}
             </span>
           </div>
         )}
-      </div>
 
-      <button className={styles.priceQuoteButton}>Request Quote</button>
+        {(pricing.enclosures.left?.outOfRange || pricing.enclosures.left?.warning) && (
+          <p className={styles.priceWarning}>⚠️ {pricing.enclosures.left.error || pricing.enclosures.left.warning}</p>
+        )}
 
-      <p className={styles.priceDisclaimer}>
-        Final price may vary based on site conditions and custom requirements
-      </p>
-    </div>
-  );
-};
-// ============================================
-// GLASS TYPE SELECTOR COMPONENT
-// ============================================
-const GlassTypeSelector = ({ side, glassType, onChange, material }) => {
-  if (material !== 'glass') return null;
-  
-  return (
-    <div style={{ marginTop: '16px' }}>
-      <Label>Glass Configuration</Label>
-      <select
-        value={glassType}
-        onChange={(e) => onChange(side, e.target.value)}
-        className={styles.selectInput}
-      >
-        <option value="double">Double Glass</option>
-        <option value="triple">Triple Glass</option>
-        <option value="fourfold">Fourfold Glass</option>
-        <option value="fivefold">Fivefold Glass</option>
-        <option value="sixfold">Sixfold Glass</option>
-      </select>
-    </div>
-  );
-};
-// ============================================
-// TINTED GLASS SELECTOR COMPONENT
+        {pricing.enclosures.right && (!pricing.enclosures.right.error || pricing.enclosures.right.outOfRange) && (
+          <div className={styles.priceItem}>
+            <span className={styles.priceItemLabel}>
+              Right Wall - {pricing.enclosures.right.label}
+              {pricing.enclosures.right.cell && (
+                <span className={styles.priceItemCell}>Price list {formatGridCell(pricing.enclosures.right.cell)}{pricing.enclosures.right.provisional && ' · provisional'}</span>
+              )}
+            </span>
+            <span className={styles.priceItemValue}>
+              {pricing.enclosures.right.error ? 'On request' : `€${pricing.enclosures.right.wholesale.toFixed(2)}`}
+            </span>
+          </div>
+        )}
+
+        {(pricing.enclosures.right?.outOfRange || pricing.enclosures.right?.warning) && (
+          <p className={styles.priceWarning}>⚠️ {pricing.enclosures.right.error || pricing.enclosures.right.warning}</p>
+        )}
+
+        {pricing.frontGlass && (!pricing.frontGlass.error || pricing.frontGlass.onRequest) && (
+          <div className={styles.priceItem}>
+            <span className={styles.priceItemLabel}>
+              Front Sliding Glass ({pricing.frontGlass.panels} panels{pricing.frontGlass.tinted ? ', tinted' : ''})
+              {pricing.frontGlass.provisional && (
+                <span className={styles.priceItemCell}>
+                  {pricing.frontGlass.customHeight ? 'Custom' : 'Standard'} height, limit {pricing.frontGlass.standardMaxHeight}mm · provisional
+                </span>
+              )}
+            </span>
+            <span className={styles.priceItemValue}>
+              {pricing.frontGlass.onRequest ? 'On request' : `€${pricing.frontGlass.wholesale.toFixed(2)}`}
+            </span>
+          </div>
+        )}
+
+        {pricing.lighting && (
+          <div className={styles.priceItem}>
+            <span className={styles.priceItemLabel}>
+              LED Lighting ({pricing.lighting.lightCount} spots)
+              <span className={styles.priceItemCell}>
+                {[
+                  pricing.lighting.setSize && `set of ${pricing.lighting.setSize}`,
+                  pricing.lighting.singles > 0 && `${pricing.lighting.singles} single`
+                ].filter(Boolean).join(' + ')}
+              </span>
+            </span>
+            <span className={styles.priceItemValue}>
+              €{pricing.lighting.wholesale.toFixed(2)}
+            </span>
+          </div>
+        )}
+
+        {pricing.structure && (
+          <div className={styles.priceItem}>
+            <span className={styles.priceItemLabel}>
+              Structural Reinforcement
+              <span className={styles.priceItemCell}>
+                {[
+                  pricing.structure.extraPosts > 0 && `${pricing.structure.extraPosts} extra ${pricing.structure.extraPosts === 1 ? 'post' : 'posts'}${pricing.structure.posts ? ` (${pricing.structure.posts[0].stockLength / 1000}m)` : ''}`,
+                  pricing.structure.gutterReinforcement && `gutter insert${pricing.structure.error ? '' : ` ${pricing.structure.reinforcementLength.toFixed(2)}m`}`
+                ].filter(Boolean).join(' + ')}
+                {pricing.structure.provisional && ' · provisional'}
+              </span>
+            </span>
+            <span className={styles.priceItemValue}>
+              {pricing.structure.error ? 'On request' : `€${pricing.structure.wholesale.toFixed(2)}`}
+            </span>
+          </div>
+        )}
+
+        {pricing.structure?.error && (
+          <p className={styles.priceWarning}>⚠️ {pricing.structure.error}</p>
+        )}
+
+        {pricing.provisional && (
+          <p className={styles.priceWarning}>⚠️ Prices marked provisional are estimates, confirmed with the supplier before you order</p>
+        )}
+      </div>
+
+      <div className={styles.priceBreakdown}>
+        <div className={styles.priceItem}>
+          <span className={styles.priceItemLabel}>
+            Materials
+            <span className={styles.priceItemCell}>Price list {pricing.priceList.label} ({pricing.priceList.version})</span>
+          </span>
+          <span className={styles.priceItemValue}>€{pricing.total.wholesale.toFixed(2)}</span>
+        </div>
+
+        <div className={styles.priceItem}>
+          <span className={styles.priceItemLabel}>Dealer margin ({Math.round(pricing.total.marginRate * 100)}%)</span>
+          <span className={styles.priceItemValue}>€{pricing.total.margin.toFixed(2)}</span>
+        </div>
+
+        <div className={styles.priceItem}>
+          <span className={styles.priceItemLabel}>
+            Installation
+            <span className={styles.priceItemCell}>{pricing.installation.lines.map(line => line.label).join(' + ')}</span>
+          </span>
+          <span className={styles.priceItemValue}>€{pricing.installation.price.toFixed(2)}</span>
+        </div>
+
+        <div className={styles.priceItem}>
+          <span className={styles.priceItemLabel}>
+            Delivery
+            <span className={styles.priceItemCell}>
+              {pricing.delivery.estimated ? `Estimate (${pricing.delivery.label}), enter your postcode` : pricing.delivery.label}
+            </span>
+          </span>
+          <span className={styles.priceItemValue}>€{pricing.delivery.price.toFixed(2)}</span>
+        </div>
+
+        <input
+          type="text"
+          value={postcode}
+          onChange={(e) => onPostcodeChange(e.target.value)}
+          placeholder="Postcode, e.g. 1234 AB"
+          autoComplete="postal-code"
+          maxLength={7}
+          className={styles.pricePostcodeInput}
+        />
+
+        <div className={styles.priceItem}>
+          <span className={styles.priceItemLabel}>Total excl. VAT</span>
+          <span className={styles.priceItemValue}>€{pricing.total.exclVat.toFixed(2)}</span>
+        </div>
+
+        <div className={styles.priceItem}>
+          <span className={styles.priceItemLabel}>VAT ({Math.round(pricing.total.vatRate * 100)}%)</span>
+          <span className={styles.priceItemValue}>€{pricing.total.vat.toFixed(2)}</span>
+        </div>
+      </div>
+
+      {blockedReason && <p className={styles.priceWarning}>⛔ {blockedReason}</p>}
+
+      <button onClick={onRequestQuote} className={styles.priceQuoteButton} disabled={Boolean(blockedReason)}>Request Quote</button>
+
+      <button onClick={onDownloadOfferte} className={styles.priceOfferteButton} disabled={Boolean(blockedReason)}>Download offerte</button>
+
+      <div className={styles.partsListExport}>
+        <span>Parts list</span>
+        <button onClick={() => onExportBillOfMaterials('csv')} className={styles.partsListButton}>CSV</button>
+        <button onClick={() => onExportBillOfMaterials('json')} className={styles.partsListButton}>JSON</button>
+      </div>
+
+      <p className={styles.priceDisclaimer}>
+        Final price may vary based on site conditions and custom requirements
+      </p>
+    </div>
+  );
+};
+// ============================================
+// QUOTE REQUEST MODAL
+// ============================================
+const EMPTY_QUOTE_FORM = { name: '', email: '', postcode: '', installAddress: '', notes: '' };
+
+const QUOTE_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text', autoComplete: 'name' },
+  { key: 'email', label: 'Email', type: 'email', autoComplete: 'email' },
+  { key: 'postcode', label: 'Postcode', type: 'text', autoComplete: 'postal-code', placeholder: '1234 AB' },
+  { key: 'installAddress', label: 'Installation address', type: 'text', autoComplete: 'street-address' }
+];
+
+const QuoteRequestModal = ({ show, onClose, onSubmit, pricing }) => {
+  const [form, setForm] = useState(EMPTY_QUOTE_FORM);
+  const [fieldError, setFieldError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  if (!show) return null;
+
+  const updateField = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+    if (fieldError?.field === key) setFieldError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    const result = await onSubmit(form);
+    setIsSubmitting(false);
+
+    if (result.success) {
+      setForm(EMPTY_QUOTE_FORM);
+      setFieldError(null);
+      onClose();
+    } else {
+      setFieldError(result);
+    }
+  };
+
+  return (
+    <div className={styles.aiModalOverlay}>
+      <div className={styles.aiModal}>
+        <div className={styles.aiModalHeader}>
+          <div>
+            <h2 className={styles.aiModalTitle}>Request a Quote</h2>
+            <p className={styles.aiModalSubtitle}>
+              {pricing.onRequest
+                ? 'This size is made to order - we will price it after checking your site'
+                : `Estimated price €${pricing.total.retail.toLocaleString('nl-NL', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} - we will confirm it after checking your site`}
+            </p>
+          </div>
+          <button onClick={onClose} className={styles.aiModalClose}>✕</button>
+        </div>
+
+        <form onSubmit={handleSubmit} className={styles.aiModalBody}>
+          {QUOTE_FIELDS.map(field => (
+            <div key={field.key} className={styles.quoteField}>
+              <Label>{field.label}</Label>
+              <input
+                type={field.type}
+                value={form[field.key]}
+                onChange={(e) => updateField(field.key, e.target.value)}
+                autoComplete={field.autoComplete}
+                placeholder={field.placeholder}
+                required
+                className={`${styles.quoteInput} ${fieldError?.field === field.key ? styles.quoteInputError : ''}`}
+              />
+            </div>
+          ))}
+
+          <div className={styles.quoteField}>
+            <Label>Notes (optional)</Label>
+            <textarea
+              value={form.notes}
+              onChange={(e) => updateField('notes', e.target.value)}
+              rows={3}
+              maxLength={2000}
+              placeholder="Access to the garden, preferred installation date, ..."
+              className={styles.quoteInput}
+            />
+          </div>
+
+          {fieldError && <p className={styles.quoteError}>{fieldError.error}</p>}
+
+          <div className={styles.buttonGroup}>
+            <button type="button" onClick={onClose} className={styles.aiSecondaryButton}>Cancel</button>
+            <button type="submit" disabled={isSubmitting} className={styles.aiApplyButton}>
+              {isSubmitting ? 'Sending…' : 'Send request'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+// ============================================
+// VARIANT COMPARE MODAL
+// ============================================
+const COMPARE_CAMERA = { position: [2.5, 1.6, -4.2], target: [0, 0.5, -0.3] };
+
+// VerandaModel props for a variant's configuration, seen in daylight
+const variantModelProps = (config) => ({
+  ...config,
+  timeOfDay: 'day',
+  ledSpots: planLedLayout(config).spots,
+  postPositions: checkStructure(config).postPositions,
+  shadeMap: null
+});
+
+// Camera shared by the compare viewports. The one being dragged publishes
+// its camera; the others copy it when the version moves on.
+const createCameraSync = () => ({
+  position: new THREE.Vector3(...COMPARE_CAMERA.position),
+  target: new THREE.Vector3(...COMPARE_CAMERA.target),
+  version: 0,
+  publish(position, target) {
+    this.position.copy(position);
+    this.target.copy(target);
+    this.version += 1;
+    return this.version;
+  }
+});
+
+const SyncedOrbitControls = ({ sync }) => {
+  const { camera } = useThree();
+  const controlsRef = useRef();
+  const draggingRef = useRef(false);
+  const versionRef = useRef(-1);
+
+  useFrame(() => {
+    const controls = controlsRef.current;
+    if (!controls || draggingRef.current || sync.version === versionRef.current) return;
+
+    versionRef.current = sync.version;
+    camera.position.copy(sync.position);
+    controls.target.copy(sync.target);
+    controls.update();
+  });
+
+  const handleChange = () => {
+    if (!draggingRef.current) return;
+    versionRef.current = sync.publish(camera.position, controlsRef.current.target);
+  };
+
+  return (
+    <OrbitControls
+      ref={controlsRef}
+      target={COMPARE_CAMERA.target}
+      enableDamping={false}
+      minDistance={2}
+      maxDistance={10}
+      maxPolarAngle={Math.PI / 2 - 0.05}
+      onStart={() => { draggingRef.current = true; }}
+      onEnd={() => { draggingRef.current = false; }}
+      onChange={handleChange}
+    />
+  );
+};
+
+const VariantCompareModal = ({ show, onClose, variants, pricings }) => {
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+  // Kept between openings, so the compare view reopens where it was left
+  const [cameraSync] = useState(createCameraSync);
+
+  if (!show) return null;
+
+  const sections = compareVariants(variants, pricings);
+
+  return (
+    <div className={styles.aiModalOverlay}>
+      <div className={`${styles.aiModal} ${styles.compareModal}`}>
+        <div className={styles.aiModalHeader}>
+          <div>
+            <h2 className={styles.aiModalTitle}>Compare Variants</h2>
+            <p className={styles.aiModalSubtitle}>Drag or zoom any view, the others follow</p>
+          </div>
+          <button onClick={onClose} className={styles.aiModalClose}>✕</button>
+        </div>
+
+        <div className={styles.compareBody}>
+          <div className={styles.compareViews} style={{ gridTemplateColumns: `repeat(${variants.length}, 1fr)` }}>
+            {variants.map(variant => (
+              <div key={variant.id} className={styles.compareView}>
+                <Canvas camera={{ position: COMPARE_CAMERA.position, fov: 50 }} gl={{ antialias: true }}>
+                  <color attach="background" args={['#f6f6f6']} />
+                  <ambientLight intensity={0.5} />
+                  <directionalLight position={[10, 10, -5]} intensity={1} />
+                  <hemisphereLight intensity={0.4} groundColor="#444444" />
+                  <Suspense fallback={null}>
+                    <Environment files="./golden_gate_hills_1k.hdr" />
+                    <VerandaModel {...variantModelProps(variant.config)} />
+                  </Suspense>
+                  <SyncedOrbitControls sync={cameraSync} />
+                </Canvas>
+                <span className={styles.compareViewLabel}>{variant.name}</span>
+              </div>
+            ))}
+          </div>
+
+          <label className={styles.compareFilter}>
+            <input type="checkbox" checked={onlyDifferences} onChange={(e) => setOnlyDifferences(e.target.checked)} />
+            Only show differences
+          </label>
+
+          <table className={styles.compareTable}>
+            <thead>
+              <tr>
+                <th />
+                {variants.map(variant => <th key={variant.id}>{variant.name}</th>)}
+              </tr>
+            </thead>
+            {sections.map(section => (
+              <tbody key={section.title}>
+                <tr>
+                  <th colSpan={variants.length + 1} className={styles.compareSection}>{section.title}</th>
+                </tr>
+                {section.rows.filter(row => !onlyDifferences || row.differs).map(row => (
+                  <tr key={row.label} className={row.differs ? styles.compareRowDiffers : ''}>
+                    <td>{row.label}</td>
+                    {row.values.map((value, index) => <td key={variants[index].id}>{value}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            ))}
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+// ============================================
+// GLASS TYPE SELECTOR COMPONENT
+// ============================================
+const GlassTypeSelector = ({ side, glassType, onChange, material }) => {
+  if (material !== 'glass') return null;
+  
+  return (
+    <div style={{ marginTop: '16px' }}>
+      <Label>Glass Configuration</Label>
+      <select
+        value={glassType}
+        onChange={(e) => onChange(side, e.target.value)}
+        className={styles.selectInput}
+      >
+        <option value="double">Double Glass</option>
+        <option value="triple">Triple Glass</option>
+        <option value="fourfold">Fourfold Glass</option>
+        <option value="fivefold">Fivefold Glass</option>
+        <option value="sixfold">Sixfold Glass</option>
+      </select>
+    </div>
+  );
+};
+// ============================================
+// TINTED GLASS SELECTOR COMPONENT
 // ============================================
 const TintedGlassSelector = ({ enabled, onToggle, color, onColorChange }) => {
   return (
@@ -3540,8 +3743,147 @@ const TintedGlassSelector = ({ enabled, onToggle, color, onColorChange }) => {
     </div>
   );
 };
+// ============================================
+// SAVED DESIGNS COMPONENT
+// ============================================
+const SavedDesigns = ({ designs, isLoading, isSaving, onSave, onLoad, onDelete }) => {
+  const [name, setName] = useState('');
+
+  const handleSave = async () => {
+    const saved = await onSave(name.trim() || `Design ${designs.length + 1}`);
+    if (saved) setName('');
+  };
+
+  return (
+    <div>
+      <div className={styles.saveDesignRow}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={`Design ${designs.length + 1}`}
+          maxLength={100}
+          className={styles.saveDesignInput}
+        />
+        <button onClick={handleSave} disabled={isSaving} className={styles.saveDesignButton}>
+          {isSaving ? 'Saving…' : 'Save design'}
+        </button>
+      </div>
+
+      {isLoading && <p className={styles.infoText}>Loading your designs…</p>}
+
+      {!isLoading && designs.length === 0 && (
+        <p className={styles.infoText}>No saved designs yet.</p>
+      )}
+
+      <div className={styles.savedDesignList}>
+        {designs.map(design => (
+          <div key={design.id} className={styles.savedDesignItem}>
+            {design.thumbnail ? (
+              // eslint-disable-next-line @next/next/no-img-element
+              <img src={design.thumbnail} alt={design.name} className={styles.savedDesignThumbnail} />
+            ) : (
+              <div className={styles.savedDesignThumbnail} />
+            )}
+            <div className={styles.savedDesignInfo}>
+              <span className={styles.savedDesignName}>{design.name}</span>
+              <span className={styles.savedDesignMeta}>
+                {design.config.width}m × {design.config.depth}m
+                {design.pricing?.total && !design.pricing.onRequest && ` · €${design.pricing.total.retail.toLocaleString('nl-NL', { maximumFractionDigits: 0 })}`}
+              </span>
+            </div>
+            <div className={styles.savedDesignActions}>
+              <MinimalButton onClick={() => onLoad(design)} small>Open</MinimalButton>
+              <MinimalButton onClick={() => onDelete(design)} small>Delete</MinimalButton>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+// ============================================
+// DESIGN VARIANTS COMPONENT
+// ============================================
+const DesignVariants = ({ variants, pricings, onSave, onOpen, onRemove, onCompare }) => (
+  <div>
+    <div className={styles.saveDesignRow}>
+      <button onClick={onSave} disabled={variants.length >= MAX_VARIANTS} className={`${styles.saveDesignButton} ${styles.variantButton}`}>
+        {variants.length >= MAX_VARIANTS ? `${MAX_VARIANTS} variants saved` : `Save as ${nextVariantName(variants)}`}
+      </button>
+      <button onClick={onCompare} disabled={variants.length < 2} className={`${styles.saveDesignButton} ${styles.variantButton}`}>
+        Compare
+      </button>
+    </div>
+
+    {variants.length === 0 && (
+      <p className={styles.infoText}>Save up to {MAX_VARIANTS} versions of this design to compare them side by side.</p>
+    )}
+
+    <div className={styles.savedDesignList}>
+      {variants.map((variant, index) => (
+        <div key={variant.id} className={styles.savedDesignItem}>
+          {variant.thumbnail ? (
+            // eslint-disable-next-line @next/next/no-img-element
+            <img src={variant.thumbnail} alt={variant.name} className={styles.savedDesignThumbnail} />
+          ) : (
+            <div className={styles.savedDesignThumbnail} />
+          )}
+          <div className={styles.savedDesignInfo}>
+            <span className={styles.savedDesignName}>{variant.name}</span>
+            <span className={styles.savedDesignMeta}>
+              {variant.config.width}m × {variant.config.depth}m
+              {!pricings[index].onRequest && ` · €${pricings[index].total.retail.toLocaleString('nl-NL', { maximumFractionDigits: 0 })}`}
+            </span>
+          </div>
+          <div className={styles.savedDesignActions}>
+            <MinimalButton onClick={() => onOpen(variant)} small>Open</MinimalButton>
+            <MinimalButton onClick={() => onRemove(variant)} small>Remove</MinimalButton>
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+// ============================================
+// SHARE DESIGN BUTTON
+// ============================================
+const ShareDesignButton = ({ onShare }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleClick = async () => {
+    const didCopy = await onShare();
+    if (!didCopy) return;
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <button onClick={handleClick} className={styles.shareButton}>
+      {copied ? '✓ Link copied' : '🔗 Share this design'}
+    </button>
+  );
+};
 const ConfigurationPanel = ({ 
   isMobile,
+  productLine,
+  onProductLineChange,
+  roofType,
+  onRoofTypeChange,
+  roofSheet,
+  setRoofSheet,
+  ledSet,
+  setLedSet,
+  ledLayout,
+  lightingScene,
+  setLightingScene,
+  timeOfDay,
+  onPreviewNight,
+  orientation,
+  setOrientation,
+  loadZone,
+  setLoadZone,
+  structure,
   roofPitchActive, 
   setRoofPitchActive,
   roofPitchAngle,
@@ -3557,7 +3899,10 @@ const ConfigurationPanel = ({
   roofAwningPosition,
   setRoofAwningPosition,
   metalMaterial,
-  setMetalMaterial,
+  frameRal,
+  setFrameRal,
+  frameFinish,
+  setFrameFinish,
   enclosureEnabled,
   setEnclosureEnabled,
   enclosureType,
@@ -3591,7 +3936,25 @@ const ConfigurationPanel = ({
   tintedGlassEnabled,        // 🆕 ADD
   setTintedGlassEnabled,     // 🆕 ADD
   glassColor,                // 🆕 ADD
-  setGlassColor              // 🆕 ADD
+  setGlassColor,             // 🆕 ADD
+  onShareDesign,
+  deliveryPostcode,
+  setDeliveryPostcode,
+  onRequestQuote,
+  onDownloadOfferte,
+  onExportBillOfMaterials,
+  savedDesigns,
+  designsLoading,
+  isSavingDesign,
+  onSaveDesign,
+  onLoadDesign,
+  onDeleteDesign,
+  variants,
+  variantPricings,
+  onSaveVariant,
+  onOpenVariant,
+  onRemoveVariant,
+  onCompareVariants
 }) => {
    const handleSideSelect = (sideId) => {
     if (selectedSide === sideId) {
@@ -3602,6 +3965,11 @@ const ConfigurationPanel = ({
       setEnclosureView(sideId);
     }
   };
+
+  // Any manual tweak turns the preset into a custom scene
+  const updateLightingScene = (changes) => {
+    setLightingScene(prev => ({ ...prev, ...changes, preset: 'custom' }));
+  };
   
   // 🆕 Handler for changing material type (glass/metal/wood/window)
   const handleMaterialChange = (side, material) => {
@@ -3637,6 +4005,7 @@ const handleGlassTypeChange = (side, newGlassType) => {
 };
 
   const showGlassOptions = selectedSide && sideEnclosureTypes[selectedSide]?.material === 'glass';
+  const depthRange = getDepthRange(productLine, roofType);
   return (
     <div className={`${styles.configPanel} ${isMobile ? styles.mobile : ''}`}>
       <div className={`${styles.configPanelContent} ${isMobile ? styles.mobile : ''}`}>
@@ -3649,6 +4018,8 @@ const handleGlassTypeChange = (side, newGlassType) => {
             <span style={{ fontSize: '20px' }}>✨</span>
             Let AI Design For You
           </button>
+
+          <ShareDesignButton onShare={onShareDesign} />
 <HouseTypeSelector 
   houseType={houseType}
   onHouseTypeChange={onHouseTypeChange}
@@ -3656,31 +4027,129 @@ const handleGlassTypeChange = (side, newGlassType) => {
           <Section title="Type">
             <div className={styles.grid2}>
               <MinimalButton
-                active={verandaType === 'wall-mounted'}
-                onClick={() => setVerandaType('wall-mounted')}
+                active={verandaType === 'wall-mounted'}
+                onClick={() => setVerandaType('wall-mounted')}
+              >
+                Wall-mounted
+              </MinimalButton>
+              <MinimalButton
+                active={verandaType === 'freestanding'}
+                onClick={() => setVerandaType('freestanding')}
+              >
+                Freestanding
+              </MinimalButton>
+            </div>
+          </Section>
+
+          <Section title="Garden Orientation">
+            <div className={styles.grid4}>
+              {COMPASS_POINTS.map(({ label, bearing }) => (
+                <MinimalButton
+                  key={label}
+                  active={orientation === bearing}
+                  onClick={() => setOrientation(bearing)}
+                  small
+                >
+                  {label}
+                </MinimalButton>
+              ))}
+            </div>
+            <p className={styles.infoText} style={{ marginTop: '12px' }}>
+              Direction you look out from the house ({orientation}°), used for the sun preview
+            </p>
+          </Section>
+
+          <Section title="Product Line">
+            <div className={styles.grid2}>
+              {Object.entries(PRODUCT_LINES).map(([key, line]) => (
+                <MinimalButton
+                  key={key}
+                  active={productLine === key}
+                  onClick={() => onProductLineChange(key)}
+                >
+                  {line.label}
+                </MinimalButton>
+              ))}
+            </div>
+            <p className={styles.infoText} style={{ marginTop: '12px' }}>
+              {PRODUCT_LINES[productLine].description} · {roofType} roof {depthRange[0]}–{depthRange[1]}m deep
+            </p>
+          </Section>
+
+          <Section title="Dimensions">
+            <div className={styles.grid2}>
+              <DimensionInput label="Width" value={width} onChange={setWidth} unit="m" min={CONFIG_SCHEMA.width.min} max={CONFIG_SCHEMA.width.max} />
+              <DimensionInput label="Depth" value={depth} onChange={setDepth} unit="m" min={Math.max(CONFIG_SCHEMA.depth.min, depthRange[0])} max={depthRange[1]} />
+            </div>
+            <div style={{ marginTop: '16px' }}>
+              <DimensionInput label="Height" value={height} onChange={setHeight} unit="m" min={CONFIG_SCHEMA.height.min} max={CONFIG_SCHEMA.height.max} />
+            </div>
+          </Section>
+
+          <Section title="Structure">
+            <Label>Wind Area</Label>
+            <div className={styles.grid3}>
+              {Object.entries(LOAD_ZONES).map(([zone, { label }]) => (
+                <MinimalButton
+                  key={zone}
+                  active={loadZone === zone}
+                  onClick={() => setLoadZone(zone)}
+                  small
+                >
+                  {zone} · {label}
+                </MinimalButton>
+              ))}
+            </div>
+            <p className={styles.infoText} style={{ marginTop: '12px' }}>
+              {LOAD_ZONES[structure.loadZone].description}. {structure.postsPerRow} posts per row, {structure.postSpacing.toFixed(2)}m apart (at most {structure.allowedSpan}m).
+            </p>
+            {structure.issues.map(issue => (
+              <p
+                key={issue.message}
+                className={`${styles.structureIssue} ${issue.level === 'error' ? styles.error : ''}`}
+              >
+                {issue.level === 'error' ? '⛔' : '⚠️'} {issue.message}
+              </p>
+            ))}
+          </Section>
+
+          <Section title="Roof">
+            <div className={styles.grid2} style={{ marginBottom: '20px' }}>
+              <MinimalButton
+                active={roofType === 'polycarbonate'}
+                onClick={() => onRoofTypeChange('polycarbonate')}
               >
-                Wall-mounted
+                Polycarbonate
               </MinimalButton>
               <MinimalButton
-                active={verandaType === 'freestanding'}
-                onClick={() => setVerandaType('freestanding')}
+                active={roofType === 'glass'}
+                onClick={() => onRoofTypeChange('glass')}
               >
-                Freestanding
+                Glass
               </MinimalButton>
             </div>
-          </Section>
 
-          <Section title="Dimensions">
-            <div className={styles.grid2}>
-              <DimensionInput label="Width" value={width} onChange={setWidth} unit="m" />
-              <DimensionInput label="Depth" value={depth} onChange={setDepth} unit="m" />
-            </div>
-            <div style={{ marginTop: '16px' }}>
-              <DimensionInput label="Height" value={height} onChange={setHeight} unit="m" />
-            </div>
-          </Section>
+            {roofType === 'polycarbonate' && (
+              <div style={{ marginBottom: '20px' }}>
+                <Label>Roof Sheets</Label>
+                <div className={styles.grid2}>
+                  {Object.entries(ROOF_SHEETS).map(([key, sheet]) => (
+                    <MinimalButton
+                      key={key}
+                      active={roofSheet === key}
+                      onClick={() => setRoofSheet(key)}
+                      small
+                    >
+                      {sheet.label}{sheet.surcharge ? ' +' : ''}
+                    </MinimalButton>
+                  ))}
+                </div>
+                <p className={styles.infoText} style={{ marginTop: '8px' }}>
+                  {ROOF_SHEETS[roofSheet].description}
+                </p>
+              </div>
+            )}
 
-          <Section title="Roof">
             <MinimalCheckbox
               checked={roofPitchActive}
               onChange={setRoofPitchActive}
@@ -3713,31 +4182,35 @@ const handleGlassTypeChange = (side, newGlassType) => {
 
           <Section title="Frame">
             <div className={styles.grid2}>
-              <MaterialButton
-                active={metalMaterial === 'anthracite'}
-                onClick={() => setMetalMaterial('anthracite')}
-                color="#28282d"
-                label="Anthracite"
-              />
-              <MaterialButton
-                active={metalMaterial === 'black'}
-                onClick={() => setMetalMaterial('black')}
-                color="#000000"
-                label="Black"
-              />
-              <MaterialButton
-                active={metalMaterial === 'grey'}
-                onClick={() => setMetalMaterial('grey')}
-                color="#808080"
-                label="Grey"
-              />
-              <MaterialButton
-                active={metalMaterial === 'white'}
-                onClick={() => setMetalMaterial('white')}
-                color="#f5f5f5"
-                label="White"
+              {Object.entries(FRAME_COLOR_OPTIONS).map(([key, option]) => (
+                <MaterialButton
+                  key={key}
+                  active={metalMaterial === key}
+                  onClick={() => setFrameRal(option.ral)}
+                  color={option.color}
+                  label={option.label}
+                />
+              ))}
+            </div>
+
+            <div style={{ marginTop: '16px' }}>
+              <Label>Custom RAL colour</Label>
+              <RalColorPicker
+                frameColor={describeFrameColor({ metalMaterial, frameRal, frameFinish })}
+                onSelect={setFrameRal}
               />
             </div>
+
+            <div style={{ marginTop: '16px' }}>
+              <Label>Finish</Label>
+              <div className={styles.grid3}>
+                {Object.entries(FRAME_FINISHES).map(([key, finish]) => (
+                  <MinimalButton key={key} active={frameFinish === key} onClick={() => setFrameFinish(key)} small>
+                    {finish.label}
+                  </MinimalButton>
+                ))}
+              </div>
+            </div>
           </Section>
 
   <Section title="Enclosures">
@@ -3930,20 +4403,142 @@ const handleGlassTypeChange = (side, newGlassType) => {
                   </div>
                 </div>
 
-                <div>
-                  <Label>Color</Label>
+                <div style={{ marginBottom: '20px' }}>
+                  <Label>Spots</Label>
+                  <div className={styles.grid4}>
+                    <MinimalButton
+                      active={ledSet === null}
+                      onClick={() => setLedSet(null)}
+                      small
+                    >
+                      Auto
+                    </MinimalButton>
+                    {LED_SET_SIZES.map(size => (
+                      <MinimalButton
+                        key={size}
+                        active={ledSet === size}
+                        onClick={() => setLedSet(size)}
+                        small
+                      >
+                        {size}
+                      </MinimalButton>
+                    ))}
+                  </div>
+                  <p className={styles.infoText} style={{ marginTop: '8px' }}>
+                    {ledLayout.count} spots in {ledLayout.rows} {ledLayout.rows === 1 ? 'row' : 'rows'}, rafters every {ledLayout.rafterSpacing.toFixed(2)}m
+                  </p>
+                </div>
+
+                <div style={{ marginBottom: '20px' }}>
+                  <Label>Scene</Label>
+                  <div className={styles.grid2}>
+                    {Object.entries(LIGHTING_SCENES).map(([preset, scene]) => (
+                      <MinimalButton
+                        key={preset}
+                        active={lightingScene.preset === preset}
+                        onClick={() => setLightingScene(getLightingScene(preset))}
+                        small
+                      >
+                        {scene.label}
+                      </MinimalButton>
+                    ))}
+                  </div>
+                  {lightingScene.preset === 'custom' && (
+                    <p className={styles.infoText} style={{ marginTop: '8px' }}>
+                      Custom scene
+                    </p>
+                  )}
+                </div>
+
+                <div style={{ marginBottom: '20px' }}>
+                  <MinimalSlider
+                    label="Brightness"
+                    value={Math.round(lightingScene.brightness * 100)}
+                    onChange={(value) => updateLightingScene({ brightness: value / 100 })}
+                    min={10}
+                    max={100}
+                    step={5}
+                    unit="%"
+                  />
+                  <MinimalSlider
+                    label="Color Temperature"
+                    value={lightingScene.kelvin ?? KELVIN_RANGE[0]}
+                    onChange={(value) => updateLightingScene({ kelvin: value })}
+                    min={KELVIN_RANGE[0]}
+                    max={KELVIN_RANGE[1]}
+                    step={100}
+                    unit="K"
+                  />
+                </div>
+
+                <div style={{ marginBottom: '20px' }}>
+                  <Label>Zones</Label>
+                  {LIGHT_ZONES.map(zone => (
+                    <MinimalCheckbox
+                      key={zone}
+                      checked={lightingScene.zones.includes(zone)}
+                      onChange={(checked) => updateLightingScene({
+                        zones: LIGHT_ZONES.filter(z => (z === zone ? checked : lightingScene.zones.includes(z)))
+                      })}
+                      label={LIGHT_ZONE_LABELS[zone]}
+                    />
+                  ))}
+                </div>
+
+                <div style={{ marginBottom: '20px' }}>
+                  <Label>Custom Color</Label>
                   <input
                     type="color"
                     value={lightColor}
-                    onChange={(e) => setLightColor(e.target.value)}
+                    onChange={(e) => {
+                      setLightColor(e.target.value);
+                      updateLightingScene({ kelvin: null });
+                    }}
                     className={styles.colorInput}
                   />
                 </div>
+
+                <MinimalButton
+                  active={timeOfDay === 'night'}
+                  onClick={onPreviewNight}
+                >
+                  Preview at Night
+                </MinimalButton>
               </>
             )}
           </Section>
 
-          <PriceDisplay pricing={pricing} />
+          <Section title="My Designs">
+            <SavedDesigns
+              designs={savedDesigns}
+              isLoading={designsLoading}
+              isSaving={isSavingDesign}
+              onSave={onSaveDesign}
+              onLoad={onLoadDesign}
+              onDelete={onDeleteDesign}
+            />
+          </Section>
+
+          <Section title="Compare Variants">
+            <DesignVariants
+              variants={variants}
+              pricings={variantPricings}
+              onSave={onSaveVariant}
+              onOpen={onOpenVariant}
+              onRemove={onRemoveVariant}
+              onCompare={onCompareVariants}
+            />
+          </Section>
+
+          <PriceDisplay
+            pricing={pricing}
+            postcode={deliveryPostcode}
+            onPostcodeChange={setDeliveryPostcode}
+            onRequestQuote={onRequestQuote}
+            onDownloadOfferte={onDownloadOfferte}
+            onExportBillOfMaterials={onExportBillOfMaterials}
+            blockedReason={structure.valid ? null : 'This combination can\'t be built, see Structure above'}
+          />
         </div>
       </div>
     </div>
@@ -3980,6 +4575,43 @@ const MaterialButton = ({ active, onClick, color, label }) => (
   </button>
 );
 
+// Search the RAL catalogue by code or name; standard colours are in it too
+const RalColorPicker = ({ frameColor, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const matches = searchRalColors(query);
+
+  return (
+    <div>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="RAL code or name, e.g. 9001"
+        className={styles.quoteInput}
+      />
+      <div className={styles.ralSwatches}>
+        {matches.map(color => (
+          <button
+            key={color.code}
+            onClick={() => onSelect(color.code)}
+            className={`${styles.ralSwatch} ${frameColor.ral === color.code ? styles.active : ''}`}
+            title={`RAL ${color.code} ${color.name}`}
+          >
+            <span className={styles.ralSwatchColor} style={{ backgroundColor: color.hex }} />
+            <span className={styles.ralSwatchCode}>{color.code}</span>
+          </button>
+        ))}
+      </div>
+      {matches.length === 0 && <p className={styles.infoText}>No RAL colour matches {query}.</p>}
+      <p className={styles.infoText}>
+        {frameColor.custom
+          ? `${frameColor.label}: custom colour, coated to order at a surcharge`
+          : `${frameColor.label} (RAL ${frameColor.ral}): standard colour`}
+      </p>
+    </div>
+  );
+};
+
 const MinimalCheckbox = ({ checked, onChange, label }) => (
   <label className={`${styles.minimalCheckboxContainer} ${checked ? styles.checked : ''}`}>
     <input
@@ -3992,7 +4624,7 @@ const MinimalCheckbox = ({ checked, onChange, label }) => (
   </label>
 );
 
-const MinimalSlider = ({ label, value, onChange, min, max, unit }) => (
+const MinimalSlider = ({ label, value, onChange, min, max, unit, step }) => (
   <div className={styles.sliderContainer}>
     <div className={styles.sliderHeader}>
       <span className={styles.sliderLabel}>{label}</span>
@@ -4002,7 +4634,7 @@ const MinimalSlider = ({ label, value, onChange, min, max, unit }) => (
       type="range"
       min={min}
       max={max}
-      step={unit === '°' ? 1 : 0.1}
+      step={step ?? (unit === '°' ? 1 : 0.1)}
       value={value}
       onChange={(e) => onChange(parseFloat(e.target.value))}
       className={styles.sliderInput}
@@ -4010,7 +4642,8 @@ const MinimalSlider = ({ label, value, onChange, min, max, unit }) => (
   </div>
 );
 
-const DimensionInput = ({ label, value, onChange, unit }) => (
+// min/max come from CONFIG_SCHEMA (and the product line for depth)
+const DimensionInput = ({ label, value, onChange, unit, min, max }) => (
   <div>
     <Label>{label}</Label>
     <div className={styles.dimensionInputContainer}>
@@ -4018,9 +4651,10 @@ const DimensionInput = ({ label, value, onChange, unit }) => (
         type="number"
         value={value}
         onChange={(e) => onChange(parseFloat(e.target.value))}
+        onBlur={() => Number.isFinite(value) && onChange(Math.min(Math.max(value, min), max))}
         step="0.5"
-        min="3"
-        max="15"
+        min={min}
+        max={max}
         className={styles.dimensionInput}
       />
       <span className={styles.dimensionUnit}>{unit}</span>
@@ -4028,22 +4662,107 @@ const DimensionInput = ({ label, value, onChange, unit }) => (
   </div>
 );
 
-const TimeToggle = ({ timeOfDay, setTimeOfDay }) => (
-  <div className={styles.timeToggle}>
-    <button
-      onClick={() => setTimeOfDay('day')}
-      className={`${styles.timeToggleButton} ${timeOfDay === 'day' ? styles.active : ''}`}
-      title="Day mode"
-    >
-      ☀️
+// Undo/redo for the design, next to the sun controls
+const HistoryControls = ({ canUndo, canRedo, onUndo, onRedo }) => (
+  <div className={styles.historyControls}>
+    <button onClick={onUndo} disabled={!canUndo} className={styles.historyButton} title="Undo (Ctrl+Z)" aria-label="Undo">
+      ↶
+    </button>
+    <button onClick={onRedo} disabled={!canRedo} className={styles.historyButton} title="Redo (Ctrl+Shift+Z)" aria-label="Redo">
+      ↷
     </button>
+  </div>
+);
+
+const SUN_QUICK_HOURS = [9, 14, 19];
+const SUN_QUICK_DAYS = [{ label: 'Jun', dayOfYear: 172 }, { label: 'Dec', dayOfYear: 355 }];
+
+const SHADE_WINDOW_HOURS = Array.from({ length: 17 }, (_, index) => index + 6);
+
+// Replaces the old day/night toggle: date and clock time drive the sun
+const SunControls = ({ sunTime, setSunTime, timeOfDay, shadeAnalysisOn, onToggleShadeAnalysis, shadeWindow, setShadeWindow, shadeSummary }) => (
+  <div className={styles.sunControls}>
+    <div className={styles.sunControlsHeader}>
+      <span>{timeOfDay === 'night' ? '🌙' : '☀️'}</span>
+      <span className={styles.sunControlsTime}>{formatSunTime(sunTime.dayOfYear, sunTime.hour)}</span>
+    </div>
+    <input
+      type="range"
+      min={0}
+      max={23.75}
+      step={0.25}
+      value={sunTime.hour}
+      onChange={(e) => setSunTime(prev => ({ ...prev, hour: parseFloat(e.target.value) }))}
+      className={styles.sliderInput}
+      aria-label="Time of day"
+    />
+    <input
+      type="range"
+      min={1}
+      max={365}
+      step={1}
+      value={sunTime.dayOfYear}
+      onChange={(e) => setSunTime(prev => ({ ...prev, dayOfYear: parseInt(e.target.value, 10) }))}
+      className={styles.sliderInput}
+      aria-label="Date"
+    />
+    <div className={styles.sunControlsButtons}>
+      {SUN_QUICK_HOURS.map(hour => (
+        <button
+          key={hour}
+          onClick={() => setSunTime(prev => ({ ...prev, hour }))}
+          className={`${styles.sunControlsButton} ${sunTime.hour === hour ? styles.active : ''}`}
+        >
+          {hour}:00
+        </button>
+      ))}
+      {SUN_QUICK_DAYS.map(({ label, dayOfYear }) => (
+        <button
+          key={label}
+          onClick={() => setSunTime(prev => ({ ...prev, dayOfYear }))}
+          className={`${styles.sunControlsButton} ${sunTime.dayOfYear === dayOfYear ? styles.active : ''}`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
     <button
-      onClick={() => setTimeOfDay('night')}
-      className={`${styles.timeToggleButton} ${timeOfDay === 'night' ? styles.active : ''}`}
-      title="Night mode"
+      onClick={onToggleShadeAnalysis}
+      className={`${styles.sunControlsButton} ${shadeAnalysisOn ? styles.active : ''}`}
     >
-      🌙
+      Shade analysis
     </button>
+    {shadeAnalysisOn && (
+      <div className={styles.shadeAnalysis}>
+        <div className={styles.shadeAnalysisWindow}>
+          <select
+            value={shadeWindow.from}
+            onChange={(e) => setShadeWindow(prev => ({ ...prev, from: Number(e.target.value) }))}
+            aria-label="Analysis from"
+          >
+            {SHADE_WINDOW_HOURS.filter(hour => hour < shadeWindow.to).map(hour => (
+              <option key={hour} value={hour}>{hour}:00</option>
+            ))}
+          </select>
+          <span>–</span>
+          <select
+            value={shadeWindow.to}
+            onChange={(e) => setShadeWindow(prev => ({ ...prev, to: Number(e.target.value) }))}
+            aria-label="Analysis to"
+          >
+            {SHADE_WINDOW_HOURS.filter(hour => hour > shadeWindow.from).map(hour => (
+              <option key={hour} value={hour}>{hour}:00</option>
+            ))}
+          </select>
+        </div>
+        <p className={styles.shadeAnalysisSummary}>{shadeSummary}</p>
+        <div className={styles.shadeAnalysisLegend}>
+          <span>Sun</span>
+          <span className={styles.shadeAnalysisRamp} />
+          <span>Shade</span>
+        </div>
+      </div>
+    )}
   </div>
 );
 // const CameraModeToggle = ({ cameraMode, setCameraMode }) => (
@@ -4115,93 +4834,245 @@ const TimeToggle = ({ timeOfDay, setTimeOfDay }) => (
 //     </Html>
 //   );
 // };
-const VerandaConfiguratorFinal = () => {
+const VerandaConfiguratorFinal = ({ initialConfig = null, dealer = DEFAULT_DEALER }) => {
   const [loaded, setLoaded] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   
-  // 🆕 Load Tussenwoning configuration as default
-  const [houseType, setHouseType] = useState('tussenwoning');
-  
-  // 🆕 Apply Tussenwoning defaults immediately
-  const tussenwoningDefaults = HOUSE_TYPE_DEFAULTS.tussenwoning;
-  
-  const [leftWallOption, setLeftWallOption] = useState(tussenwoningDefaults.leftWallOption);
-  const [rightWallOption, setRightWallOption] = useState(tussenwoningDefaults.rightWallOption);
-  const [showLeftFence, setShowLeftFence] = useState(tussenwoningDefaults.showLeftFence);
-  const [showRightFence, setShowRightFence] = useState(tussenwoningDefaults.showRightFence);
-  
-  const [roofPitchActive, setRoofPitchActive] = useState(true);
-  const [roofPitchAngle, setRoofPitchAngle] = useState(0);
-  const [roofAwningPosition, setRoofAwningPosition] = useState('none');
-  
-  const [metalMaterial, setMetalMaterial] = useState(tussenwoningDefaults.metalMaterial);
-  const [enclosureEnabled, setEnclosureEnabled] = useState(tussenwoningDefaults.enclosureEnabled);
-  const [enclosureType, setEnclosureType] = useState('glass');
-  const [glassType, setGlassType] = useState(tussenwoningDefaults.glassType);
-  const [glassStyle, setGlassStyle] = useState('withframe');
-  const [selectedSide, setSelectedSide] = useState(tussenwoningDefaults.selectedSide);
-  
-  const [lightsOn, setLightsOn] = useState(false);
-  const [lightShape, setLightShape] = useState('circle');
-  const [timeOfDay, setTimeOfDay] = useState('day');
-  const [lightColor, setLightColor] = useState('#ffd700');
+  // 🆕 Start from a shared link when one was opened, else Tussenwoning defaults
+  const houseDefaults = HOUSE_TYPE_DEFAULTS[initialConfig?.houseType] || HOUSE_TYPE_DEFAULTS.tussenwoning;
+  const start = {
+    houseType: 'tussenwoning',
+    roofPitchActive: true,
+    roofPitchAngle: 0,
+    roofAwningPosition: 'none',
+    enclosureType: 'glass',
+    glassStyle: 'withframe',
+    lightsOn: false,
+    lightShape: 'circle',
+    lightColor: '#ffd700',
+    verandaType: 'wall-mounted',
+    tintedGlassEnabled: false,
+    glassColor: 'clear',
+    productLine: 'castor',
+    roofType: 'polycarbonate',
+    roofSheet: 'opal',
+    ledSet: null,
+    lightingScene: getLightingScene(),
+    orientation: 180,
+    loadZone: 'II',
+    frameRal: null,
+    frameFinish: 'gloss',
+    ...houseDefaults,
+    ...initialConfig,
+    sideEnclosureTypes: {
+      front: { material: 'glass', glassType: initialConfig?.glassType || houseDefaults.glassType, ...initialConfig?.sideEnclosureTypes?.front },
+      left: { material: 'glass', glassType: initialConfig?.glassType || houseDefaults.glassType, ...initialConfig?.sideEnclosureTypes?.left },
+      right: { material: 'glass', glassType: initialConfig?.glassType || houseDefaults.glassType, ...initialConfig?.sideEnclosureTypes?.right }
+    }
+  };
+  // Older share links have no product line; keep their depth buildable
+  const [startMinDepth, startMaxDepth] = getDepthRange(start.productLine, start.roofType);
+  start.depth = Math.min(Math.max(start.depth, startMinDepth), startMaxDepth);
+
+  // The design lives in one reducer with an undo/redo history (lib/configHistory).
+  // It holds exactly the CONFIG_SCHEMA fields: everything needed to recreate
+  // this design for share links, saved designs and quotes.
+  const [history, dispatchHistory] = useReducer(
+    configHistoryReducer,
+    start,
+    (initial) => createHistory(Object.fromEntries(Object.keys(CONFIG_SCHEMA).map(field => [field, initial[field]])))
+  );
+  const configSnapshot = history.present;
+  const {
+    houseType, productLine, roofType, roofSheet, verandaType, width, depth, height,
+    roofPitchActive, roofPitchAngle, roofAwningPosition, metalMaterial, frameRal, frameFinish,
+    enclosureEnabled, enclosureType, glassType, glassStyle, selectedSide, sideEnclosureTypes,
+    leftWallOption, rightWallOption, showLeftFence, showRightFence, tintedGlassEnabled, glassColor,
+    lightsOn, lightShape, lightColor, ledSet, lightingScene, orientation, loadZone
+  } = configSnapshot;
+
+  const changeConfig = (changes) => dispatchHistory({ type: 'change', changes, time: Date.now() });
+  // One undoable step however many fields change
+  const applyConfigChanges = (changes) => dispatchHistory({ type: 'apply', changes });
+  const handleUndo = () => dispatchHistory({ type: 'undo' });
+  const handleRedo = () => dispatchHistory({ type: 'redo' });
+
+  // Setter for one field; takes a value or an updater, like a useState setter
+  const fieldSetter = (field) => (value) => changeConfig(present => ({
+    [field]: typeof value === 'function' ? value(present[field]) : value
+  }));
+
+  const setRoofSheet = fieldSetter('roofSheet');
+  const setVerandaType = fieldSetter('verandaType');
+  const setWidth = fieldSetter('width');
+  const setDepth = fieldSetter('depth');
+  const setHeight = fieldSetter('height');
+  const setRoofPitchActive = fieldSetter('roofPitchActive');
+  const setRoofPitchAngle = fieldSetter('roofPitchAngle');
+  const setRoofAwningPosition = fieldSetter('roofAwningPosition');
+  const setFrameFinish = fieldSetter('frameFinish');
+
+  // Standard colours are picked by their RAL code as well, so RAL 7016 from
+  // the catalogue is the Anthracite colour, without a surcharge
+  const setFrameRal = (code) => changeConfig(() => {
+    const standard = findStandardFrameColor(code);
+    return standard ? { metalMaterial: standard, frameRal: null } : { metalMaterial: 'ral', frameRal: code };
+  });
+  const setEnclosureEnabled = fieldSetter('enclosureEnabled');
+  const setGlassStyle = fieldSetter('glassStyle');
+  const setSelectedSide = fieldSetter('selectedSide');
+  const setSideEnclosureTypes = fieldSetter('sideEnclosureTypes');
+  const setLeftWallOption = fieldSetter('leftWallOption');
+  const setRightWallOption = fieldSetter('rightWallOption');
+  const setTintedGlassEnabled = fieldSetter('tintedGlassEnabled');
+  const setGlassColor = fieldSetter('glassColor');
+  const setLightsOn = fieldSetter('lightsOn');
+  const setLightShape = fieldSetter('lightShape');
+  const setLightColor = fieldSetter('lightColor');
+  const setLedSet = fieldSetter('ledSet');
+  const setLightingScene = fieldSetter('lightingScene');
+  const setOrientation = fieldSetter('orientation');
+  const setLoadZone = fieldSetter('loadZone');
+
+  // Every side follows the global glass type, in the same step
+  const withGlassTypeOnEverySide = (sides, nextGlassType) => ({
+    front: { ...sides.front, glassType: nextGlassType },
+    left: { ...sides.left, glassType: nextGlassType },
+    right: { ...sides.right, glassType: nextGlassType }
+  });
+
+  const setGlassType = (nextGlassType) => changeConfig(present => ({
+    glassType: nextGlassType,
+    sideEnclosureTypes: withGlassTypeOnEverySide(present.sideEnclosureTypes, nextGlassType)
+  }));
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const target = event.target;
+      const isTextField = target.isContentEditable || target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'color'].includes(target.type));
+      if (isTextField) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        dispatchHistory({ type: 'undo' });
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        dispatchHistory({ type: 'redo' });
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // View state only, not part of the design: the sun preview's date and clock time
+  const [sunTime, setSunTime] = useState(() => ({ dayOfYear: getDayOfYear(), hour: 14 }));
+  const [shadeAnalysisOn, setShadeAnalysisOn] = useState(false);
+  const [shadeWindow, setShadeWindow] = useState(DEFAULT_SHADE_WINDOW);
+  // Prices the delivery line; the quote form asks for the postcode again
+  const [deliveryPostcode, setDeliveryPostcode] = useState('');
   const [enclosureView, setEnclosureView] = useState(null);
-  
-  const [width, setWidth] = useState(tussenwoningDefaults.width);
-  const [depth, setDepth] = useState(tussenwoningDefaults.depth);
-  const [height, setHeight] = useState(tussenwoningDefaults.height);
-  
-  const [verandaType, setVerandaType] = useState('wall-mounted');
+
   const [showAIModal, setShowAIModal] = useState(false);
 const [cameraMode, setCameraMode] = useState('exterior');
-  
-const [sideEnclosureTypes, setSideEnclosureTypes] = useState({
-  front: { material: 'glass', glassType: 'triple' },
-  left: { material: 'glass', glassType: 'triple' },
-  right: { material: 'glass', glassType: 'triple' }
-});
-useEffect(() => {
-  setSideEnclosureTypes(prev => ({
-    front: { ...prev.front, glassType: glassType },
-    left: { ...prev.left, glassType: glassType },
-    right: { ...prev.right, glassType: glassType }
-  }));
-}, [glassType]);
-// 🆕 ADD: Tinted glass state
-const [tintedGlassEnabled, setTintedGlassEnabled] = useState(false);
-const [glassColor, setGlassColor] = useState('clear');
 
+  // Spots follow the rafters; the same plan is rendered and priced
+  const sun = useMemo(
+    () => getSunPosition(toDutchDate(sunTime.dayOfYear, sunTime.hour)),
+    [sunTime]
+  );
+  const sunDirection = useMemo(() => getSunDirection(sun, orientation), [sun, orientation]);
+  // 0 at the horizon, 1 from 30° up
+  const daylight = Math.min(1, Math.max(0, Math.sin(sun.altitude) * 2));
+  const timeOfDay = sun.altitude < NIGHT_ALTITUDE ? 'night' : 'day';
+
+  // Only computed while the analysis overlay is on; follows the preview's date
+  const shadeMap = useMemo(() => {
+    if (!shadeAnalysisOn) return null;
+    return analyseShade({
+      width,
+      depth,
+      height,
+      verandaType,
+      orientation,
+      roofPitchActive,
+      roofPitchAngle,
+      roofType,
+      roofSheet,
+      roofAwningPosition,
+      enclosureEnabled,
+      sideEnclosureTypes,
+      tintedGlassEnabled,
+      glassColor
+    }, { dayOfYear: sunTime.dayOfYear, ...shadeWindow });
+  }, [shadeAnalysisOn, shadeWindow, sunTime.dayOfYear, width, depth, height, verandaType, orientation, roofPitchActive, roofPitchAngle, roofType, roofSheet, roofAwningPosition, enclosureEnabled, sideEnclosureTypes, tintedGlassEnabled, glassColor]);
+
+  const ledLayout = useMemo(
+    () => planLedLayout({ width, depth, glassType, ledSet }),
+    [width, depth, glassType, ledSet]
+  );
+
+  const structure = useMemo(
+    () => checkStructure({ productLine, roofType, width, depth, height, verandaType, loadZone }),
+    [productLine, roofType, width, depth, height, verandaType, loadZone]
+  );
 
+  const billOfMaterials = useMemo(
+    () => buildBillOfMaterials({
+      productLine, roofType, roofSheet, width, depth, height, verandaType, loadZone,
+      roofPitchActive, roofPitchAngle, glassType, glassStyle, metalMaterial, frameRal, frameFinish,
+      enclosureEnabled, sideEnclosureTypes, tintedGlassEnabled, glassColor, lightsOn, ledSet
+    }),
+    [productLine, roofType, roofSheet, width, depth, height, verandaType, loadZone, roofPitchActive, roofPitchAngle, glassType, glassStyle, metalMaterial, frameRal, frameFinish, enclosureEnabled, sideEnclosureTypes, tintedGlassEnabled, glassColor, lightsOn, ledSet]
+  );
+
+  // The dealer's rates and the price list valid today
+  const priceCalculator = useMemo(() => new PriceCalculator({ dealer }), [dealer]);
+
+  const pricing = useMemo(
+    () => priceCalculator.calculateFromBillOfMaterials(billOfMaterials, { postcode: deliveryPostcode }),
+    [priceCalculator, billOfMaterials, deliveryPostcode]
+  );
 
-   const pricing = useMemo(() => {
-    const calculator = new PriceCalculator();
-    const config = {
-      model: 'castor',
-      depth: depth * 1000,
-      width: width * 1000,
-      roofType: 'polycarbonate',
-      enclosures: {
-        left: enclosureEnabled && sideEnclosureTypes.left !== 'none',
-        right: enclosureEnabled && sideEnclosureTypes.right !== 'none'
-      },
-      lighting: lightsOn ? 10 : 0
-    };
-    return calculator.calculateCompleteVeranda(config);
-  }, [width, depth, enclosureEnabled, sideEnclosureTypes, lightsOn]);
 
 
+// Switching product line or roof infill pulls the depth back into that model's range
+const clampDepth = (nextDepth, nextProductLine, nextRoofType) => {
+  const [minDepth, maxDepth] = getDepthRange(nextProductLine, nextRoofType);
+  return Math.min(Math.max(nextDepth, minDepth), maxDepth);
+};
+
+const handleProductLineChange = (nextProductLine) => {
+  changeConfig(present => ({
+    productLine: nextProductLine,
+    depth: clampDepth(present.depth, nextProductLine, present.roofType)
+  }));
+};
+
+const handleRoofTypeChange = (nextRoofType) => {
+  changeConfig(present => ({
+    roofType: nextRoofType,
+    depth: clampDepth(present.depth, present.productLine, nextRoofType)
+  }));
+};
 
 const handleEnclosureTypeChange = (newType) => {
-  setEnclosureType(newType);
-  if (selectedSide) {
-    setSideEnclosureTypes(prev => ({
-      ...prev,
-      [selectedSide]: {
-        ...prev[selectedSide],
-        material: newType
+  changeConfig(present => ({
+    enclosureType: newType,
+    ...(present.selectedSide && {
+      sideEnclosureTypes: {
+        ...present.sideEnclosureTypes,
+        [present.selectedSide]: {
+          ...present.sideEnclosureTypes[present.selectedSide],
+          material: newType
+        }
       }
-    }));
-  }
+    })
+  }));
 };
 
 // ============================================
@@ -4215,53 +5086,252 @@ const handleEnclosureTypeChange = (newType) => {
 const handleHouseTypeChange = (newType) => {
   const defaults = HOUSE_TYPE_DEFAULTS[newType];
   
-  // Apply all defaults
- setHouseType(newType);
-  setWidth(defaults.width);
-  setDepth(defaults.depth);
-  setHeight(defaults.height);
-  setLeftWallOption(defaults.leftWallOption);
-  setRightWallOption(defaults.rightWallOption);
-  setShowLeftFence(defaults.showLeftFence);
-  setShowRightFence(defaults.showRightFence);
-  setMetalMaterial(defaults.metalMaterial);
-  setEnclosureEnabled(defaults.enclosureEnabled);
-  setSelectedSide(defaults.selectedSide);
-  setGlassType(defaults.glassType);
+  // Apply all defaults as one undoable step
+  applyConfigChanges(present => ({
+    houseType: newType,
+    width: defaults.width,
+    depth: clampDepth(defaults.depth, present.productLine, present.roofType),
+    height: defaults.height,
+    leftWallOption: defaults.leftWallOption,
+    rightWallOption: defaults.rightWallOption,
+    showLeftFence: defaults.showLeftFence,
+    showRightFence: defaults.showRightFence,
+    metalMaterial: defaults.metalMaterial,
+    enclosureEnabled: defaults.enclosureEnabled,
+    selectedSide: defaults.selectedSide,
+    glassType: defaults.glassType,
+    sideEnclosureTypes: withGlassTypeOnEverySide(present.sideEnclosureTypes, defaults.glassType)
+  }));
   
   console.log(`✅ Switched to ${defaults.label}`);
 };
-const handleApplyAIConfig = (config) => {
-  console.log('AI Config received:', config);
-  
-  // Apply ALL parameters
-  if (config.width !== undefined) setWidth(config.width);
-  if (config.depth !== undefined) setDepth(config.depth);
-  if (config.height !== undefined) setHeight(config.height);
-  if (config.glassType !== undefined) setGlassType(config.glassType);
-  if (config.metalMaterial !== undefined) setMetalMaterial(config.metalMaterial);
-  if (config.lightsOn !== undefined) setLightsOn(config.lightsOn);
-  if (config.lightShape !== undefined) setLightShape(config.lightShape);
-  if (config.lightColor !== undefined) setLightColor(config.lightColor);
-  if (config.enclosureEnabled !== undefined) setEnclosureEnabled(config.enclosureEnabled);
-  if (config.selectedSide !== undefined) setSelectedSide(config.selectedSide);
-  if (config.enclosureType !== undefined) setEnclosureType(config.enclosureType);
-  if (config.glassStyle !== undefined) setGlassStyle(config.glassStyle);
-  if (config.roofPitchActive !== undefined) setRoofPitchActive(config.roofPitchActive);
-  if (config.roofPitchAngle !== undefined) setRoofPitchAngle(config.roofPitchAngle);
-  if (config.roofAwningPosition !== undefined) setRoofAwningPosition(config.roofAwningPosition);
-  if (config.verandaType !== undefined) setVerandaType(config.verandaType);
-  
-  // Handle side enclosure types
-  if (config.selectedSide && config.enclosureType) {
-    setSideEnclosureTypes(prev => ({
-      ...prev,
-      [config.selectedSide]: config.enclosureType
-    }));
-  }
+// Validates a (partial) config and applies every known field as one undoable
+// step. Used by the AI assistant and when opening a saved design; adjust can
+// add changes of its own to the same step.
+const applyConfiguration = (rawConfig, adjust = (changes) => changes) => {
+  const { config, issues } = validateConfig(rawConfig, { productLine, roofType, depth });
+
+  applyConfigChanges(present => {
+    const changes = { ...config };
+
+    if (config.sideEnclosureTypes) {
+      // Per-side glass types win over the global glass type
+      changes.sideEnclosureTypes = { ...present.sideEnclosureTypes, ...config.sideEnclosureTypes };
+    } else if (config.glassType !== undefined) {
+      changes.sideEnclosureTypes = withGlassTypeOnEverySide(present.sideEnclosureTypes, config.glassType);
+    }
+
+    return adjust(changes, present);
+  });
+
+  return { config, issues };
+};
+
+const handleApplyAIConfig = (rawConfig) => {
+  console.log('AI Config received:', rawConfig);
+
+  // Clamp/reject anything the configurator can't render before it reaches the design
+  const { issues } = applyConfiguration(rawConfig, (changes, present) => {
+    // Handle side enclosure types (keep the { material, glassType } shape)
+    if (!changes.selectedSide || !changes.enclosureType) return changes;
+    const sides = changes.sideEnclosureTypes || present.sideEnclosureTypes;
+    return {
+      ...changes,
+      sideEnclosureTypes: {
+        ...sides,
+        [changes.selectedSide]: { ...sides[changes.selectedSide], material: changes.enclosureType }
+      }
+    };
+  });
+  issues.forEach(issue => console.warn('⚠️ AI config adjusted:', describeConfigIssue(issue)));
   
   console.log('All AI config applied successfully!');
+  return issues;
+};
+// Copies a link that reopens exactly this design
+const handleShareDesign = async () => {
+  const url = buildShareUrl(configSnapshot);
+  window.history.replaceState(null, '', url);
+
+  try {
+    await navigator.clipboard.writeText(url);
+    console.log('🔗 Share link copied:', url);
+    return true;
+  } catch (error) {
+    window.prompt('Copy this link to share your design:', url);
+    return false;
+  }
+};
+
+const handleDownloadOfferte = () => {
+  // No offerte for a combination that can't be built
+  if (!structure.valid) return;
+
+  const renders = captureOfferteViews(glRef.current, sceneRef.current);
+  const bytes = buildOffertePdf({ config: configSnapshot, pricing, renders });
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `offerte-${productLine}-${Math.round(width * 1000)}x${Math.round(depth * 1000)}.pdf`;
+  link.click();
+  // Revoked once the browser has started the download; revoking right away can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  console.log('📄 Offerte downloaded with', Object.keys(renders).length, 'views');
+};
+
+const handleExportBillOfMaterials = (format) => {
+  const content = format === 'csv' ? billOfMaterialsToCSV(billOfMaterials) : billOfMaterialsToJSON(billOfMaterials);
+  const blob = new Blob([content], { type: format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `veranda-parts-list-${productLine}-${Math.round(width * 1000)}x${Math.round(depth * 1000)}.${format}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  console.log('📋 Parts list exported:', format, billOfMaterials.items.length, 'lines');
+};
+// ============================================
+// SAVED DESIGNS
+// ============================================
+
+const glRef = useRef(null);
+const sceneRef = useRef(null);
+const [savedDesigns, setSavedDesigns] = useState([]);
+const [designsLoading, setDesignsLoading] = useState(true);
+const [isSavingDesign, setIsSavingDesign] = useState(false);
+
+useEffect(() => {
+  let cancelled = false;
+
+  designsRequest()
+    .then(data => {
+      if (!cancelled) setSavedDesigns(data.designs);
+    })
+    .catch(error => console.error('❌ Could not load saved designs:', error))
+    .finally(() => {
+      if (!cancelled) setDesignsLoading(false);
+    });
+
+  return () => {
+    cancelled = true;
+  };
+}, []);
+
+const handleSaveDesign = async (name) => {
+  setIsSavingDesign(true);
+
+  try {
+    const { design } = await designsRequest('', {
+      method: 'POST',
+      body: JSON.stringify({
+        name,
+        config: configSnapshot,
+        pricing,
+        thumbnail: captureThumbnail(glRef.current?.domElement)
+      })
+    });
+    setSavedDesigns(prev => [design, ...prev]);
+    console.log('✅ Design saved:', design.id);
+    return true;
+  } catch (error) {
+    console.error('❌ Could not save design:', error);
+    window.alert(`Could not save your design: ${error.message}`);
+    return false;
+  } finally {
+    setIsSavingDesign(false);
+  }
+};
+
+const handleLoadDesign = (design) => {
+  const { issues } = applyConfiguration(design.config);
+  issues.forEach(issue => console.warn('⚠️ Saved design adjusted:', describeConfigIssue(issue)));
+  console.log(`✅ Opened design "${design.name}"`);
+};
+
+const handleDeleteDesign = async (design) => {
+  if (!window.confirm(`Delete "${design.name}"?`)) return;
+
+  try {
+    await designsRequest(`/${design.id}`, { method: 'DELETE' });
+    setSavedDesigns(prev => prev.filter(saved => saved.id !== design.id));
+  } catch (error) {
+    console.error('❌ Could not delete design:', error);
+  }
+};
+
+// ============================================
+// DESIGN VARIANTS
+// ============================================
+
+const [variants, setVariants] = useState([]);
+const [showCompareModal, setShowCompareModal] = useState(false);
+
+const variantPricings = useMemo(
+  () => variants.map(variant => priceCalculator.calculateFromBillOfMaterials(buildBillOfMaterials(variant.config), { postcode: deliveryPostcode })),
+  [variants, priceCalculator, deliveryPostcode]
+);
+
+const handleSaveVariant = () => {
+  if (variants.length >= MAX_VARIANTS) return;
+
+  const variant = {
+    id: `variant-${Date.now()}`,
+    name: nextVariantName(variants),
+    config: configSnapshot,
+    thumbnail: captureThumbnail(glRef.current?.domElement)
+  };
+  setVariants(prev => [...prev, variant]);
+  console.log(`✅ Saved ${variant.name}`);
+};
+
+const handleOpenVariant = (variant) => {
+  const { issues } = applyConfiguration(variant.config);
+  issues.forEach(issue => console.warn('⚠️ Variant adjusted:', describeConfigIssue(issue)));
+  console.log(`✅ Opened ${variant.name}`);
+};
+
+const handleRemoveVariant = (variant) => {
+  setVariants(prev => prev.filter(saved => saved.id !== variant.id));
+};
+
+// ============================================
+// QUOTE REQUESTS
+// ============================================
+
+const [showQuoteModal, setShowQuoteModal] = useState(false);
+
+// Sends the form with the current design and price breakdown.
+// Returns { success } or { success: false, error, field } for the form.
+const handleSubmitQuote = async (customer) => {
+  try {
+    const response = await fetch('/api/quotes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      // Delivery is priced for the installation postcode
+      body: JSON.stringify({
+        customer,
+        config: configSnapshot,
+        pricing: priceCalculator.calculateFromBillOfMaterials(billOfMaterials, { postcode: customer.postcode })
+      })
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw Object.assign(new Error(data?.error || `API Error ${response.status}`), { field: data?.field });
+    }
+
+    console.log('✅ Quote requested:', data.quote.quoteNumber);
+    toast.success(data.message, { duration: 8000 });
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Quote request failed:', error);
+    toast.error(error.message);
+    return { success: false, error: error.message, field: error.field };
+  }
 };
+
 // ============================================
 // ALSO UPDATE THE sideEnclosureTypes IF NEEDED
 // ============================================
@@ -4289,29 +5359,66 @@ const handleApplyAIConfig = (config) => {
   onClose={() => setShowAIModal(false)}
   onApplyConfig={handleApplyAIConfig}
 />
+      <QuoteRequestModal
+        show={showQuoteModal}
+        onClose={() => setShowQuoteModal(false)}
+        onSubmit={handleSubmitQuote}
+        pricing={pricing}
+      />
+      <VariantCompareModal
+        show={showCompareModal}
+        onClose={() => setShowCompareModal(false)}
+        variants={variants}
+        pricings={variantPricings}
+      />
       <div className={`${styles.verandaConfigurator} ${isMobile ? styles.mobile : ''}`}>
         <div className={`${styles.canvasContainer} ${isMobile ? styles.mobile : ''}`}>
-          <TimeToggle timeOfDay={timeOfDay} setTimeOfDay={setTimeOfDay} />
+          <SunControls
+            sunTime={sunTime}
+            setSunTime={setSunTime}
+            timeOfDay={timeOfDay}
+            shadeAnalysisOn={shadeAnalysisOn}
+            onToggleShadeAnalysis={() => setShadeAnalysisOn(on => !on)}
+            shadeWindow={shadeWindow}
+            setShadeWindow={setShadeWindow}
+            shadeSummary={shadeMap ? formatShadeSummary(shadeMap.summary) : null}
+          />
+          <HistoryControls
+            canUndo={canUndo(history)}
+            canRedo={canRedo(history)}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+          />
             {/* <CameraModeToggle cameraMode={cameraMode} setCameraMode={setCameraMode} /> */}
           <Suspense fallback={null}>
             <Canvas
               shadows
               camera={{ position: [8, 5, 8], fov: 50 }}
-              onCreated={() => setLoaded(true)}
-              gl={{ antialias: true, alpha: true }}
+              onCreated={({ gl, scene }) => {
+                glRef.current = gl;
+                sceneRef.current = scene;
+                setLoaded(true);
+              }}
+              gl={{ antialias: true, alpha: true, preserveDrawingBuffer: true }}
             >
               <color attach="background" args={[timeOfDay === 'night' ? '#0a0f1e' : '#f6f6f6']} />
               
               <ambientLight intensity={timeOfDay === 'night' ? 0.2 : 0.5} />
+              {/* Sunlight; below the horizon it stays as a faint fixed moonlight */}
               <directionalLight
-                position={[10, 10, 5]}
-                intensity={timeOfDay === 'night' ? 0.3 : 0.9}
+                position={sun.altitude > 0 ? sunDirection.map(v => v * 12) : [10, 10, 5]}
+                intensity={sun.altitude > 0 ? 0.3 + daylight * 0.9 : (timeOfDay === 'night' ? 0.3 : 0.1)}
                 castShadow
                 shadow-mapSize={[2048, 2048]}
+                shadow-camera-left={-8}
+                shadow-camera-right={8}
+                shadow-camera-top={8}
+                shadow-camera-bottom={-8}
+                shadow-camera-far={40}
               />
               <hemisphereLight intensity={timeOfDay === 'night' ? 0.1 : 0.4} groundColor="#444444" />
 
-              <Environment files={timeOfDay === 'night' ? './solitude_night_1k.hdr' : './golden_gate_hills_1k.hdr'} background={true}  environmentIntensity={timeOfDay === 'night' ? 0.3 : 3.2}/>
+              <Environment files={timeOfDay === 'night' ? './solitude_night_1k.hdr' : './golden_gate_hills_1k.hdr'} background={true}  environmentIntensity={timeOfDay === 'night' ? 0.3 : 1.2 + daylight * 2}/>
               
               <TexturedGround />
               
@@ -4340,6 +5447,8 @@ const handleApplyAIConfig = (config) => {
                   roofPitchAngle={roofPitchAngle}
                   roofAwningPosition={roofAwningPosition}
                   metalMaterial={metalMaterial}
+                  frameRal={frameRal}
+                  frameFinish={frameFinish}
                   enclosureType={enclosureType}
                   enclosureEnabled={enclosureEnabled}
                   selectedSide={selectedSide}
@@ -4356,6 +5465,12 @@ const handleApplyAIConfig = (config) => {
                   verandaType={verandaType}
 glassColor={glassColor}
 tintedGlassEnabled={tintedGlassEnabled} 
+                  roofType={roofType}
+                  roofSheet={roofSheet}
+                  ledSpots={ledLayout.spots}
+                  lightingScene={lightingScene}
+                  shadeMap={shadeMap}
+                  postPositions={structure.postPositions}
                 />
 
               </Suspense>
@@ -4367,6 +5482,24 @@ tintedGlassEnabled={tintedGlassEnabled}
 
         <ConfigurationPanel 
           isMobile={isMobile}
+          productLine={productLine}
+          onProductLineChange={handleProductLineChange}
+          roofType={roofType}
+          onRoofTypeChange={handleRoofTypeChange}
+          roofSheet={roofSheet}
+          setRoofSheet={setRoofSheet}
+          ledSet={ledSet}
+          setLedSet={setLedSet}
+          ledLayout={ledLayout}
+          lightingScene={lightingScene}
+          setLightingScene={setLightingScene}
+          timeOfDay={timeOfDay}
+          onPreviewNight={() => setSunTime(prev => ({ ...prev, hour: 23 }))}
+          orientation={orientation}
+          setOrientation={setOrientation}
+          loadZone={loadZone}
+          setLoadZone={setLoadZone}
+          structure={structure}
           roofPitchActive={roofPitchActive}
           setRoofPitchActive={setRoofPitchActive}
           roofPitchAngle={roofPitchAngle}
@@ -4374,7 +5507,10 @@ tintedGlassEnabled={tintedGlassEnabled}
           roofAwningPosition={roofAwningPosition}
           setRoofAwningPosition={setRoofAwningPosition}
           metalMaterial={metalMaterial}
-          setMetalMaterial={setMetalMaterial}
+          frameRal={frameRal}
+          setFrameRal={setFrameRal}
+          frameFinish={frameFinish}
+          setFrameFinish={setFrameFinish}
           enclosureEnabled={enclosureEnabled}
           setEnclosureEnabled={setEnclosureEnabled}
           enclosureType={enclosureType}
@@ -4417,6 +5553,24 @@ tintedGlassEnabled={tintedGlassEnabled}
   setTintedGlassEnabled={setTintedGlassEnabled}    // 🆕 ADD
   glassColor={glassColor}                          // 🆕 ADD
   setGlassColor={setGlassColor}                    // 🆕 ADD
+          onShareDesign={handleShareDesign}
+          deliveryPostcode={deliveryPostcode}
+          setDeliveryPostcode={setDeliveryPostcode}
+          onRequestQuote={() => setShowQuoteModal(true)}
+          onDownloadOfferte={handleDownloadOfferte}
+          onExportBillOfMaterials={handleExportBillOfMaterials}
+          savedDesigns={savedDesigns}
+          designsLoading={designsLoading}
+          isSavingDesign={isSavingDesign}
+          onSaveDesign={handleSaveDesign}
+          onLoadDesign={handleLoadDesign}
+          onDeleteDesign={handleDeleteDesign}
+          variants={variants}
+          variantPricings={variantPricings}
+          onSaveVariant={handleSaveVariant}
+          onOpenVariant={handleOpenVariant}
+          onRemoveVariant={handleRemoveVariant}
+          onCompareVariants={() => setShowCompareModal(true)}
         />
       </div>
     </>
@@ -0,0 +1,402 @@
+import { planLedLayout, planRafters, splitLedSets } from './ledLayout';
+import { GLASS_CONFIGS, POST_MESHES, ROOF_MESHES, SIDE_GLASS_SUFFIX, SIDE_WALL_MESHES } from './modelMeshes';
+import { describeFrameColor } from './ralColors';
+import { checkStructure } from './structuralRules';
+import { GLASS_TYPE_PANELS, PRODUCT_LINES, ROOF_SHEETS, SIDE_WALL_OPTIONS } from './verandaOptions';
+
+// ============================================
+// BILL OF MATERIALS
+// Parts list for the configured veranda. Sizes are cut sizes in mm.
+// Every line has a `priceAs` telling PriceCalculator which price list prices
+// it, or a `partOf` naming the kit line whose price already includes it.
+// ============================================
+
+export const BOM_CATEGORIES = {
+  kit: 'Kits',
+  profile: 'Profiles',
+  infill: 'Roof infill',
+  glass: 'Glass',
+  rail: 'Rails & carriages',
+  post: 'Posts',
+  lighting: 'Lighting',
+  finish: 'Finish',
+  fixing: 'Fixings'
+};
+
+// Wall anchors along the wall profile, at most this far apart (mm)
+const WALL_ANCHOR_SPACING = 600;
+const SCREWS_PER_RAFTER = 4;
+
+// Side walls are priced from the same tables as SIDE_WALL_OPTIONS
+const SIDE_WALL_TYPES = { glass: 'glass', metal: 'rabat', wood: 'wood', window: 'window' };
+
+const mm = (metres) => Math.round(metres * 1000);
+
+const item = (fields) => ({
+  quantity: 1,
+  unit: 'pcs',
+  length: null,
+  width: null,
+  height: null,
+  meshes: [],
+  priceAs: null,
+  partOf: null,
+  ...fields
+});
+
+// Panes, rails, frames and carriages of one sliding glass wall. `span` is the
+// wall length along the rails (mm), `suffix` picks the side wall meshes.
+const slidingGlassItems = ({ id, label, glassType, glassStyle, span, height, tinted, suffix = '', priceAs, partOf }) => {
+  const meshes = GLASS_CONFIGS[glassType] || GLASS_CONFIGS.double;
+  const panels = GLASS_TYPE_PANELS[glassType] || GLASS_TYPE_PANELS.double;
+  const withSuffix = (names) => names.map(name => `${name}${suffix}`);
+  // Rails, carriages and frames are priced with the panes, or with the wall kit
+  const includedIn = partOf || `${id}-panes`;
+  const items = [
+    item({
+      id: `${id}-panes`,
+      category: 'glass',
+      description: `${label} pane, ${tinted ? 'tinted' : 'clear'} safety glass`,
+      quantity: panels,
+      width: Math.round(span / panels),
+      height,
+      meshes: withSuffix(meshes.glasses),
+      priceAs: priceAs || null,
+      partOf: partOf || null,
+      glassType,
+      tinted
+    }),
+    item({
+      id: `${id}-rails`,
+      category: 'rail',
+      description: `${label} ${panels}-track rail (top and bottom)`,
+      quantity: 2,
+      length: span,
+      meshes: withSuffix(meshes.holders),
+      partOf: includedIn
+    }),
+    item({
+      id: `${id}-carriages`,
+      category: 'rail',
+      description: `${label} panel carriage`,
+      quantity: panels,
+      meshes: withSuffix(meshes.sliders),
+      partOf: includedIn
+    })
+  ];
+
+  if (glassStyle !== 'onlyglass') {
+    items.push(item({
+      id: `${id}-frames`,
+      category: 'profile',
+      description: `${label} panel frame${glassStyle === 'grid' ? ' with glazing bars' : ''}`,
+      quantity: panels,
+      height,
+      meshes: withSuffix(glassStyle === 'grid' ? [...meshes.borders, meshes.grid] : meshes.borders),
+      partOf: includedIn
+    }));
+  }
+
+  return items;
+};
+
+// config: the configurator state (sizes in metres). Returns
+// { veranda, structure, items } with the veranda sizes in mm.
+export function buildBillOfMaterials(config) {
+  const {
+    productLine = 'castor',
+    roofType = 'polycarbonate',
+    roofSheet = 'opal',
+    width,
+    depth,
+    height,
+    verandaType = 'wall-mounted',
+    glassType = 'triple',
+    glassStyle = 'withframe',
+    metalMaterial = 'anthracite',
+    enclosureEnabled = false,
+    sideEnclosureTypes = {},
+    lightsOn = false,
+    ledSet = null
+  } = config;
+
+  const lineLabel = PRODUCT_LINES[productLine]?.label || productLine;
+  const structure = checkStructure(config);
+  const rafters = planRafters(width, glassType);
+  const pitch = config.roofPitchActive ? (config.roofPitchAngle || 0) * (Math.PI / 180) : 0;
+  const rafterLength = mm(depth / Math.cos(pitch));
+  const frameColor = describeFrameColor(config);
+  const tinted = Boolean(config.tintedGlassEnabled && config.glassColor && config.glassColor !== 'clear');
+  const items = [];
+
+  // Roof kit: the supplier's price covers the frame, infill and corner posts
+  items.push(item({
+    id: 'roof-kit',
+    category: 'kit',
+    description: `${lineLabel} ${roofType} roof kit`,
+    unit: 'set',
+    length: mm(depth),
+    width: mm(width),
+    meshes: [...ROOF_MESHES.frame, ...ROOF_MESHES[roofType]],
+    priceAs: 'roof'
+  }));
+
+  items.push(item({
+    id: 'gutter',
+    category: 'profile',
+    description: `${lineLabel} gutter`,
+    length: mm(width),
+    meshes: ['normroofholder'],
+    partOf: 'roof-kit'
+  }));
+
+  items.push(item({
+    id: verandaType === 'freestanding' ? 'back-beam' : 'wall-profile',
+    category: 'profile',
+    description: verandaType === 'freestanding' ? `${lineLabel} back beam` : `${lineLabel} wall profile`,
+    length: mm(width),
+    meshes: ['normroofholder'],
+    partOf: 'roof-kit'
+  }));
+
+  // The outer two rafters sit in the side profiles
+  items.push(item({
+    id: 'rafters',
+    category: 'profile',
+    description: `${lineLabel} rafter`,
+    quantity: rafters.fields + 1,
+    length: rafterLength,
+    meshes: ['normroofholder'],
+    partOf: 'roof-kit'
+  }));
+
+  items.push(item({
+    id: 'roof-infill',
+    category: 'infill',
+    description: roofType === 'glass'
+      ? 'Roof glass, laminated safety glass'
+      : `Polycarbonate sheet, ${ROOF_SHEETS[roofSheet]?.label || roofSheet}`,
+    quantity: rafters.fields,
+    length: rafterLength,
+    width: Math.round(rafters.spacing * 1000),
+    meshes: ROOF_MESHES[roofType],
+    // Opal and clear are in the kit price, other sheets add a surcharge
+    priceAs: roofType === 'polycarbonate' ? 'roofSheet' : null,
+    partOf: 'roof-kit',
+    material: roofType === 'polycarbonate' ? roofSheet : 'glass'
+  }));
+
+  // Posts, grouped by row; the corner posts come with the roof kit
+  const groundAnchors = [];
+  structure.posts
+    .reduce((groups, post) => {
+      const key = `${post.row}-${post.corner ? 'corner' : 'extra'}`;
+      const group = groups.find(entry => entry.key === key);
+      if (group) group.quantity++;
+      else groups.push({ key, row: post.row, corner: post.corner, length: mm(post.length), quantity: 1 });
+      return groups;
+    }, [])
+    .forEach(group => {
+      const id = `posts-${group.key}`;
+      items.push(item({
+        id,
+        category: 'post',
+        description: `${lineLabel} ${group.corner ? 'corner' : 'intermediate'} post, ${group.row} row`,
+        quantity: group.quantity,
+        length: group.length,
+        meshes: [...POST_MESHES[group.row].left, ...POST_MESHES[group.row].right],
+        priceAs: group.corner ? null : 'post',
+        partOf: group.corner ? 'roof-kit' : null
+      }));
+      // Extra posts are priced with their ground anchor
+      groundAnchors.push(item({
+        id: `ground-anchors-${group.key}`,
+        category: 'fixing',
+        description: `Ground anchor, ${group.row} row`,
+        quantity: group.quantity,
+        partOf: group.corner ? 'roof-kit' : id
+      }));
+    });
+
+  if (structure.gutterReinforcement) {
+    items.push(item({
+      id: 'gutter-reinforcement',
+      category: 'profile',
+      description: 'Steel gutter reinforcement insert',
+      length: mm(width),
+      priceAs: 'gutterReinforcement'
+    }));
+  }
+
+  // Front sliding glass and side walls
+  if (enclosureEnabled) {
+    const front = sideEnclosureTypes.front;
+    if (front?.material === 'glass') {
+      const frontGlassType = front.glassType || glassType;
+      items.push(...slidingGlassItems({
+        id: 'front-glass',
+        label: 'Front sliding glass',
+        glassType: frontGlassType,
+        glassStyle,
+        span: mm(width),
+        height: mm(height),
+        tinted,
+        priceAs: 'slidingGlass'
+      }));
+    }
+
+    ['left', 'right'].forEach(side => {
+      const material = sideEnclosureTypes[side]?.material;
+      if (!SIDE_WALL_TYPES[material]) return;
+
+      const id = `side-wall-${side}`;
+      const sideGlassType = sideEnclosureTypes[side].glassType || glassType;
+      items.push(item({
+        id,
+        category: 'kit',
+        description: `${side === 'left' ? 'Left' : 'Right'} side wall, ${SIDE_WALL_OPTIONS[SIDE_WALL_TYPES[material]].label}`,
+        unit: 'set',
+        length: mm(depth),
+        height: mm(height),
+        meshes: material === 'glass' ? [] : SIDE_WALL_MESHES[side][material],
+        priceAs: 'sideWall',
+        side,
+        material
+      }));
+
+      if (material === 'glass') {
+        items.push(...slidingGlassItems({
+          id: `${id}-glass`,
+          label: `${side === 'left' ? 'Left' : 'Right'} side glass`,
+          glassType: sideGlassType,
+          glassStyle,
+          span: mm(depth),
+          height: mm(height),
+          tinted,
+          suffix: SIDE_GLASS_SUFFIX[side],
+          partOf: id
+        }));
+      }
+    });
+  }
+
+  // LED spots: the largest set that fits plus single spots
+  if (lightsOn) {
+    const { count } = planLedLayout({ width, depth, glassType, ledSet });
+    const { setSize, singles } = splitLedSets(count);
+    if (setSize) {
+      items.push(item({
+        id: 'led-set',
+        category: 'lighting',
+        description: `LED spot set of ${setSize} with driver`,
+        unit: 'set',
+        meshes: ['lightsround'],
+        priceAs: 'led',
+        spots: setSize
+      }));
+    }
+    if (singles > 0) {
+      items.push(item({
+        id: 'led-single',
+        category: 'lighting',
+        description: 'LED spot, single',
+        quantity: singles,
+        meshes: ['lightsround'],
+        priceAs: 'led',
+        spots: 1
+      }));
+    }
+  }
+
+  // Powder coating of every profile. Standard colours come with the kit, any
+  // other RAL colour is coated to order and priced on its own.
+  items.push(item({
+    id: 'frame-coating',
+    category: 'finish',
+    description: `Powder coating ${frameColor.label}${frameColor.custom ? '' : ` (RAL ${frameColor.ral})`}, ${frameColor.finish.label.toLowerCase()}`,
+    unit: 'set',
+    priceAs: frameColor.custom ? 'frameColor' : null,
+    partOf: frameColor.custom ? null : 'roof-kit',
+    ral: frameColor.ral,
+    finish: frameColor.finish.key,
+    label: frameColor.label
+  }));
+
+  // Fixings that come with the roof kit and the extra posts
+  if (verandaType !== 'freestanding') {
+    items.push(item({
+      id: 'wall-anchors',
+      category: 'fixing',
+      description: 'Wall anchor M10 with plug',
+      quantity: Math.ceil(mm(width) / WALL_ANCHOR_SPACING) + 1,
+      partOf: 'roof-kit'
+    }));
+  }
+
+  items.push(...groundAnchors);
+
+  items.push(item({
+    id: 'rafter-screws',
+    category: 'fixing',
+    description: 'Stainless rafter screw set',
+    quantity: (rafters.fields + 1) * SCREWS_PER_RAFTER,
+    partOf: 'roof-kit'
+  }));
+
+  return {
+    veranda: {
+      productLine,
+      roofType,
+      roofSheet: roofType === 'polycarbonate' ? roofSheet : null,
+      verandaType,
+      color: metalMaterial,
+      ral: frameColor.ral,
+      finish: frameColor.finish.key,
+      width: mm(width),
+      depth: mm(depth),
+      height: mm(height)
+    },
+    structure: {
+      valid: structure.valid,
+      loadZone: structure.loadZone,
+      gutterReinforcement: structure.gutterReinforcement,
+      postsPerRow: structure.postsPerRow
+    },
+    items
+  };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+const CSV_COLUMNS = [
+  ['Category', (line) => BOM_CATEGORIES[line.category] || line.category],
+  ['Part', (line) => line.id],
+  ['Description', (line) => line.description],
+  ['Quantity', (line) => line.quantity],
+  ['Unit', (line) => line.unit],
+  ['Length (mm)', (line) => line.length],
+  ['Width (mm)', (line) => line.width],
+  ['Height (mm)', (line) => line.height],
+  ['Included in', (line) => line.partOf],
+  ['Meshes', (line) => line.meshes.join(' ')]
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function billOfMaterialsToCSV(bom) {
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header),
+    ...bom.items.map(line => CSV_COLUMNS.map(([, read]) => read(line)))
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+export function billOfMaterialsToJSON(bom) {
+  return JSON.stringify(bom, null, 2);
+}
@@ -0,0 +1,85 @@
+// ============================================
+// CONFIGURATION HISTORY
+// Undo/redo for the configurator as a reducer over
+//   { past, present, future, last }
+// where present is the design (the CONFIG_SCHEMA fields). Every action is one
+// undoable step, except that quick repeats on the same fields (dragging a
+// slider, typing a dimension) are merged into the step they started.
+// ============================================
+
+export const HISTORY_LIMIT = 100;
+
+// Changes to the same fields closer together than this (ms) are one step
+export const MERGE_WINDOW = 800;
+
+export const createHistory = (present) => ({ past: [], present, future: [], last: null });
+
+export const canUndo = (history) => history.past.length > 0;
+export const canRedo = (history) => history.future.length > 0;
+
+const sameFields = (a, b, fields) => fields.every(field => Object.is(a[field], b[field]));
+
+// Actions:
+//   { type: 'change', changes, time }  a field edit; merges with the previous
+//                                      change of the same fields within MERGE_WINDOW
+//   { type: 'apply', changes }         several fields at once (house preset, AI
+//                                      config, saved design), always its own step
+//   { type: 'undo' } / { type: 'redo' }
+// changes is an object of field -> value or a function (present) => object.
+export function configHistoryReducer(history, action) {
+  switch (action.type) {
+    case 'change':
+    case 'apply': {
+      const changes = typeof action.changes === 'function' ? action.changes(history.present) : action.changes;
+      const fields = Object.keys(changes);
+      const present = { ...history.present, ...changes };
+      if (sameFields(present, history.present, fields)) return history;
+
+      const key = fields.sort().join(',');
+      const { last } = history;
+      const merge = action.type === 'change' &&
+        last?.key === key &&
+        action.time - last.time < MERGE_WINDOW &&
+        history.past.length > 0;
+
+      if (!merge) {
+        return {
+          past: [...history.past, history.present].slice(-HISTORY_LIMIT),
+          present,
+          future: [],
+          last: action.type === 'change' ? { key, time: action.time } : null
+        };
+      }
+
+      // Back where the merged step started (a checkbox clicked twice): no step at all
+      const start = history.past[history.past.length - 1];
+      if (sameFields(present, start, fields)) {
+        return { past: history.past.slice(0, -1), present: start, future: [], last: null };
+      }
+      return { ...history, present, future: [], last: { key, time: action.time } };
+    }
+
+    case 'undo': {
+      if (!canUndo(history)) return history;
+      return {
+        past: history.past.slice(0, -1),
+        present: history.past[history.past.length - 1],
+        future: [history.present, ...history.future],
+        last: null
+      };
+    }
+
+    case 'redo': {
+      if (!canRedo(history)) return history;
+      return {
+        past: [...history.past, history.present],
+        present: history.future[0],
+        future: history.future.slice(1),
+        last: null
+      };
+    }
+
+    default:
+      return history;
+  }
+}
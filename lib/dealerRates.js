@@ -0,0 +1,94 @@
+// ============================================
+// DEALER RATES
+// Everything between the supplier price lists (material cost) and the
+// customer price: margin, installation, delivery and VAT. Each dealer has
+// its own rates and names the supplier price list it buys from
+// (lib/priceLists); amounts are euros excl. VAT.
+// ============================================
+
+export const DEFAULT_DEALER = 'cubesse';
+
+// Delivery zones by 4-digit postcode range, counted from the warehouse in
+// Utrecht. The first matching zone wins, so the islands come first.
+const DELIVERY_ZONES = [
+  { id: 'islands', label: 'Wadden islands', ranges: [[1791, 1797], [8881, 8899], [9161, 9166]], price: 395 },
+  { id: 'central', label: 'Randstad & Utrecht', ranges: [[1000, 4199]], price: 95 },
+  { id: 'south', label: 'Zeeland, Brabant & Limburg', ranges: [[4200, 6599]], price: 145 },
+  { id: 'east', label: 'Gelderland & Overijssel', ranges: [[6600, 8299]], price: 145 },
+  { id: 'north', label: 'Flevoland & the north', ranges: [[8300, 9999]], price: 195 }
+];
+
+export const DEALER_RATES = {
+  cubesse: {
+    label: 'Cubesse',
+    priceList: 'cubesse',
+    // On top of the material cost
+    margin: 0.6,
+    installation: {
+      base: 350,
+      perSquareMetre: 30,
+      perSideWall: 180,
+      perGlassPanel: 60,
+      perLedSpot: 15,
+      perExtraPost: 75
+    },
+    delivery: {
+      zones: DELIVERY_ZONES,
+      // Used until the customer enters a postcode
+      defaultZone: 'south'
+    },
+    vatRate: 0.21
+  },
+  // Reseller on the Cubesse list, based in Brabant: a lower margin and
+  // cheaper delivery in the south
+  zuidgevel: {
+    label: 'Zuidgevel Veranda\'s',
+    priceList: 'cubesse',
+    margin: 0.5,
+    installation: {
+      base: 295,
+      perSquareMetre: 28,
+      perSideWall: 160,
+      perGlassPanel: 55,
+      perLedSpot: 15,
+      perExtraPost: 70
+    },
+    delivery: {
+      zones: [
+        { id: 'south', label: 'Zeeland, Brabant & Limburg', ranges: [[4200, 6599]], price: 75 },
+        { id: 'rest', label: 'Rest of the Netherlands', ranges: [[1000, 4199], [6600, 9999]], price: 175 }
+      ],
+      defaultZone: 'south'
+    },
+    vatRate: 0.21
+  }
+};
+
+// Own keys only, so names like 'constructor' or '__proto__' aren't dealers
+const isDealer = (name) => Object.hasOwn(DEALER_RATES, name);
+
+// The dealer whose rates apply: the one named, or the default dealer
+export const knownDealer = (dealer = DEFAULT_DEALER) => (isDealer(dealer) ? dealer : DEFAULT_DEALER);
+
+export const getDealerRates = (dealer = DEFAULT_DEALER) => DEALER_RATES[knownDealer(dealer)];
+
+// Dealer from a ?dealer= parameter or the subdomain (zuidgevel.cubesse.nl), in
+// that order. Unknown names fall back to the default dealer.
+export function resolveDealer({ query, host } = {}) {
+  const fromQuery = String(Array.isArray(query) ? query[0] : query ?? '').trim().toLowerCase();
+  if (isDealer(fromQuery)) return fromQuery;
+
+  const labels = String(host ?? '').split(':')[0].toLowerCase().split('.');
+  if (labels.length > 2 && isDealer(labels[0])) return labels[0];
+
+  return DEFAULT_DEALER;
+}
+
+// Zone for a Dutch postcode ("1234 AB" or just the digits), or null when the
+// postcode can't be read or lies outside every zone
+export function findDeliveryZone(postcode, zones = DELIVERY_ZONES) {
+  const match = String(postcode ?? '').trim().match(/^(\d{4})/);
+  if (!match) return null;
+  const number = Number(match[1]);
+  return zones.find(zone => zone.ranges.some(([from, to]) => number >= from && number <= to)) || null;
+}
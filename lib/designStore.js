@@ -0,0 +1,219 @@
+import { randomUUID } from 'crypto';
+import { getServerSupabaseClient } from './supabase';
+import { validateConfig } from './verandaConfig';
+
+// ============================================
+// SAVED DESIGNS STORE
+// Every adapter implements the same interface, scoped to an owner:
+//   list(ownerId), get(ownerId, id), create(ownerId, design),
+//   update(ownerId, id, patch), remove(ownerId, id)
+// A design is { id, ownerId, name, config, pricing, thumbnail, createdAt, updatedAt }
+// ============================================
+
+export const MAX_DESIGN_NAME_LENGTH = 100;
+export const MAX_THUMBNAIL_LENGTH = 300 * 1024;
+
+// Anonymous per-browser owner id sent as the x-designer-id header
+export const OWNER_ID_PATTERN = /^[a-zA-Z0-9-]{8,64}$/;
+
+// Checks a create/update payload. With `partial` only the given fields are checked.
+export function sanitizeDesignInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Design payload must be an object' };
+  }
+
+  const design = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'Design name is required' };
+    }
+    design.name = input.name.trim().slice(0, MAX_DESIGN_NAME_LENGTH);
+  }
+
+  if (input.config !== undefined || !partial) {
+    const { config } = validateConfig(input.config);
+    if (Object.keys(config).length === 0) {
+      return { error: 'Design configuration is missing or invalid' };
+    }
+    design.config = config;
+  }
+
+  if (input.pricing !== undefined) {
+    if (input.pricing !== null && typeof input.pricing !== 'object') {
+      return { error: 'Pricing must be an object' };
+    }
+    design.pricing = input.pricing;
+  }
+
+  if (input.thumbnail !== undefined) {
+    if (input.thumbnail !== null && (
+      typeof input.thumbnail !== 'string' ||
+      !input.thumbnail.startsWith('data:image/') ||
+      input.thumbnail.length > MAX_THUMBNAIL_LENGTH
+    )) {
+      return { error: 'Thumbnail must be an image data URL under 300KB' };
+    }
+    design.thumbnail = input.thumbnail;
+  }
+
+  return { design };
+}
+
+// ============================================
+// IN-MEMORY ADAPTER (tests, local development)
+// ============================================
+
+export function createMemoryDesignStore() {
+  const rows = new Map();
+
+  return {
+    name: 'memory',
+
+    async list(ownerId) {
+      return [...rows.values()]
+        .filter(row => row.ownerId === ownerId)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    async get(ownerId, id) {
+      const row = rows.get(id);
+      return row && row.ownerId === ownerId ? row : null;
+    },
+
+    async create(ownerId, design) {
+      const now = new Date().toISOString();
+      const row = {
+        id: randomUUID(),
+        ownerId,
+        name: design.name,
+        config: design.config,
+        pricing: design.pricing ?? null,
+        thumbnail: design.thumbnail ?? null,
+        createdAt: now,
+        updatedAt: now
+      };
+      rows.set(row.id, row);
+      return row;
+    },
+
+    async update(ownerId, id, patch) {
+      const row = await this.get(ownerId, id);
+      if (!row) return null;
+      const updated = { ...row, ...patch, updatedAt: new Date().toISOString() };
+      rows.set(id, updated);
+      return updated;
+    },
+
+    async remove(ownerId, id) {
+      const row = await this.get(ownerId, id);
+      if (!row) return false;
+      rows.delete(id);
+      return true;
+    }
+  };
+}
+
+// ============================================
+// SUPABASE ADAPTER
+// Table schema: supabase/migrations/*_create_designs.sql
+// ============================================
+
+const fromRow = (row) => ({
+  id: row.id,
+  ownerId: row.owner_id,
+  name: row.name,
+  config: row.config,
+  pricing: row.pricing,
+  thumbnail: row.thumbnail,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const toRow = (design) => {
+  const row = {};
+  if (design.name !== undefined) row.name = design.name;
+  if (design.config !== undefined) row.config = design.config;
+  if (design.pricing !== undefined) row.pricing = design.pricing;
+  if (design.thumbnail !== undefined) row.thumbnail = design.thumbnail;
+  return row;
+};
+
+export function createSupabaseDesignStore(client, table = 'designs') {
+  const unwrap = ({ data, error }) => {
+    if (error) throw new Error(`Supabase ${table}: ${error.message}`);
+    return data;
+  };
+
+  return {
+    name: 'supabase',
+
+    async list(ownerId) {
+      const data = unwrap(await client
+        .from(table)
+        .select('*')
+        .eq('owner_id', ownerId)
+        .order('updated_at', { ascending: false }));
+      return data.map(fromRow);
+    },
+
+    async get(ownerId, id) {
+      const data = unwrap(await client
+        .from(table)
+        .select('*')
+        .eq('id', id)
+        .eq('owner_id', ownerId)
+        .maybeSingle());
+      return data ? fromRow(data) : null;
+    },
+
+    async create(ownerId, design) {
+      const data = unwrap(await client
+        .from(table)
+        .insert({ ...toRow(design), owner_id: ownerId })
+        .select()
+        .single());
+      return fromRow(data);
+    },
+
+    async update(ownerId, id, patch) {
+      const data = unwrap(await client
+        .from(table)
+        .update({ ...toRow(patch), updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('owner_id', ownerId)
+        .select()
+        .maybeSingle());
+      return data ? fromRow(data) : null;
+    },
+
+    async remove(ownerId, id) {
+      const data = unwrap(await client
+        .from(table)
+        .delete()
+        .eq('id', id)
+        .eq('owner_id', ownerId)
+        .select('id'));
+      return data.length > 0;
+    }
+  };
+}
+
+// Supabase when configured, otherwise one in-memory store per server process
+export function getDesignStore() {
+  const client = getServerSupabaseClient();
+  if (client) {
+    return createSupabaseDesignStore(client);
+  }
+
+  if (!globalThis.__verandaDesignStore) {
+    console.warn('⚠️ SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY not set - designs are kept in memory');
+    globalThis.__verandaDesignStore = createMemoryDesignStore();
+  }
+  return globalThis.__verandaDesignStore;
+}
+
+export function readOwnerId(req) {
+  const ownerId = req.headers['x-designer-id'];
+  return typeof ownerId === 'string' && OWNER_ID_PATTERN.test(ownerId) ? ownerId : null;
+}
@@ -0,0 +1,62 @@
+import { describeOfferteOptions } from './offerte';
+
+// ============================================
+// DESIGN VARIANTS
+// Snapshots of the configuration the customer is hesitating between,
+// compared side by side on dimensions, options and price.
+// A variant is { id, name, config, thumbnail }.
+// ============================================
+
+export const MAX_VARIANTS = 3;
+
+const VARIANT_LETTERS = ['A', 'B', 'C'];
+
+// "Variant A" .. "Variant C", skipping names still in use
+export const nextVariantName = (variants) => {
+  const used = new Set(variants.map(variant => variant.name));
+  const letter = VARIANT_LETTERS.find(candidate => !used.has(`Variant ${candidate}`)) || variants.length + 1;
+  return `Variant ${letter}`;
+};
+
+const formatEuro = (value) => `€${value.toLocaleString('nl-NL', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatMetres = (value) => `${Number(value).toFixed(2)} m`;
+
+const row = (label, values) => ({ label, values, differs: new Set(values).size > 1 });
+
+// Sections of { label, values (one per variant), differs } rows. pricings are
+// the PriceCalculator breakdowns of the variants, in the same order.
+export function compareVariants(variants, pricings) {
+  const configs = variants.map(variant => variant.config);
+
+  const dimensions = [
+    row('Width', configs.map(config => formatMetres(config.width))),
+    row('Depth', configs.map(config => formatMetres(config.depth))),
+    row('Post height', configs.map(config => formatMetres(config.height)))
+  ];
+
+  // Some options only exist for some variants (glass style without an
+  // enclosure), so rows follow the union of labels
+  const optionsPerVariant = configs.map(config => new Map(
+    describeOfferteOptions(config).map(option => [option.label, option.value])
+  ));
+  const optionLabels = [...new Set(optionsPerVariant.flatMap(options => [...options.keys()]))];
+  const options = optionLabels.map(label => row(label, optionsPerVariant.map(options => options.get(label) ?? '–')));
+
+  // Totals can't be given for a roof priced on request, like in PriceDisplay
+  const total = (pricing, value) => (pricing.onRequest ? 'On request' : formatEuro(value));
+  const price = [
+    row('Materials', pricings.map(pricing => formatEuro(pricing.total.wholesale))),
+    row('Dealer margin', pricings.map(pricing => formatEuro(pricing.total.margin))),
+    row('Installation', pricings.map(pricing => formatEuro(pricing.installation.price))),
+    row('Delivery', pricings.map(pricing => formatEuro(pricing.delivery.price))),
+    row('Total excl. VAT', pricings.map(pricing => total(pricing, pricing.total.exclVat))),
+    row('VAT', pricings.map(pricing => total(pricing, pricing.total.vat))),
+    row('Total incl. VAT', pricings.map(pricing => total(pricing, pricing.total.retail)))
+  ];
+
+  return [
+    { title: 'Dimensions', rows: dimensions },
+    { title: 'Options', rows: options },
+    { title: 'Price', rows: price }
+  ];
+}
@@ -0,0 +1,226 @@
+import { getDefaultConfig, validateConfig } from './verandaConfig';
+
+// ============================================
+// GEMINI PROMPT
+// ============================================
+
+export const SYSTEM_CONTEXT = `You are an expert Dutch veranda configurator assistant.
+
+CRITICAL RULES:
+1. ALWAYS return ONLY valid JSON - no markdown, no backticks, no explanations
+2. Use EXACT field names as specified below
+3. All measurements in meters (m)
+4. Return ALL fields every time
+
+FRAME COLORS (metalMaterial):
+- "anthracite" (default, modern, dark grey)
+- "black" (bold, contemporary)
+- "grey" (neutral, versatile)
+- "white" (clean, traditional)
+- "ral" (any other RAL colour the customer names, set frameRal; surcharge)
+
+RAL COLOUR (frameRal, only used with metalMaterial "ral"):
+- null (default)
+- the 4-digit RAL code, e.g. "9001" (cream) or "6009" (fir green)
+- RAL 7016, 9005, 9007 and 9016 are the standard anthracite, black, grey and
+  white: use those metalMaterial values instead
+
+FRAME FINISH (frameFinish):
+- "gloss" (default, smooth and shiny)
+- "matte" (no shine)
+- "structured" (fine texture, hides scratches)
+
+GLASS TYPES (glassType):
+- "double" (basic, 2 panels)
+- "triple" (standard, 3 panels)
+- "fourfold" (premium, 4 panels)
+- "fivefold" (luxury, 5 panels)
+- "sixfold" (ultimate luxury, 6 panels)
+
+GLASS STYLES (glassStyle):
+- "withframe" (framed borders)
+- "onlyglass" (frameless, modern)
+- "grid" (traditional divided panes)
+
+PRODUCT LINE (productLine):
+- "castor" (default, slim profiles; polycarbonate roof up to 6m deep, glass roof up to 4m)
+- "titan" (heavy-duty; polycarbonate roof up to 4.5m deep, glass roof up to 4m)
+
+ROOF INFILL (roofType):
+- "polycarbonate" (default, opal sheets, diffused light)
+- "glass" (clear glass roof, more light, more expensive)
+
+ROOF SHEETS (roofSheet, only used with a polycarbonate roof):
+- "opal" (default, milky white, diffused light)
+- "clear" (transparent, maximum daylight)
+- "iqrelax" (heat-reflecting, for sunny south-facing gardens, small surcharge)
+- "smokygrey" (tinted grey, strong sun protection, small surcharge)
+
+LED SPOTS (ledSet, only used when lightsOn is true):
+- null (default, spots planned automatically from the roof rafters)
+- 6, 8, 10, 12, 14, 16 or 18 (a fixed LED set when the customer asks for a number of spots)
+
+LIGHTING SCENE (lightingScene, only used when lightsOn is true):
+- "everyday" (default, all spots at 80%, warm white 3000K)
+- "dinner" (dimmed 2700K over the table)
+- "reading" (bright 4000K near the house)
+- "party" (all zones, 3500K)
+
+ORIENTATION (orientation, compass bearing the garden side faces in degrees):
+- 180 (default, south-facing), 0 north, 90 east, 270 west
+
+WIND AREA (loadZone, decides posts and gutter reinforcement):
+- "I" (coast and Wadden islands)
+- "II" (default, Randstad, Zeeland and the north)
+- "III" (inland: Utrecht, Gelderland, Brabant, Limburg and the east)
+
+EXACT JSON FORMAT TO RETURN:
+{
+  "width": 5.5,
+  "depth": 4.5,
+  "height": 3.0,
+  "metalMaterial": "anthracite",
+  "frameRal": null,
+  "frameFinish": "gloss",
+  "glassType": "triple",
+  "glassStyle": "withframe",
+  "enclosureEnabled": true,
+  "selectedSide": "front",
+  "enclosureType": "glass",
+  "lightsOn": false,
+  "lightShape": "circle",
+  "lightColor": "#ffd700",
+  "roofPitchActive": false,
+  "roofPitchAngle": 0,
+  "roofAwningPosition": "none",
+  "verandaType": "wall-mounted",
+  "productLine": "castor",
+  "roofType": "polycarbonate",
+  "roofSheet": "opal",
+  "ledSet": null,
+  "lightingScene": "everyday",
+  "orientation": 180,
+  "loadZone": "II"
+}
+
+NOW ANALYZE THE USER'S REQUEST AND RETURN ONLY THE JSON OBJECT.`;
+
+export const MAX_USER_TEXT_LENGTH = 2000;
+
+export function buildPrompt(userText, conversationHistory = []) {
+  return `${SYSTEM_CONTEXT}
+
+USER REQUEST: "${userText}"
+
+${conversationHistory.length > 0 ? `PREVIOUS CONTEXT: ${JSON.stringify(conversationHistory.slice(-2))}` : ''}
+
+Return ONLY the JSON configuration object.`;
+}
+
+// ============================================
+// MODEL BACKENDS
+// A backend is { name, generate(prompt) => Promise<string> }
+// ============================================
+
+export function createGeminiBackend({ apiKey, modelName = 'gemini-2.5-flash', fetchImpl = fetch } = {}) {
+  return {
+    name: `gemini:${modelName}`,
+    async generate(prompt) {
+      if (!apiKey || apiKey === 'undefined') {
+        throw new Error('API key not configured.');
+      }
+
+      const response = await fetchImpl(
+        `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${apiKey}`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            contents: [{
+              parts: [{ text: prompt }]
+            }],
+            generationConfig: {
+              temperature: 0.7,
+              topK: 40,
+              topP: 0.95,
+              maxOutputTokens: 1024,
+              responseMimeType: 'application/json' // Force JSON response
+            }
+          })
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => null);
+        console.error('❌ Gemini API Error:', errorData);
+
+        if (response.status === 404) {
+          throw new Error(`Model ${modelName} not found. Try checking API documentation for valid model names.`);
+        }
+
+        throw new Error(errorData?.error?.message || `API Error ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+        throw new Error('Invalid response structure from Gemini');
+      }
+
+      return data.candidates[0].content.parts[0].text;
+    }
+  };
+}
+
+// Local backend for tests and offline development. `reply` may be a string,
+// a config object, or a function (prompt) => string | object.
+export function createStubBackend(reply = getDefaultConfig()) {
+  return {
+    name: 'stub',
+    async generate(prompt) {
+      const result = typeof reply === 'function' ? await reply(prompt) : reply;
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    }
+  };
+}
+
+// AI_MODEL_BACKEND=stub switches the API route to the local stub
+export function resolveModelBackend(env = process.env) {
+  if (env.AI_MODEL_BACKEND === 'stub') {
+    return createStubBackend();
+  }
+
+  return createGeminiBackend({
+    apiKey: env.GEMINI_API_KEY,
+    modelName: env.GEMINI_MODEL || undefined
+  });
+}
+
+// ============================================
+// REPLY PARSING
+// ============================================
+
+export function parseConfigReply(textResponse) {
+  const cleaned = String(textResponse)
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+  const parsed = JSON.parse(cleaned);
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Model reply is not a JSON object');
+  }
+
+  // Fields the model left out get the default; rejected fields are left out
+  // entirely so the configurator keeps the customer's current choice
+  const { config, issues } = validateConfig(parsed);
+  const merged = { ...getDefaultConfig(), ...config };
+  issues
+    .filter(issue => issue.action === 'rejected')
+    .forEach(issue => delete merged[issue.field]);
+
+  return { config: merged, issues };
+}
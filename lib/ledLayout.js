@@ -0,0 +1,74 @@
+import { GLASS_TYPE_PANELS, LED_SET_SIZES } from './verandaOptions';
+
+// ============================================
+// LED SPOT LAYOUT
+// Spots are built into the rafters. Rafters line up with the front glass
+// panel joints, so the spacing follows both the width and the glass type.
+// Positions are in metres: x from the veranda centre, z from the house wall.
+// Every spot belongs to one lighting zone (see lib/lightingScenes.js).
+// ============================================
+
+export const MAX_RAFTER_SPACING = 1.0;
+
+// Depth from which the auto plan puts two spots in every rafter
+const TWO_ROW_DEPTH = 3.5;
+
+export function planRafters(width, glassType) {
+  const panels = GLASS_TYPE_PANELS[glassType] || GLASS_TYPE_PANELS.triple;
+
+  // Smallest multiple of the panel count that keeps fields under the max spacing
+  const fields = panels * Math.ceil(Math.ceil(width / MAX_RAFTER_SPACING) / panels);
+  const spacing = width / fields;
+
+  // Inner rafters only: the outer two sit in the side profiles
+  const positions = Array.from({ length: fields - 1 }, (_, i) => -width / 2 + (i + 1) * spacing);
+
+  return { fields, spacing, positions };
+}
+
+// Outer rafters light the perimeter; the other spots split into the row
+// nearest the garden (front) and the rows nearest the house (back)
+const spotZone = (rafter, rafterCount, row, rows) => {
+  if (rafterCount > 2 && (rafter === 0 || rafter === rafterCount - 1)) return 'perimeter';
+  return rows === 1 || row >= rows / 2 ? 'front' : 'back';
+};
+
+// `ledSet` null plans one or two spots per inner rafter, a number spreads that
+// many spots over the rafters row by row.
+export function planLedLayout({ width, depth, glassType, ledSet = null }) {
+  const rafters = planRafters(width, glassType);
+  const rafterCount = rafters.positions.length;
+
+  const count = ledSet ?? rafterCount * (depth >= TWO_ROW_DEPTH ? 2 : 1);
+  const rows = Math.max(1, Math.ceil(count / rafterCount));
+
+  const spots = [];
+  for (let row = 0; row < rows; row++) {
+    // Earlier rows take the remainder so every rafter in them is used
+    const inRow = Math.floor(count / rows) + (row < count % rows ? 1 : 0);
+    const z = depth * (row + 1) / (rows + 1);
+
+    // Spread symmetrically from the first to the last inner rafter
+    for (let i = 0; i < inRow; i++) {
+      const rafter = inRow === 1
+        ? Math.floor((rafterCount - 1) / 2)
+        : Math.round(i * (rafterCount - 1) / (inRow - 1));
+      spots.push({ x: rafters.positions[rafter], z, zone: spotZone(rafter, rafterCount, row, rows) });
+    }
+  }
+
+  return {
+    count,
+    auto: ledSet === null,
+    rows,
+    rafterSpacing: rafters.spacing,
+    rafters: rafterCount,
+    spots
+  };
+}
+
+// Largest LED set that fits, topped up with single spots, so any count can be ordered
+export function splitLedSets(count) {
+  const setSize = LED_SET_SIZES.filter(size => size <= count).pop() || null;
+  return { setSize, singles: count - (setSize || 0) };
+}
@@ -0,0 +1,85 @@
+// ============================================
+// LED LIGHTING SCENES
+// A scene is { preset, brightness (0.1-1), kelvin | null, zones: [...] }.
+// kelvin null means the spots use the custom light colour instead.
+// ============================================
+
+// front/back: spot rows nearest the garden / the house, perimeter: outer rafters
+export const LIGHT_ZONES = ['front', 'back', 'perimeter'];
+
+export const LIGHT_ZONE_LABELS = {
+  front: 'Front (garden side)',
+  back: 'Back (house side)',
+  perimeter: 'Perimeter'
+};
+
+export const KELVIN_RANGE = [2200, 6500];
+export const BRIGHTNESS_RANGE = [0.1, 1];
+
+export const LIGHTING_SCENES = {
+  everyday: { label: 'Everyday', brightness: 0.8, kelvin: 3000, zones: ['front', 'back', 'perimeter'] },
+  dinner: { label: 'Dinner', brightness: 0.45, kelvin: 2700, zones: ['front', 'back'] },
+  reading: { label: 'Reading', brightness: 1, kelvin: 4000, zones: ['back'] },
+  party: { label: 'Party', brightness: 0.9, kelvin: 3500, zones: ['front', 'back', 'perimeter'] }
+};
+
+export const DEFAULT_LIGHTING_SCENE = 'everyday';
+
+export function getLightingScene(preset = DEFAULT_LIGHTING_SCENE) {
+  const { brightness, kelvin, zones } = LIGHTING_SCENES[preset] || LIGHTING_SCENES[DEFAULT_LIGHTING_SCENE];
+  return { preset, brightness, kelvin, zones: [...zones] };
+}
+
+// Black-body approximation (Tanner Helland), good enough for a light preview
+export function kelvinToHex(kelvin) {
+  const temperature = kelvin / 100;
+  const clamp = (value) => Math.round(Math.min(255, Math.max(0, value)));
+
+  const red = temperature <= 66 ? 255 : 329.698727446 * Math.pow(temperature - 60, -0.1332047592);
+  const green = temperature <= 66
+    ? 99.4708025861 * Math.log(temperature) - 161.1195681661
+    : 288.1221695283 * Math.pow(temperature - 60, -0.0755148492);
+  const blue = temperature >= 66 ? 255 : temperature <= 19 ? 0 : 138.5177312231 * Math.log(temperature - 10) - 305.0447927307;
+
+  return `#${[red, green, blue].map(channel => clamp(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+export const getSceneColor = (scene, lightColor) => (scene?.kelvin ? kelvinToHex(scene.kelvin) : lightColor);
+
+// Schema check for CONFIG_SCHEMA. A preset name expands to that preset.
+export function validateLightingScene(value) {
+  if (typeof value === 'string') {
+    const preset = value.trim().toLowerCase();
+    return LIGHTING_SCENES[preset]
+      ? { value: getLightingScene(preset) }
+      : { rejected: true, reason: `is not one of ${Object.keys(LIGHTING_SCENES).join(', ')}` };
+  }
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { rejected: true, reason: 'is not a lighting scene' };
+  }
+
+  const { preset = 'custom', brightness, kelvin = null, zones } = value;
+
+  if (preset !== 'custom' && !LIGHTING_SCENES[preset]) {
+    return { rejected: true, reason: 'has an unknown preset' };
+  }
+  if (typeof brightness !== 'number' || brightness < BRIGHTNESS_RANGE[0] || brightness > BRIGHTNESS_RANGE[1]) {
+    return { rejected: true, reason: 'has a brightness outside 10-100%' };
+  }
+  if (kelvin !== null && (typeof kelvin !== 'number' || kelvin < KELVIN_RANGE[0] || kelvin > KELVIN_RANGE[1])) {
+    return { rejected: true, reason: `has a colour temperature outside ${KELVIN_RANGE[0]}-${KELVIN_RANGE[1]}K` };
+  }
+  if (!Array.isArray(zones) || zones.some(zone => !LIGHT_ZONES.includes(zone))) {
+    return { rejected: true, reason: `has zones other than ${LIGHT_ZONES.join(', ')}` };
+  }
+
+  return {
+    value: {
+      preset,
+      brightness: Math.round(brightness * 100) / 100,
+      kelvin: kelvin === null ? null : Math.round(kelvin),
+      zones: LIGHT_ZONES.filter(zone => zones.includes(zone))
+    }
+  };
+}
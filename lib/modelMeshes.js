@@ -0,0 +1,94 @@
+// ============================================
+// MODEL MESH GROUPS
+// Names of the parts in the veranda GLB. The 3D model shows and hides them,
+// the parts list (lib/billOfMaterials.js) refers to them per line.
+// ============================================
+
+// Sliding glass per glass type: frame profiles (borders), top and bottom
+// rails (holders), panes (glasses) and carriages (sliders). The left and
+// right side walls use the same meshes with a SIDE_GLASS_SUFFIX.
+
+export const GLASS_CONFIGS = {
+  double: {
+    borders: ['borderglassleft', 'borderglassright'],
+    holders: ['twoglassholder', 'twoglassholderbottom'],
+    glasses: ['oneglassleft', 'oneglassright'],
+    sliders: ['doubleglasssliderleft', 'doubleglasssliderright'],
+    singleGlasses: ['oneglassleft', 'oneglassright'],
+    grid: 'griddouble',
+    pillarScale: { x: 1.0, y: 1.0, z: 1.0 },
+    // Meshes that make up the left and right side glass
+    leftGlasses: ['doubleglasssliderleft'],
+    rightGlasses: ['doubleglasssliderright']
+  },
+  triple: {
+    borders: ['borderglasslefttriple', 'borderglassmidtriple', 'borderglassrighttriple'],
+    holders: ['tripleglassholder', 'tripleglassholderbottom'],
+    glasses: ['tripleleftglass', 'triplemidglass', 'triplerightglass'],
+    sliders: ['tripleglasssliderleft', 'tripleglassslidermid', 'tripleglasssliderright'],
+    grid: 'gridtriple',
+    pillarScale: { x: 1.4, y: 1.4, z: 1.4 }
+  },
+  fourfold: {
+    borders: ['borderglassfourleft', 'borderglassfoursecond', 'borderglassfourthird', 'borderglassfourright'],
+    holders: ['fourglassholder', 'fourglassholderbottom'],
+    glasses: ['fourfirstglass', 'foursecondglass', 'fourthirdglass', 'fourlastglass'],
+    sliders: ['glasssliderfourleft', 'glasssliderfoursecond', 'glasssliderfourthird', 'glasssliderfourright'],
+    grid: 'gridfourfold',
+    pillarScale: { x: 1.6, y: 1.6, z: 1.6 },
+    // Meshes that make up the left and right side glass
+    leftGlasses: ['borderglassfourleft', 'borderglassfoursecond', 'borderglassfourthird', 'borderglassfourright'],
+    rightGlasses: ['borderglassfourleft', 'borderglassfoursecond', 'borderglassfourthird', 'borderglassfourright']
+  },
+  fivefold: {
+    borders: ['borderglassfiveleft', 'borderglassfivesecond', 'borderglassfivethird', 'borderglassfivefourth', 'borderglassfiveright'],
+    holders: ['fiveglassholder', 'fiveglassholderbottom'],
+    glasses: ['fivefirstglass', 'fivesecondglass', 'fivethirdglass', 'fivefourthglass', 'fivelastglass'],
+    sliders: ['glasssliderfiveleft', 'glasssliderfivesecond', 'glasssliderfivethird', 'glasssliderfivefour', 'glasssliderfiveright'],
+    grid: 'gridfivefold',
+    pillarScale: { x: 1.85, y: 1.85, z: 1.85 },
+    // Meshes that make up the left and right side glass
+    leftGlasses: ['borderglassfiveleft', 'borderglassfivesecond', 'borderglassfivethird', 'borderglassfivefourth', 'fivefirstglass'],
+    rightGlasses: ['borderglassfivefourth', 'borderglassfiveright', 'fivefourthglass', 'fivelastglass']
+  },
+  sixfold: {
+    borders: ['borderglasssixleft', 'borderglasssixsecond', 'borderglasssixthird', 'borderglasssixfourth', 'borderglasssixfifth', 'borderglasssixright'],
+    holders: ['sixglassholder', 'sixglassholderbottom'],
+    glasses: ['sixfirstglass', 'sixsecondglass', 'sixthirdglass', 'sixfourthglass', 'sixfifthglass', 'sixlastglass'],
+    sliders: ['glasslidersixleft', 'glassslidersixsecond', 'glasslidersixthird', 'glasslidersixfour', 'glasslidersixfifth', 'glasslidersixright'],
+    grid: 'gridsixfold',
+    pillarScale: { x: 2.2, y: 2.1, z: 2.1 },
+    // Meshes that make up the left and right side glass
+    leftGlasses: ['borderglasssixleft', 'borderglasssixsecond', 'borderglasssixthird', 'sixfirstglass', 'sixsecondglass'],
+    rightGlasses: ['borderglasssixfourth', 'borderglasssixfifth', 'borderglasssixright', 'sixfourthglass', 'sixfifthglass', 'sixlastglass']
+  }
+};
+
+export const SIDE_GLASS_SUFFIX = { left: '001', right: '002' };
+
+// Solid side walls by enclosure material
+export const SIDE_WALL_MESHES = {
+  left: {
+    metal: ['metalleft', 'metalholderleft'],
+    wood: ['woodleft', 'woodholderleft'],
+    window: ['windowwallleft', 'windowleftone', 'windowlefttwo', 'windowleftholder2', 'windowleftholder']
+  },
+  right: {
+    metal: ['metalright', 'metalholderright'],
+    wood: ['woodright', 'woodholderright'],
+    window: ['windowwallright', 'windowrightone', 'windowrighttwo', 'windowrightholder2', 'windowrightholder']
+  }
+};
+
+// Corner posts per row; some exports spell them differently
+export const POST_MESHES = {
+  front: { left: ['leftpillar', 'leftpiller'], right: ['rightpillar', 'rightpiller'] },
+  back: { left: ['leftbackpiller'], right: ['rightbackpiller', 'righbackpiller'] }
+};
+
+// Roof frame (gutter, wall profile and rafters) and infill, flat and pitched
+export const ROOF_MESHES = {
+  frame: ['normroofholder', 'roofpitchbase', 'roofpitchside'],
+  polycarbonate: ['normroof', 'pitchnormroof'],
+  glass: ['normroofglass', 'roofpitchglass']
+};
@@ -0,0 +1,251 @@
+import { LIGHTING_SCENES } from './lightingScenes';
+import { A4, createPdfDocument, dataUrlToBytes } from './pdfDocument';
+import { describeFrameColor } from './ralColors';
+import { COMPASS_POINTS } from './sunPosition';
+import {
+  GLASS_TINT_COLORS,
+  GLASS_TYPE_PANELS,
+  LOAD_ZONES,
+  PRODUCT_LINES,
+  ROOF_SHEETS,
+  SIDE_WALL_OPTIONS
+} from './verandaOptions';
+
+// ============================================
+// OFFERTE (QUOTATION) PDF
+// Renders, dimensions, options, the price breakdown with VAT and the terms
+// on one A4, built locally with lib/pdfDocument.
+// ============================================
+
+export const OFFERTE_VALIDITY_DAYS = 30;
+
+export const OFFERTE_TERMS = [
+  `This offerte is valid for ${OFFERTE_VALIDITY_DAYS} days from the date above. Prices are in euros; VAT is shown separately above.`,
+  'Prices are based on the dimensions and options listed. After the site visit we confirm the final price; foundations, drainage and permits are not included unless listed.',
+  'Production starts after a signed order and a 30% deposit. The remainder is due on completion of the installation.',
+  'Post spacing and gutter reinforcement follow the wind area listed and are confirmed by our engineering check before production.',
+  'Aluminium profiles carry a 10 year warranty, glass and polycarbonate sheets 5 years, LED lighting 2 years.'
+];
+
+const MARGIN = 48;
+const BRAND = [0.239, 0.2, 0.435];
+const MUTED = [0.45, 0.45, 0.5];
+const RULE = [0.85, 0.85, 0.88];
+
+const formatEuro = (value) => `€ ${value.toLocaleString('nl-NL', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatMetres = (value) => `${Number(value).toFixed(2)} m`;
+const formatDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+const capitalize = (text) => (text ? text.charAt(0).toUpperCase() + text.slice(1) : '');
+
+// OF-20261018-1432: local date and time of the download
+const pad = (value) => String(value).padStart(2, '0');
+const defaultReference = (date) =>
+  `OF-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+
+const nearestCompassPoint = (bearing) => COMPASS_POINTS.reduce((best, point) => {
+  const distance = (angle) => Math.min(Math.abs(angle - bearing), 360 - Math.abs(angle - bearing));
+  return distance(point.bearing) < distance(best.bearing) ? point : best;
+});
+
+const describeEnclosure = (side, config) => {
+  const choice = config.sideEnclosureTypes?.[side];
+  if (!config.enclosureEnabled || !choice?.material) return 'Open';
+  if (choice.material === 'glass') {
+    const glassType = choice.glassType || config.glassType;
+    return `Sliding glass, ${GLASS_TYPE_PANELS[glassType] || ''} panels`;
+  }
+  return SIDE_WALL_OPTIONS[{ metal: 'rabat', wood: 'wood', window: 'window' }[choice.material]]?.label || capitalize(choice.material);
+};
+
+// Label/value rows for every option that ends up on the order
+export function describeOfferteOptions(config) {
+  const frameColor = describeFrameColor(config);
+  const rows = [
+    ['Product line', PRODUCT_LINES[config.productLine]?.label || config.productLine],
+    ['Mounting', config.verandaType === 'freestanding' ? 'Freestanding' : 'Wall-mounted'],
+    ['Roof', config.roofType === 'glass'
+      ? 'Glass'
+      : `Polycarbonate, ${ROOF_SHEETS[config.roofSheet]?.label || config.roofSheet}`],
+    ['Roof pitch', config.roofPitchActive && config.roofPitchAngle ? `${config.roofPitchAngle}°` : 'Flat'],
+    ['Sun awning', config.roofAwningPosition === 'top' ? 'On top of the roof' : 'None'],
+    ['Frame colour', `${frameColor.label}, ${frameColor.finish.label.toLowerCase()}`],
+    ['Front', describeEnclosure('front', config)],
+    ['Left side', describeEnclosure('left', config)],
+    ['Right side', describeEnclosure('right', config)]
+  ];
+
+  if (config.enclosureEnabled) {
+    rows.push(['Glass style', { withframe: 'Framed', onlyglass: 'Frameless', grid: 'Glazing bars' }[config.glassStyle] || config.glassStyle]);
+    rows.push(['Glass tint', config.tintedGlassEnabled ? GLASS_TINT_COLORS[config.glassColor]?.label || config.glassColor : 'Clear']);
+  }
+
+  rows.push(['LED lighting', config.lightsOn
+    ? `${config.ledSet ? `${config.ledSet} spots` : 'Planned per rafter'}, ${LIGHTING_SCENES[config.lightingScene?.preset]?.label || 'custom'} scene`
+    : 'None']);
+  rows.push(['Garden facing', `${nearestCompassPoint(config.orientation ?? 180).label} (${config.orientation ?? 180}°)`]);
+  rows.push(['Wind area', LOAD_ZONES[config.loadZone] ? `${config.loadZone}, ${LOAD_ZONES[config.loadZone].label}` : config.loadZone]);
+
+  return rows.map(([label, value]) => ({ label, value }));
+}
+
+// Material lines of a PriceCalculator breakdown; amount null is priced on request
+export function offertePriceLines(pricing) {
+  const lines = [];
+  const add = (label, part, detail = '') => {
+    if (!part || (part.error && !part.onRequest && !part.outOfRange)) return;
+    lines.push({ label, detail, amount: part.error ? null : part.wholesale });
+  };
+
+  const { roof } = pricing;
+  add(`Roof ${roof.dimensions.width / 1000} × ${roof.dimensions.depth / 1000} m`, roof);
+  add(`${pricing.roofSheet?.label} roof sheets`, pricing.roofSheet, pricing.roofSheet && `${pricing.roofSheet.area.toFixed(1)} m²`);
+  add(`Frame colour ${pricing.frameColor?.label}`, pricing.frameColor, `custom RAL coating${pricing.frameColor?.provisional ? ', provisional price' : ''}`);
+  add(`Left wall, ${pricing.enclosures.left?.label}`, pricing.enclosures.left, pricing.enclosures.left?.provisional ? 'provisional price' : '');
+  add(`Right wall, ${pricing.enclosures.right?.label}`, pricing.enclosures.right, pricing.enclosures.right?.provisional ? 'provisional price' : '');
+  add('Front sliding glass', pricing.frontGlass, pricing.frontGlass && `${pricing.frontGlass.panels} panels${pricing.frontGlass.tinted ? ', tinted' : ''}${pricing.frontGlass.provisional ? ', provisional price' : ''}`);
+  add('LED lighting', pricing.lighting, pricing.lighting && `${pricing.lighting.lightCount} spots`);
+  add('Structural reinforcement', pricing.structure, pricing.structure && [
+    pricing.structure.extraPosts > 0 && `${pricing.structure.extraPosts} extra ${pricing.structure.extraPosts === 1 ? 'post' : 'posts'}`,
+    pricing.structure.gutterReinforcement && 'gutter insert',
+    pricing.structure.provisional && 'provisional price'
+  ].filter(Boolean).join(' + '));
+
+  return lines;
+}
+
+// config: the configurator snapshot, pricing: the PriceCalculator breakdown,
+// renders: { front, side, top } JPEG data URLs. Returns the PDF bytes.
+export function buildOffertePdf({ config, pricing, renders = {}, date = new Date(), reference = defaultReference(date) }) {
+  const pdf = createPdfDocument({ title: `Offerte ${reference}` });
+  const right = A4.width - MARGIN;
+  const contentWidth = right - MARGIN;
+  let y = MARGIN;
+
+  pdf.addPage();
+
+  // Start a new page when the next block doesn't fit
+  const ensureSpace = (needed) => {
+    if (y + needed <= A4.height - MARGIN) return;
+    pdf.addPage();
+    y = MARGIN;
+  };
+
+  const heading = (text) => {
+    ensureSpace(40);
+    y += 22;
+    pdf.text(text, MARGIN, y, { size: 12, bold: true, color: BRAND });
+    y += 6;
+    pdf.line(MARGIN, y, right, y, { color: RULE });
+    y += 14;
+  };
+
+  // Header
+  pdf.text('Offerte', MARGIN, y + 18, { size: 24, bold: true, color: BRAND });
+  pdf.text(`Reference ${reference}`, right, y + 6, { size: 9, color: MUTED, align: 'right' });
+  pdf.text(formatDate(date), right, y + 18, { size: 9, color: MUTED, align: 'right' });
+  const validUntil = new Date(date.getTime() + OFFERTE_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  pdf.text(`Valid until ${formatDate(validUntil)}`, right, y + 30, { size: 9, color: MUTED, align: 'right' });
+  y += 44;
+
+  // Renders
+  const views = [['front', 'Front'], ['side', 'Side'], ['top', 'Top']].filter(([key]) => renders[key]);
+  if (views.length > 0) {
+    const gap = 8;
+    const imageWidth = (contentWidth - gap * 2) / 3;
+    const imageHeight = imageWidth * 0.75;
+    y += 8;
+    views.forEach(([key, label], index) => {
+      const x = MARGIN + index * (imageWidth + gap);
+      pdf.rect(x, y, imageWidth, imageHeight, { fill: [0.96, 0.96, 0.97] });
+      pdf.image(dataUrlToBytes(renders[key]), x, y, imageWidth, imageHeight);
+      pdf.text(label, x, y + imageHeight + 12, { size: 8, color: MUTED });
+    });
+    y += imageHeight + 16;
+  }
+
+  // Dimensions
+  heading('Dimensions');
+  [
+    ['Width', formatMetres(config.width)],
+    ['Depth', formatMetres(config.depth)],
+    ['Post height', formatMetres(config.height)]
+  ].forEach(([label, value]) => {
+    pdf.text(label, MARGIN, y, { size: 10, color: MUTED });
+    pdf.text(value, MARGIN + 120, y, { size: 10 });
+    y += 14;
+  });
+
+  // Options, in two columns
+  heading('Options');
+  const options = describeOfferteOptions(config);
+  const columnWidth = contentWidth / 2;
+  const optionRows = Math.ceil(options.length / 2);
+  ensureSpace(optionRows * 14);
+  options.forEach((option, index) => {
+    const x = MARGIN + (index < optionRows ? 0 : columnWidth);
+    const rowY = y + (index % optionRows) * 14;
+    pdf.text(option.label, x, rowY, { size: 9, color: MUTED });
+    pdf.text(option.value, x + 90, rowY, { size: 9 });
+  });
+  y += optionRows * 14;
+
+  // Price breakdown with VAT split
+  heading('Price');
+  offertePriceLines(pricing).forEach(line => {
+    ensureSpace(14);
+    pdf.text(line.label, MARGIN, y, { size: 10 });
+    if (line.detail) pdf.text(line.detail, MARGIN + 260, y, { size: 9, color: MUTED });
+    pdf.text(line.amount === null ? 'On request' : formatEuro(line.amount), right, y, { size: 10, align: 'right' });
+    y += 14;
+  });
+
+  // note is printed on the left, in the detail column of the lines above
+  const summaryRow = (label, value, options = {}, note = '') => {
+    ensureSpace(16);
+    if (note) pdf.text(note, MARGIN, y, { size: 9, color: MUTED });
+    pdf.text(label, MARGIN + 260, y, { size: 10, ...options });
+    pdf.text(value, right, y, { size: 10, ...options, align: 'right' });
+    y += options.bold ? 16 : 14;
+  };
+
+  ensureSpace(120);
+  y += 2;
+  pdf.line(MARGIN + 260, y, right, y, { color: RULE });
+  y += 14;
+
+  const { total, installation, delivery } = pricing;
+  summaryRow('Materials', formatEuro(total.wholesale));
+  summaryRow(`Margin ${Math.round(total.marginRate * 100)}%`, formatEuro(total.margin));
+  summaryRow('Installation', formatEuro(installation.price));
+  summaryRow('Delivery', formatEuro(delivery.price), {}, `Delivery zone ${delivery.label}${delivery.estimated ? ' (estimate)' : ''}`);
+
+  if (pricing.onRequest) {
+    summaryRow('Total', 'On request', { size: 11, bold: true, color: BRAND });
+  } else {
+    summaryRow('Total excl. VAT', formatEuro(total.exclVat));
+    summaryRow(`VAT ${Math.round(total.vatRate * 100)}%`, formatEuro(total.vat));
+    summaryRow('Total incl. VAT', formatEuro(total.retail), { size: 11, bold: true, color: BRAND });
+  }
+
+  if (pricing.provisional) {
+    ensureSpace(14);
+    y += 2;
+    pdf.text('Lines marked provisional are estimates; we confirm them with the supplier before you order.', MARGIN, y, { size: 9, color: MUTED });
+    y += 14;
+  }
+
+  // Terms
+  heading('Terms');
+  OFFERTE_TERMS.forEach(term => {
+    const lines = pdf.wrapText(term, contentWidth - 10, 8);
+    ensureSpace(lines.length * 11 + 4);
+    pdf.text('•', MARGIN, y, { size: 8, color: MUTED });
+    lines.forEach(line => {
+      pdf.text(line, MARGIN + 10, y, { size: 8, color: MUTED });
+      y += 11;
+    });
+    y += 3;
+  });
+
+  return pdf.toBytes();
+}
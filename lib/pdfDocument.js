@@ -0,0 +1,195 @@
+// ============================================
+// MINIMAL PDF WRITER
+// Just enough PDF 1.4 for generated documents: text in the standard
+// Helvetica fonts, lines, filled rectangles and JPEG images. No dependencies,
+// so it runs the same in the browser and in Node.
+// Coordinates are points from the top-left corner of the page.
+// ============================================
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Helvetica advance widths (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+// Helvetica-Bold runs about this much wider; close enough for right alignment
+const BOLD_WIDTH_FACTOR = 1.07;
+const DEFAULT_WIDTH = 556;
+
+// Characters outside Latin-1 that the standard fonts have in WinAnsiEncoding
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+const toWinAnsi = (text) => Array.from(String(text), char => {
+  const code = char.charCodeAt(0);
+  if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+  if (code === 0x2009 || code === 0x202f) return ' ';
+  return code < 0x20 || code > 0xff || (code > 0x7e && code < 0xa0) ? '?' : char;
+}).join('');
+
+const escapeText = (text) => toWinAnsi(text).replace(/[\\()]/g, match => `\\${match}`);
+
+const number = (value) => (Math.round(value * 100) / 100).toString();
+
+const colorOperands = ([r, g, b]) => `${number(r)} ${number(g)} ${number(b)}`;
+
+// Width and height of a baseline or progressive JPEG, from its SOF marker
+export function readJpegSize(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+        components: bytes[offset + 9]
+      };
+    }
+    offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+  }
+  return null;
+}
+
+// "data:image/jpeg;base64,..." -> bytes
+export function dataUrlToBytes(dataUrl) {
+  const base64 = String(dataUrl).split(',')[1] || '';
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export function createPdfDocument({ width = A4.width, height = A4.height, title = '' } = {}) {
+  const pages = [];
+  const images = [];
+  let current = null;
+
+  const textWidth = (text, size = 10, bold = false) => {
+    const units = Array.from(toWinAnsi(text)).reduce((sum, char) => {
+      const code = char.charCodeAt(0);
+      return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_WIDTH);
+    }, 0);
+    return (units / 1000) * size * (bold ? BOLD_WIDTH_FACTOR : 1);
+  };
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      current = { operations: [] };
+      pages.push(current);
+      return doc;
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    textWidth,
+
+    // Greedy word wrap to lines no wider than maxWidth
+    wrapText(text, maxWidth, size = 10, bold = false) {
+      return String(text).split(/\s+/).reduce((lines, word) => {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && textWidth(`${last} ${word}`, size, bold) <= maxWidth) {
+          lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+          lines.push(word);
+        }
+        return lines;
+      }, []);
+    },
+
+    // y is the baseline; align 'right' ends the text at x
+    text(text, x, y, { size = 10, bold = false, color = [0, 0, 0], align = 'left' } = {}) {
+      const left = align === 'right' ? x - textWidth(text, size, bold) : x;
+      current.operations.push(
+        `BT /${bold ? 'F2' : 'F1'} ${number(size)} Tf ${colorOperands(color)} rg ${number(left)} ${number(height - y)} Td (${escapeText(text)}) Tj ET`
+      );
+      return doc;
+    },
+
+    line(x1, y1, x2, y2, { lineWidth = 0.5, color = [0, 0, 0] } = {}) {
+      current.operations.push(
+        `${number(lineWidth)} w ${colorOperands(color)} RG ${number(x1)} ${number(height - y1)} m ${number(x2)} ${number(height - y2)} l S`
+      );
+      return doc;
+    },
+
+    rect(x, y, w, h, { fill = [0.9, 0.9, 0.9] } = {}) {
+      current.operations.push(`${colorOperands(fill)} rg ${number(x)} ${number(height - y - h)} ${number(w)} ${number(h)} re f`);
+      return doc;
+    },
+
+    // JPEG bytes drawn into the box with its top-left corner at (x, y)
+    image(bytes, x, y, w, h) {
+      const size = readJpegSize(bytes);
+      if (!size) throw new Error('Only JPEG images can be embedded');
+      const name = `Im${images.length + 1}`;
+      images.push({ name, bytes, ...size });
+      current.operations.push(`q ${number(w)} 0 0 ${number(h)} ${number(x)} ${number(height - y - h)} cm /${name} Do Q`);
+      return doc;
+    },
+
+    toBytes() {
+      // Object numbers: 1 catalog, 2 pages, 3-4 fonts, 5 info, then images, then pages
+      const objects = [];
+      const imageIds = images.map((_, index) => 6 + index);
+      const pageIds = pages.map((_, index) => 6 + images.length + index * 2);
+
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      objects[5] = `<< /Title (${escapeText(title)}) /Producer (Veranda configurator) >>`;
+
+      images.forEach((image, index) => {
+        const binary = Array.from(image.bytes, byte => String.fromCharCode(byte)).join('');
+        const colorSpace = image.components === 1 ? '/DeviceGray' : image.components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+        objects[imageIds[index]] = `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+          `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${binary.length} >>\nstream\n${binary}\nendstream`;
+      });
+
+      const xObjects = images.map((image, index) => `/${image.name} ${imageIds[index]} 0 R`).join(' ');
+      pages.forEach((page, index) => {
+        const content = page.operations.join('\n');
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(width)} ${number(height)}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+      });
+
+      // Binary comment line marks the file as binary for transfer tools
+      let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = output.length;
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xref = output.length;
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+      const bytes = new Uint8Array(output.length);
+      for (let i = 0; i < output.length; i++) bytes[i] = output.charCodeAt(i) & 0xff;
+      return bytes;
+    }
+  };
+
+  return doc;
+}
@@ -0,0 +1,495 @@
+import { buildBillOfMaterials } from './billOfMaterials';
+import { DEFAULT_DEALER, findDeliveryZone, getDealerRates, knownDealer } from './dealerRates';
+import { splitLedSets } from './ledLayout';
+import { describePriceList, getActivePriceList } from './priceLists';
+import { checkStructure } from './structuralRules';
+import { GLASS_TYPE_PANELS, ROOF_SHEETS, SIDE_WALL_OPTIONS } from './verandaOptions';
+import { getDefaultConfig, validateConfig } from './verandaConfig';
+
+// ============================================
+// PRICING
+// Shared by the configurator (client) and /api/price and /api/quotes
+// (server), so both always compute the same breakdown.
+// ============================================
+
+const roundPrice = (price) => Math.round(price * 100) / 100;
+
+// Side wall tables of a price list. Only glass walls have a table (which may
+// be a provisional estimate, glass.provisional); rabat, wood and window walls
+// are the glass prices times their SIDE_WALL_OPTIONS factor, rounded to €5.
+const buildSideWallsPricing = ({ glass }) => {
+  const relativeToGlass = (option) => Object.fromEntries(
+    Object.entries(glass.prices).map(([depth, heights]) => [
+      depth,
+      Object.fromEntries(Object.entries(heights).map(([height, price]) => [
+        height,
+        Math.round(price * SIDE_WALL_OPTIONS[option].price / 5) * 5
+      ]))
+    ])
+  );
+
+  return {
+    glass: relativeToGlass('glass'),
+    rabat: relativeToGlass('rabat'),
+    wood: relativeToGlass('wood'),
+    window: relativeToGlass('window')
+  };
+};
+
+// Enclosure materials in the 3D model -> priced side wall type
+const SIDE_WALL_MATERIALS = {
+  glass: 'glass',
+  metal: 'rabat',
+  wood: 'wood',
+  window: 'window'
+};
+
+// How a size between two price list cells is priced:
+// round-up    - next manufacturable size, the way suppliers quote (default)
+// interpolate - linear between the surrounding cells
+// nearest     - closest cell
+export const PRICING_MODES = ['round-up', 'interpolate', 'nearest'];
+
+const sortedKeys = (table) => Object.keys(table).map(Number).sort((a, b) => a - b);
+
+// Lower and upper table keys around a value, clamped to the table
+const bracketKeys = (keys, value) => {
+  if (value <= keys[0]) return [keys[0], keys[0]];
+  if (value >= keys[keys.length - 1]) return [keys[keys.length - 1], keys[keys.length - 1]];
+  const upper = keys.findIndex(key => key >= value);
+  return keys[upper] === value ? [value, value] : [keys[upper - 1], keys[upper]];
+};
+
+const closestKey = (keys, value) => keys.reduce((prev, curr) =>
+  Math.abs(curr - value) < Math.abs(prev - value) ? curr : prev
+);
+
+// "5000 × 6060mm" or "4000–5000 × 6060mm" when interpolated
+export const formatGridCell = (cell) => {
+  const range = ([from, to]) => (from === to ? `${from}` : `${from}–${to}`);
+  return `${range(cell.depth)} × ${range(cell.width)}mm`;
+};
+
+export class PriceCalculator {
+  // rates: a dealer's margin, installation, delivery and VAT (lib/dealerRates)
+  // priceList: the supplier prices valid on date for that dealer (lib/priceLists)
+  constructor({
+    mode = 'round-up',
+    dealer = DEFAULT_DEALER,
+    date = new Date(),
+    rates = getDealerRates(dealer),
+    priceList = getActivePriceList(rates.priceList, date)
+  } = {}) {
+    // Recorded on the quote, so the dealer whose rates were used
+    this.dealer = knownDealer(dealer);
+    this.rates = rates;
+    this.priceList = priceList;
+    this.sideWalls = buildSideWallsPricing(priceList.sideWalls);
+    // Walls priced from the glass table inherit its provisional flag
+    this.sideWallsProvisional = Boolean(priceList.sideWalls.glass.provisional);
+    this.mode = PRICING_MODES.includes(mode) ? mode : 'round-up';
+  }
+
+  // Looks up a depth × width price list. Returns { price, cell, mode } where
+  // cell holds the [from, to] table keys used per axis. Sizes beyond the table
+  // are rejected in round-up mode and priced at the edge with a warning otherwise.
+  findGridCell(grid, targetDepth, targetWidth, mode = this.mode) {
+    const depthKeys = sortedKeys(grid);
+    const widthKeys = sortedKeys(grid[depthKeys[0]]);
+    const maxDepth = depthKeys[depthKeys.length - 1];
+    const maxWidth = widthKeys[widthKeys.length - 1];
+
+    const outOfRange = [];
+    if (targetDepth > maxDepth) outOfRange.push(`depth ${targetDepth}mm exceeds ${maxDepth}mm`);
+    if (targetWidth > maxWidth) outOfRange.push(`width ${targetWidth}mm exceeds ${maxWidth}mm`);
+
+    if (mode === 'round-up') {
+      if (outOfRange.length > 0) {
+        return { error: `Outside the price list: ${outOfRange.join(', ')}`, outOfRange: true, mode };
+      }
+      const depth = depthKeys.find(key => key >= targetDepth);
+      const width = widthKeys.find(key => key >= targetWidth);
+      return { price: grid[depth][width], cell: { depth: [depth, depth], width: [width, width] }, mode };
+    }
+
+    const warning = outOfRange.length > 0 ? `Priced at the largest listed size: ${outOfRange.join(', ')}` : null;
+
+    if (mode === 'nearest') {
+      const depth = closestKey(depthKeys, targetDepth);
+      const width = closestKey(widthKeys, targetWidth);
+      return { price: grid[depth][width], cell: { depth: [depth, depth], width: [width, width] }, mode, warning };
+    }
+
+    // Bilinear interpolation between the four surrounding cells
+    const [d0, d1] = bracketKeys(depthKeys, targetDepth);
+    const [w0, w1] = bracketKeys(widthKeys, targetWidth);
+    const td = d1 === d0 ? 0 : (targetDepth - d0) / (d1 - d0);
+    const tw = w1 === w0 ? 0 : (targetWidth - w0) / (w1 - w0);
+    const lerp = (a, b, t) => a + (b - a) * t;
+    const price = lerp(
+      lerp(grid[d0][w0], grid[d0][w1], tw),
+      lerp(grid[d1][w0], grid[d1][w1], tw),
+      td
+    );
+
+    return {
+      price: Math.round(price * 100) / 100,
+      cell: { depth: [d0, d1], width: [w0, w1] },
+      mode,
+      warning
+    };
+  }
+
+  calculateVerandaRoof(config) {
+    const {
+      model = 'castor',
+      roofType = 'polycarbonate',
+      depth = 3000,
+      width = 4000
+    } = config;
+
+    const { castor, titan } = this.priceList;
+    let pricing;
+
+    if (model.toLowerCase() === 'castor') {
+      pricing = roofType === 'polycarbonate' ? 
+        castor.polycarbonateRoof.depths : 
+        castor.glassRoof.depths;
+    } else {
+      pricing = roofType === 'polycarbonate' ? 
+        titan.polycarbonateRoof.depths : 
+        titan.glassRoof.clear.depths;
+    }
+
+    const dimensions = { depth, width, area: (depth / 1000) * (width / 1000) };
+    const lookup = this.findGridCell(pricing, depth, width);
+
+    if (lookup.error) {
+      return { error: `${model} ${roofType} roof: ${lookup.error}`, outOfRange: true, dimensions, mode: lookup.mode };
+    }
+
+    return {
+      wholesale: lookup.price,
+      dimensions,
+      cell: lookup.cell,
+      mode: lookup.mode,
+      warning: lookup.warning
+    };
+  }
+
+  // Titan uses the same polycarbonate sheets, so the Castor surcharges apply to both
+  calculateRoofSheet(roofSheet, depth, width) {
+    const sheet = ROOF_SHEETS[roofSheet];
+    if (!sheet) {
+      return { error: `Unknown roof sheet ${roofSheet}` };
+    }
+    if (!sheet.surcharge) return null;
+
+    const rate = this.priceList.castor.surcharges[sheet.surcharge];
+    const area = (depth / 1000) * (width / 1000);
+    const basePrice = Math.round(rate * area * 100) / 100;
+
+    return {
+      wholesale: basePrice,
+      sheet: roofSheet,
+      label: sheet.label,
+      rate,
+      area
+    };
+  }
+
+  calculateLEDLighting(lightCount) {
+    const { single, sets } = this.priceList.titan.ledLighting;
+
+    if (!Number.isInteger(lightCount) || lightCount < 1) {
+      return { error: 'Invalid light count' };
+    }
+
+    const { setSize, singles } = splitLedSets(lightCount);
+    const basePrice = (setSize ? sets[setSize] : 0) + singles * single;
+
+    return {
+      wholesale: basePrice,
+      lightCount,
+      setSize,
+      singles
+    };
+  }
+
+  calculateSideWall(material, depth, height) {
+    const wallType = SIDE_WALL_MATERIALS[material];
+    const pricing = this.sideWalls[wallType];
+
+    if (!pricing) {
+      return { error: `No side wall pricing for ${material}` };
+    }
+
+    // Same lookup as the roof, with the wall height on the second axis
+    const label = SIDE_WALL_OPTIONS[wallType].label;
+    const lookup = this.findGridCell(pricing, depth, height);
+    const asHeight = (message) => message && message.replace(/\bwidth\b/g, 'height');
+
+    if (lookup.error) {
+      return { error: `${label} side wall: ${asHeight(lookup.error)}`, outOfRange: true, material, label, mode: lookup.mode };
+    }
+
+    return {
+      wholesale: lookup.price,
+      material,
+      label,
+      cell: lookup.cell,
+      mode: lookup.mode,
+      warning: asHeight(lookup.warning),
+      provisional: this.sideWallsProvisional
+    };
+  }
+
+  calculateGlassWall(depth, height) {
+    return this.calculateSideWall('glass', depth, height);
+  }
+
+  calculateRabatWall(depth, height) {
+    return this.calculateSideWall('metal', depth, height);
+  }
+
+  calculateWoodWall(depth, height) {
+    return this.calculateSideWall('wood', depth, height);
+  }
+
+  calculateWindowWall(depth, height) {
+    return this.calculateSideWall('window', depth, height);
+  }
+
+  calculateSlidingGlassWall({ glassType, width, height, tinted = false }) {
+    const panels = GLASS_TYPE_PANELS[glassType];
+    if (!panels) {
+      return { error: `Unknown glass type ${glassType}` };
+    }
+
+    const { glassPanels, rails, surcharges } = this.priceList.capella;
+    // Which of the two panel prices applies depends on this limit, so an
+    // estimated limit makes the price provisional
+    const { max: standardMaxHeight, provisional } = glassPanels.standardHeight;
+    const customHeight = height > standardMaxHeight;
+    const panelPrice = glassPanels.heights[customHeight ? 'custom' : 'standard'][tinted ? 'tinted' : 'clear'];
+
+    if (panelPrice === 'custom') {
+      return { error: 'Tinted glass at this height is priced on request', onRequest: true, panels, tinted };
+    }
+
+    // Panels wider than 1200mm need thicker glass
+    const panelWidth = Math.round(width / panels);
+    const widePanelSurcharge = panelWidth > 1200 ? panelPrice * surcharges.widthOver1200mm : 0;
+
+    // Rail set priced per started metre of wall width
+    const railPrice = rails[`${panels}-track`] * Math.ceil(width / 1000);
+    const customWork = customHeight ? surcharges.customWork : 0;
+
+    const basePrice = Math.round((panels * (panelPrice + widePanelSurcharge) + railPrice + customWork) * 100) / 100;
+
+    return {
+      wholesale: basePrice,
+      panels,
+      panelWidth,
+      tinted,
+      customHeight,
+      standardMaxHeight,
+      provisional: Boolean(provisional)
+    };
+  }
+
+  // Coating run in a RAL colour outside the standard range: a fixed setup
+  // plus a rate per m² of roof for the profiles
+  calculateFrameColor(coating, depth, width) {
+    const { setup, perSquareMetre, provisional } = this.priceList.frameColors.customRal;
+    const area = (depth / 1000) * (width / 1000);
+
+    return {
+      wholesale: roundPrice(setup + perSquareMetre * area),
+      ral: coating.ral,
+      label: coating.label,
+      setup,
+      rate: perSquareMetre,
+      area,
+      provisional: Boolean(provisional)
+    };
+  }
+
+  // Intermediate posts and gutter reinforcement from the parts list. Posts are
+  // priced at the next stock length; the corner posts are in the roof price.
+  // A post longer than every stock length can't be priced here.
+  calculateStructure(model, { posts = [], reinforcement = null }) {
+    if (posts.length === 0 && !reinforcement) return null;
+
+    const pricing = model === 'titan' ? this.priceList.titan.structure : this.priceList.castor.structure;
+    const stockLengths = sortedKeys(pricing.extraPost);
+    const longest = stockLengths[stockLengths.length - 1];
+    const tooLong = posts.find(post => post.length > longest);
+
+    if (tooLong) {
+      return {
+        error: `Outside the price list: ${tooLong.length}mm posts exceed the ${longest}mm ${model} stock length`,
+        outOfRange: true,
+        extraPosts: posts.reduce((sum, post) => sum + post.quantity, 0),
+        gutterReinforcement: Boolean(reinforcement)
+      };
+    }
+
+    const pricedPosts = posts.map(post => {
+      const stockLength = stockLengths.find(length => length >= post.length);
+      return { quantity: post.quantity, length: post.length, stockLength, price: pricing.extraPost[stockLength] };
+    });
+
+    const reinforcementLength = reinforcement ? reinforcement.length / 1000 : 0;
+    const basePrice = Math.round(
+      (pricedPosts.reduce((sum, post) => sum + post.price * post.quantity, 0) + reinforcementLength * pricing.gutterReinforcementPerMeter) * 100
+    ) / 100;
+
+    return {
+      wholesale: basePrice,
+      extraPosts: pricedPosts.reduce((sum, post) => sum + post.quantity, 0),
+      posts: pricedPosts,
+      gutterReinforcement: Boolean(reinforcement),
+      reinforcementLength,
+      provisional: Boolean(pricing.provisional)
+    };
+  }
+
+  // Labour from the roof area plus the parts that take extra time to fit
+  calculateInstallation(bom) {
+    const rates = this.rates.installation;
+    const count = (kind) => bom.items.filter(item => item.priceAs === kind).reduce((sum, item) => sum + item.quantity, 0);
+    const area = (bom.veranda.width / 1000) * (bom.veranda.depth / 1000);
+    const ledSpots = bom.items.filter(item => item.priceAs === 'led').reduce((sum, item) => sum + item.spots * item.quantity, 0);
+
+    const lines = [
+      { label: 'Base', price: rates.base },
+      { label: `Roof ${area.toFixed(1)}m²`, price: area * rates.perSquareMetre },
+      { label: 'Side walls', price: count('sideWall') * rates.perSideWall },
+      { label: 'Sliding glass panels', price: count('slidingGlass') * rates.perGlassPanel },
+      { label: 'LED spots', price: ledSpots * rates.perLedSpot },
+      { label: 'Extra posts', price: count('post') * rates.perExtraPost }
+    ].filter(line => line.price > 0).map(line => ({ ...line, price: roundPrice(line.price) }));
+
+    return { price: roundPrice(lines.reduce((sum, line) => sum + line.price, 0)), lines };
+  }
+
+  // Delivery by postcode zone; without a valid postcode the dealer's default zone is an estimate
+  calculateDelivery(postcode) {
+    const { zones, defaultZone } = this.rates.delivery;
+    const zone = findDeliveryZone(postcode, zones);
+    const priced = zone || zones.find(entry => entry.id === defaultZone);
+
+    return { price: priced.price, zone: priced.id, label: priced.label, estimated: !zone };
+  }
+
+  // Prices a parts list from lib/billOfMaterials: every line with a priceAs is
+  // priced from its price list, kit contents are included in their kit.
+  calculateFromBillOfMaterials(bom, { postcode = null } = {}) {
+    const { veranda, items } = bom;
+    const pricedAs = (kind) => items.filter(item => item.priceAs === kind);
+    const model = veranda.productLine;
+    const { depth, width } = veranda;
+
+    const [roofSheet] = pricedAs('roofSheet');
+    const [frameCoating] = pricedAs('frameColor');
+    const [frontGlass] = pricedAs('slidingGlass');
+    const lightCount = pricedAs('led').reduce((sum, item) => sum + item.spots * item.quantity, 0);
+
+    const results = {
+      roof: this.calculateVerandaRoof({ model, roofType: veranda.roofType, depth, width }),
+      roofSheet: roofSheet ? this.calculateRoofSheet(roofSheet.material, depth, width) : null,
+      frameColor: frameCoating ? this.calculateFrameColor(frameCoating, depth, width) : null,
+      enclosures: {},
+      frontGlass: null,
+      lighting: null,
+      structure: this.calculateStructure(model, {
+        posts: pricedAs('post'),
+        reinforcement: pricedAs('gutterReinforcement')[0] || null
+      })
+    };
+
+    pricedAs('sideWall').forEach(wall => {
+      results.enclosures[wall.side] = this.calculateSideWall(wall.material, wall.length, wall.height);
+    });
+
+    if (frontGlass) {
+      results.frontGlass = this.calculateSlidingGlassWall({
+        glassType: frontGlass.glassType,
+        width,
+        height: frontGlass.height,
+        tinted: frontGlass.tinted
+      });
+    }
+
+    if (lightCount > 0) {
+      results.lighting = this.calculateLEDLighting(lightCount);
+    }
+
+    // A roof, wall or post outside the price list can't be priced here; the quote is made by hand
+    results.onRequest = [results.roof, ...Object.values(results.enclosures), results.structure].some(part => part?.outOfRange);
+
+    const parts = [results.roof, results.roofSheet, results.frameColor, ...Object.values(results.enclosures), results.frontGlass, results.lighting, results.structure];
+    // Part of the material price still comes from estimates, not supplier prices
+    results.provisional = parts.some(part => part?.provisional && !part.error);
+
+    const material = roundPrice(parts.reduce((sum, part) => (part && !part.error ? sum + part.wholesale : sum), 0));
+
+    results.installation = this.calculateInstallation(bom);
+    results.delivery = this.calculateDelivery(postcode);
+
+    const margin = roundPrice(material * this.rates.margin);
+    const exclVat = roundPrice(material + margin + results.installation.price + results.delivery.price);
+    const vat = roundPrice(exclVat * this.rates.vatRate);
+
+    // Recorded on the quote, so the price can be traced back later
+    results.dealer = this.dealer;
+    results.priceList = describePriceList(this.priceList);
+
+    results.total = {
+      wholesale: material,
+      margin,
+      marginRate: this.rates.margin,
+      installation: results.installation.price,
+      delivery: results.delivery.price,
+      exclVat,
+      vat,
+      vatRate: this.rates.vatRate,
+      retail: roundPrice(exclVat + vat)
+    };
+
+    return results;
+  }
+}
+
+// Prices a configuration from outside the configurator (API routes). Fields
+// that fail validation fall back to the defaults and are listed in issues;
+// structure tells whether the result can be built (see checkStructure).
+export function priceConfiguration(input, { dealer = DEFAULT_DEALER, postcode = null, date = new Date() } = {}) {
+  const { config, issues } = validateConfig(input);
+  const fullConfig = { ...getDefaultConfig(), ...config };
+  const billOfMaterials = buildBillOfMaterials(fullConfig);
+  const pricing = new PriceCalculator({ dealer, date }).calculateFromBillOfMaterials(billOfMaterials, { postcode });
+  const { valid, issues: structureIssues } = checkStructure(fullConfig);
+
+  return { config, issues, billOfMaterials, pricing, structure: { valid, issues: structureIssues } };
+}
+
+// Compares a breakdown computed in the browser with ours. A different total,
+// on-request state or price list version counts as a mismatch.
+export function checkSubmittedPrice(submitted, pricing) {
+  const submittedTotal = Number(submitted?.total?.retail);
+  const known = Number.isFinite(submittedTotal);
+  const matches = known &&
+    Math.abs(submittedTotal - pricing.total.retail) < 0.01 &&
+    Boolean(submitted.onRequest) === pricing.onRequest &&
+    submitted.priceList?.version === pricing.priceList.version;
+
+  return {
+    matches,
+    submittedTotal: known ? submittedTotal : null,
+    submittedPriceList: submitted?.priceList?.version ?? null,
+    total: pricing.total.retail,
+    difference: known ? roundPrice(submittedTotal - pricing.total.retail) : null
+  };
+}
@@ -0,0 +1,63 @@
+import cubesse20261 from './cubesse-2026.1.json';
+
+// ============================================
+// SUPPLIER PRICE LISTS
+// Material cost per product line, one JSON file per published version:
+//   { id, version, label, validFrom, validUntil, castor, titan, capella, frameColors, sideWalls }
+// Dealers name the list they buy from in lib/dealerRates. The version valid
+// on the pricing date is used and recorded on every quote, so an old quote
+// can always be traced back to the prices it was made with.
+// Amounts are euros excl. VAT, sizes in mm, dates inclusive (YYYY-MM-DD).
+//
+// Tables per list:
+//   castor / titan  polycarbonateRoof.depths and glassRoof (.clear for titan)
+//                   depth -> width -> roof kit price; structure.extraPost by
+//                   stock length and gutterReinforcementPerMeter (may be
+//                   provisional)
+//   castor          surcharges per m² of roof on top of opal/clear sheets
+//   titan           ledLighting: single spot and fixed sets by spot count
+//   capella         sliding glass panels (standard price up to
+//                   standardHeight.max, custom above), rails per started
+//                   metre, surcharges
+//   frameColors     customRal: coating run in a non-standard RAL colour,
+//                   setup plus a rate per m² of roof (may be provisional)
+//   sideWalls       glass.prices by depth -> wall height; rabat, wood and
+//                   window walls are derived from it (lib/priceCalculator)
+//
+// A table with provisional: true is an estimate (source says whose); prices
+// from it are flagged as such.
+// ============================================
+
+export const PRICE_LISTS = [
+  cubesse20261
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+const toDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const isPriceListValid = (list, date = new Date()) => {
+  const day = toDay(date);
+  return list.validFrom <= day && (!list.validUntil || day <= list.validUntil);
+};
+
+// Newest version of a list that is valid on the date. Throws when there is
+// none, rather than quoting from an expired list.
+export function getActivePriceList(id, date = new Date(), lists = PRICE_LISTS) {
+  const active = lists
+    .filter(list => list.id === id && isPriceListValid(list, date))
+    .sort((a, b) => b.validFrom.localeCompare(a.validFrom))[0];
+
+  if (!active) {
+    throw new Error(`No ${id} price list is valid on ${toDay(date)}`);
+  }
+  return active;
+}
+
+// What a quote records about the list it was priced with
+export const describePriceList = (list) => ({
+  id: list.id,
+  version: list.version,
+  label: list.label,
+  validFrom: list.validFrom,
+  validUntil: list.validUntil
+});
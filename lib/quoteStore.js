@@ -0,0 +1,207 @@
+import { randomInt } from 'crypto';
+import { getServerSupabaseClient } from './supabase';
+import { validateConfig } from './verandaConfig';
+
+// ============================================
+// QUOTE REQUESTS STORE
+// Every adapter implements the same interface:
+//   create(quote) -> stored quote with a quoteNumber, get(quoteNumber)
+// A quote is { quoteNumber, status, customer, config, pricing, priceCheck, createdAt };
+// pricing is computed on the server and records the dealer and price list;
+// priceCheck compares it with the price the browser showed
+// ============================================
+
+export const MAX_NAME_LENGTH = 100;
+export const MAX_ADDRESS_LENGTH = 200;
+export const MAX_NOTES_LENGTH = 2000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Dutch postcode, e.g. "1234 AB" or "1234ab"
+const POSTCODE_PATTERN = /^(\d{4})\s?([a-zA-Z]{2})$/;
+
+const QUOTE_NUMBER_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Q-20261018-7KD3XP: date of the request + random suffix
+export function generateQuoteNumber(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  let suffix = '';
+  for (let i = 0; i < 6; i++) {
+    suffix += QUOTE_NUMBER_ALPHABET[randomInt(QUOTE_NUMBER_ALPHABET.length)];
+  }
+  return `Q-${day}-${suffix}`;
+}
+
+const readText = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+// Checks the form fields, configuration and price breakdown of a quote request.
+// Returns { quote } or { error, field }; quote.submittedPricing is the
+// browser's breakdown, to be checked against our own.
+export function sanitizeQuoteInput(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Quote request must be an object' };
+  }
+
+  const customer = input.customer || {};
+
+  const name = readText(customer.name, MAX_NAME_LENGTH);
+  if (!name) {
+    return { error: 'Please enter your name', field: 'name' };
+  }
+
+  const email = readText(customer.email, 254).toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    return { error: 'Please enter a valid email address', field: 'email' };
+  }
+
+  const postcodeMatch = readText(customer.postcode, 10).match(POSTCODE_PATTERN);
+  if (!postcodeMatch) {
+    return { error: 'Please enter a valid postcode (e.g. 1234 AB)', field: 'postcode' };
+  }
+
+  const installAddress = readText(customer.installAddress, MAX_ADDRESS_LENGTH);
+  if (!installAddress) {
+    return { error: 'Please enter the installation address', field: 'installAddress' };
+  }
+
+  const { config } = validateConfig(input.config);
+  if (Object.keys(config).length === 0) {
+    return { error: 'Quote configuration is missing or invalid', field: 'config' };
+  }
+
+  if (!input.pricing || typeof input.pricing !== 'object' || !input.pricing.total) {
+    return { error: 'Quote price breakdown is missing', field: 'pricing' };
+  }
+
+  return {
+    quote: {
+      customer: {
+        name,
+        email,
+        postcode: `${postcodeMatch[1]} ${postcodeMatch[2].toUpperCase()}`,
+        installAddress,
+        notes: readText(customer.notes, MAX_NOTES_LENGTH)
+      },
+      config,
+      submittedPricing: input.pricing
+    }
+  };
+}
+
+// ============================================
+// IN-MEMORY ADAPTER (tests, local development)
+// ============================================
+
+export function createMemoryQuoteStore() {
+  const rows = new Map();
+
+  return {
+    name: 'memory',
+
+    async create(quote) {
+      let quoteNumber = generateQuoteNumber();
+      while (rows.has(quoteNumber)) quoteNumber = generateQuoteNumber();
+
+      const row = {
+        quoteNumber,
+        status: 'new',
+        customer: quote.customer,
+        config: quote.config,
+        pricing: quote.pricing,
+        priceCheck: quote.priceCheck,
+        createdAt: new Date().toISOString()
+      };
+      rows.set(quoteNumber, row);
+      return row;
+    },
+
+    async get(quoteNumber) {
+      return rows.get(quoteNumber) || null;
+    }
+  };
+}
+
+// ============================================
+// SUPABASE ADAPTER
+// Table schema: supabase/migrations/*_create_quotes.sql
+// ============================================
+
+const fromRow = (row) => ({
+  quoteNumber: row.quote_number,
+  status: row.status,
+  customer: {
+    name: row.customer_name,
+    email: row.customer_email,
+    postcode: row.postcode,
+    installAddress: row.install_address,
+    notes: row.notes
+  },
+  config: row.config,
+  pricing: row.pricing,
+  priceCheck: row.price_check,
+  createdAt: row.created_at
+});
+
+const toRow = (quote, quoteNumber) => ({
+  quote_number: quoteNumber,
+  customer_name: quote.customer.name,
+  customer_email: quote.customer.email,
+  postcode: quote.customer.postcode,
+  install_address: quote.customer.installAddress,
+  notes: quote.customer.notes,
+  config: quote.config,
+  pricing: quote.pricing,
+  dealer: quote.pricing.dealer,
+  price_list: quote.pricing.priceList.id,
+  price_list_version: quote.pricing.priceList.version,
+  price_check: quote.priceCheck,
+  price_mismatch: !quote.priceCheck.matches
+});
+
+// Postgres unique_violation, i.e. the random quote number was already taken
+const UNIQUE_VIOLATION = '23505';
+
+export function createSupabaseQuoteStore(client, table = 'quotes') {
+  return {
+    name: 'supabase',
+
+    async create(quote) {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const { data, error } = await client
+          .from(table)
+          .insert(toRow(quote, generateQuoteNumber()))
+          .select()
+          .single();
+
+        if (!error) return fromRow(data);
+        if (error.code !== UNIQUE_VIOLATION) {
+          throw new Error(`Supabase ${table}: ${error.message}`);
+        }
+      }
+      throw new Error(`Supabase ${table}: could not assign a unique quote number`);
+    },
+
+    async get(quoteNumber) {
+      const { data, error } = await client
+        .from(table)
+        .select('*')
+        .eq('quote_number', quoteNumber)
+        .maybeSingle();
+      if (error) throw new Error(`Supabase ${table}: ${error.message}`);
+      return data ? fromRow(data) : null;
+    }
+  };
+}
+
+// Supabase when configured, otherwise one in-memory store per server process
+export function getQuoteStore() {
+  const client = getServerSupabaseClient();
+  if (client) {
+    return createSupabaseQuoteStore(client);
+  }
+
+  if (!globalThis.__verandaQuoteStore) {
+    console.warn('⚠️ SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY not set - quote requests are kept in memory');
+    globalThis.__verandaQuoteStore = createMemoryQuoteStore();
+  }
+  return globalThis.__verandaQuoteStore;
+}
@@ -0,0 +1,102 @@
+import { FRAME_COLOR_OPTIONS, FRAME_FINISHES } from './verandaOptions';
+
+// ============================================
+// RAL COLOURS
+// The RAL Classic colours the powder coater offers for frames. Hex values
+// are screen approximations; the customer signs off on a physical sample.
+// ============================================
+
+export const RAL_COLORS = [
+  { code: '1001', name: 'Beige', hex: '#d0b084' },
+  { code: '1013', name: 'Oyster white', hex: '#e3d9c6' },
+  { code: '1015', name: 'Light ivory', hex: '#e6d2b5' },
+  { code: '1021', name: 'Colza yellow', hex: '#f6b600' },
+  { code: '1023', name: 'Traffic yellow', hex: '#f7b500' },
+  { code: '3000', name: 'Flame red', hex: '#a72920' },
+  { code: '3004', name: 'Purple red', hex: '#6b1c23' },
+  { code: '3005', name: 'Wine red', hex: '#59191f' },
+  { code: '3009', name: 'Oxide red', hex: '#6d342d' },
+  { code: '3020', name: 'Traffic red', hex: '#c1121c' },
+  { code: '5002', name: 'Ultramarine blue', hex: '#20214f' },
+  { code: '5003', name: 'Sapphire blue', hex: '#1d1e33' },
+  { code: '5010', name: 'Gentian blue', hex: '#0e294b' },
+  { code: '5011', name: 'Steel blue', hex: '#1a2b3c' },
+  { code: '5014', name: 'Pigeon blue', hex: '#606e8c' },
+  { code: '5024', name: 'Pastel blue', hex: '#6093ac' },
+  { code: '6005', name: 'Moss green', hex: '#0f4336' },
+  { code: '6009', name: 'Fir green', hex: '#27352a' },
+  { code: '6021', name: 'Pale green', hex: '#89ac76' },
+  { code: '6029', name: 'Mint green', hex: '#006f3d' },
+  { code: '7001', name: 'Silver grey', hex: '#8f999f' },
+  { code: '7004', name: 'Signal grey', hex: '#9b9b9b' },
+  { code: '7012', name: 'Basalt grey', hex: '#575d5e' },
+  { code: '7015', name: 'Slate grey', hex: '#51565c' },
+  { code: '7016', name: 'Anthracite grey', hex: '#383e42' },
+  { code: '7021', name: 'Black grey', hex: '#2f3234' },
+  { code: '7022', name: 'Umbra grey', hex: '#4c4a44' },
+  { code: '7024', name: 'Graphite grey', hex: '#474a51' },
+  { code: '7030', name: 'Stone grey', hex: '#8b8c7a' },
+  { code: '7032', name: 'Pebble grey', hex: '#b8b799' },
+  { code: '7035', name: 'Light grey', hex: '#d7d7d7' },
+  { code: '7037', name: 'Dust grey', hex: '#7a7b7a' },
+  { code: '7039', name: 'Quartz grey', hex: '#6c6960' },
+  { code: '7040', name: 'Window grey', hex: '#9da1aa' },
+  { code: '7042', name: 'Traffic grey A', hex: '#8d948d' },
+  { code: '8001', name: 'Ochre brown', hex: '#9d622b' },
+  { code: '8011', name: 'Nut brown', hex: '#5a3826' },
+  { code: '8014', name: 'Sepia brown', hex: '#382c1e' },
+  { code: '8017', name: 'Chocolate brown', hex: '#45322e' },
+  { code: '8019', name: 'Grey brown', hex: '#403a3a' },
+  { code: '8022', name: 'Black brown', hex: '#1a1718' },
+  { code: '9001', name: 'Cream', hex: '#e9e0d2' },
+  { code: '9002', name: 'Grey white', hex: '#d7d5cb' },
+  { code: '9003', name: 'Signal white', hex: '#ecece7' },
+  { code: '9004', name: 'Signal black', hex: '#2b2b2c' },
+  { code: '9005', name: 'Jet black', hex: '#0a0a0a' },
+  { code: '9006', name: 'White aluminium', hex: '#a5a5a5' },
+  { code: '9007', name: 'Grey aluminium', hex: '#8f8f8c' },
+  { code: '9010', name: 'Pure white', hex: '#f1ece1' },
+  { code: '9011', name: 'Graphite black', hex: '#27292b' },
+  { code: '9016', name: 'Traffic white', hex: '#f6f6f6' },
+  { code: '9017', name: 'Traffic black', hex: '#1e1e1e' },
+  { code: '9018', name: 'Papyrus white', hex: '#cfd3cd' }
+];
+
+// "9001", "RAL 9001" or "ral9001" -> "9001"; null when it isn't a RAL code
+export const normalizeRalCode = (value) => {
+  const match = String(value ?? '').trim().match(/^(?:ral\s*)?(\d{4})$/i);
+  return match ? match[1] : null;
+};
+
+export const findRalColor = (value) => {
+  const code = normalizeRalCode(value);
+  return RAL_COLORS.find(color => color.code === code) || null;
+};
+
+// Colours whose code starts with the query or whose name contains it
+export function searchRalColors(query) {
+  const text = String(query ?? '').trim().toLowerCase().replace(/^ral\s*/, '');
+  if (!text) return RAL_COLORS;
+  return RAL_COLORS.filter(color => color.code.startsWith(text) || color.name.toLowerCase().includes(text));
+}
+
+// Standard frame colour with this RAL code ('anthracite' for 7016), if any
+export const findStandardFrameColor = (code) =>
+  Object.keys(FRAME_COLOR_OPTIONS).find(key => FRAME_COLOR_OPTIONS[key].ral === code) || null;
+
+// The frame colour of a configuration: a standard colour, or the RAL colour
+// in frameRal when metalMaterial is 'ral'. custom is true for the latter,
+// which is coated separately at a surcharge. A RAL pick that can't be found
+// falls back to anthracite.
+export function describeFrameColor({ metalMaterial, frameRal, frameFinish }) {
+  const finishKey = FRAME_FINISHES[frameFinish] ? frameFinish : 'gloss';
+  const finish = { key: finishKey, ...FRAME_FINISHES[finishKey] };
+
+  const ral = metalMaterial === 'ral' ? findRalColor(frameRal) : null;
+  if (ral) {
+    return { label: `RAL ${ral.code} ${ral.name}`, color: ral.hex, ral: ral.code, custom: true, finish };
+  }
+
+  const standard = FRAME_COLOR_OPTIONS[metalMaterial] || FRAME_COLOR_OPTIONS.anthracite;
+  return { label: standard.label, color: standard.color, ral: standard.ral, custom: false, finish };
+}
@@ -0,0 +1,172 @@
+import { GLASS_TINT_COLORS, ROOF_SHEETS } from './verandaOptions';
+import { getSunDirection, getSunPosition, toDutchDate } from './sunPosition';
+
+// ============================================
+// SHADE ANALYSIS
+// How much of the day each floor cell under the veranda is out of the sun.
+// Everything is in metres in the veranda's own frame: x from the centre
+// (positive to the right looking out), u from the house wall towards the
+// garden, y up from the terrace floor.
+// ============================================
+
+export const SHADE_CELL_SIZE = 0.25;
+export const SHADE_SAMPLE_MINUTES = 15;
+export const DEFAULT_SHADE_WINDOW = { from: 12, to: 17 };
+
+// Share of direct sunlight kept out by parts that aren't in the option catalogues
+const GLASS_ROOF_SUN_BLOCK = 0.1;
+const AWNING_SUN_BLOCK = 0.95;
+const WINDOW_FRAME_SUN_BLOCK = 0.2;
+const OPAQUE = 1;
+
+// A terraced house wall is well above any veranda; only matters for wall-mounted
+const HOUSE_WALL_HEIGHT = 6;
+
+const glassSunBlock = ({ tintedGlassEnabled, glassColor }) =>
+  (tintedGlassEnabled ? GLASS_TINT_COLORS[glassColor]?.sunBlock : null) ?? GLASS_TINT_COLORS.clear.sunBlock;
+
+const enclosureSunBlock = (material, config) => {
+  switch (material) {
+    case 'glass': return glassSunBlock(config);
+    case 'window': return Math.min(1, glassSunBlock(config) + WINDOW_FRAME_SUN_BLOCK);
+    case 'metal':
+    case 'wood': return OPAQUE;
+    default: return 0;
+  }
+};
+
+// Roof height above the floor at distance u from the house; a pitched roof
+// rises from the front posts towards the house
+const roofHeightAt = (config, u) => {
+  const slope = config.roofPitchActive ? Math.tan((config.roofPitchAngle || 0) * (Math.PI / 180)) : 0;
+  return config.height + (config.depth - u) * slope;
+};
+
+export function buildShadeOccluders(config) {
+  const { width, depth, height } = config;
+  const halfWidth = width / 2;
+  const occluders = [];
+
+  const roofSunBlock = config.roofType === 'glass'
+    ? Math.max(GLASS_ROOF_SUN_BLOCK, config.tintedGlassEnabled ? glassSunBlock(config) : 0)
+    : ROOF_SHEETS[config.roofSheet]?.sunBlock ?? ROOF_SHEETS.opal.sunBlock;
+  occluders.push({ kind: 'roof', sunBlock: roofSunBlock });
+
+  if (config.roofAwningPosition === 'top') {
+    occluders.push({ kind: 'roof', sunBlock: AWNING_SUN_BLOCK });
+  }
+
+  if (config.enclosureEnabled) {
+    const sides = config.sideEnclosureTypes || {};
+    const front = enclosureSunBlock(sides.front?.material, config);
+    const left = enclosureSunBlock(sides.left?.material, config);
+    const right = enclosureSunBlock(sides.right?.material, config);
+
+    if (front > 0) occluders.push({ kind: 'plane', axis: 'u', at: depth, top: () => height, sunBlock: front });
+    if (left > 0) occluders.push({ kind: 'plane', axis: 'x', at: -halfWidth, top: (u) => roofHeightAt(config, u), sunBlock: left });
+    if (right > 0) occluders.push({ kind: 'plane', axis: 'x', at: halfWidth, top: (u) => roofHeightAt(config, u), sunBlock: right });
+  }
+
+  if (config.verandaType === 'wall-mounted') {
+    occluders.push({ kind: 'plane', axis: 'u', at: 0, top: () => HOUSE_WALL_HEIGHT, sunBlock: OPAQUE, unbounded: true });
+  }
+
+  return occluders;
+}
+
+// Does the ray from floor point (x, u) towards the sun pass through the occluder?
+const hits = (occluder, config, x, u, sun) => {
+  const halfWidth = config.width / 2;
+
+  if (occluder.kind === 'roof') {
+    const slope = config.roofPitchActive ? Math.tan((config.roofPitchAngle || 0) * (Math.PI / 180)) : 0;
+    const denominator = sun.y + sun.u * slope;
+    if (denominator <= 0) return false;
+    const t = (config.height + (config.depth - u) * slope) / denominator;
+    const hitX = x + t * sun.x;
+    const hitU = u + t * sun.u;
+    return Math.abs(hitX) <= halfWidth && hitU >= 0 && hitU <= config.depth;
+  }
+
+  const along = occluder.axis === 'u' ? sun.u : sun.x;
+  const from = occluder.axis === 'u' ? u : x;
+  if (along === 0) return false;
+  const t = (occluder.at - from) / along;
+  if (t <= 0) return false;
+
+  const hitY = t * sun.y;
+  if (occluder.axis === 'u') {
+    const hitX = x + t * sun.x;
+    return hitY <= occluder.top() && (occluder.unbounded || Math.abs(hitX) <= halfWidth);
+  }
+  const hitU = u + t * sun.u;
+  return hitU >= 0 && hitU <= config.depth && hitY <= occluder.top(hitU);
+};
+
+// 0 = full sun, 1 = fully shaded; stacked occluders each take their share
+const shadeAt = (occluders, config, x, u, sun) => 1 - occluders.reduce(
+  (light, occluder) => (hits(occluder, config, x, u, sun) ? light * (1 - occluder.sunBlock) : light),
+  1
+);
+
+// config: the configurator state (width, depth, height in metres, roof,
+// awning, enclosures, tint, verandaType, orientation). Returns per-cell shaded
+// fractions over all daylight samples (rows run from the house wall to the
+// garden) and a summary for the from-to window in Dutch clock hours.
+export function analyseShade(config, { dayOfYear, from = DEFAULT_SHADE_WINDOW.from, to = DEFAULT_SHADE_WINDOW.to, year } = {}) {
+  const columns = Math.max(1, Math.round(config.width / SHADE_CELL_SIZE));
+  const rows = Math.max(1, Math.round(config.depth / SHADE_CELL_SIZE));
+  const cellWidth = config.width / columns;
+  const cellDepth = config.depth / rows;
+  const occluders = buildShadeOccluders(config);
+
+  const totals = new Array(columns * rows).fill(0);
+  let daylightSamples = 0;
+  let windowShade = 0;
+  let windowSamples = 0;
+
+  for (let minutes = 0; minutes < 24 * 60; minutes += SHADE_SAMPLE_MINUTES) {
+    const hour = minutes / 60;
+    const position = getSunPosition(toDutchDate(dayOfYear, hour, year));
+    if (position.altitude <= 0) continue;
+
+    // Scene space has the garden along -z; flip it into u
+    const [sunX, sunY, sunZ] = getSunDirection(position, config.orientation ?? 180);
+    const sun = { x: sunX, y: sunY, u: -sunZ };
+    const inWindow = hour >= from && hour < to;
+    daylightSamples++;
+
+    for (let row = 0; row < rows; row++) {
+      const u = (row + 0.5) * cellDepth;
+      for (let column = 0; column < columns; column++) {
+        const x = (column + 0.5) * cellWidth - config.width / 2;
+        const shade = shadeAt(occluders, config, x, u, sun);
+        totals[row * columns + column] += shade;
+        if (inWindow) windowShade += shade;
+      }
+    }
+    if (inWindow) windowSamples += columns * rows;
+  }
+
+  return {
+    columns,
+    rows,
+    cells: totals.map(total => (daylightSamples ? total / daylightSamples : 1)),
+    daylightHours: daylightSamples * SHADE_SAMPLE_MINUTES / 60,
+    summary: {
+      from,
+      to,
+      // null when the sun doesn't come up during the window
+      shaded: windowSamples ? windowShade / windowSamples : null
+    }
+  };
+}
+
+const formatHour = (hour) => `${String(Math.floor(hour)).padStart(2, '0')}:${String(Math.round((hour % 1) * 60)).padStart(2, '0')}`;
+
+export function formatShadeSummary({ from, to, shaded }) {
+  const window = `${formatHour(from)}–${formatHour(to)}`;
+  return shaded === null
+    ? `No direct sun between ${window}`
+    : `${Math.round(shaded * 100)}% shaded between ${window}`;
+}
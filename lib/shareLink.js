@@ -0,0 +1,198 @@
+import { LIGHTING_SCENES, LIGHT_ZONES } from './lightingScenes';
+import { validateConfig } from './verandaConfig';
+import {
+  AWNING_POSITIONS,
+  ENCLOSURE_MATERIALS,
+  ENCLOSURE_SIDES,
+  FRAME_COLORS,
+  FRAME_FINISHES,
+  GLASS_STYLES,
+  GLASS_TINT_COLORS,
+  GLASS_TYPES,
+  HOUSE_TYPE_DEFAULTS,
+  LIGHT_SHAPES,
+  LOAD_ZONES,
+  PRODUCT_LINES,
+  ROOF_SHEETS,
+  ROOF_TYPES,
+  SIDE_WALL_OPTIONS,
+  VERANDA_TYPES
+} from './verandaOptions';
+
+// ============================================
+// SHAREABLE CONFIGURATION LINKS
+// ?c=<version>.<token>.<token>...
+// ============================================
+
+export const SHARE_PARAM = 'c';
+export const SHARE_VERSION = 9;
+
+const EMPTY = '-';
+const NULL = '_';
+
+const enumCodec = (values) => ({
+  encode: (value) => {
+    const index = values.indexOf(value);
+    return index === -1 ? EMPTY : index.toString(36);
+  },
+  decode: (token) => values[parseInt(token, 36)]
+});
+
+// Fixed-point numbers, e.g. 5.5m -> 55 with scale 10
+const numberCodec = (scale) => ({
+  encode: (value) => (Number.isFinite(value) ? Math.round(value * scale).toString(36) : EMPTY),
+  decode: (token) => parseInt(token, 36) / scale
+});
+
+// A codec that also carries an explicit null, for fields whose default isn't null
+const nullableCodec = (codec) => ({
+  encode: (value) => (value === null ? NULL : codec.encode(value)),
+  decode: (token) => (token === NULL ? null : codec.decode(token))
+});
+
+const booleanCodec = {
+  encode: (value) => (value ? '1' : '0'),
+  decode: (token) => token === '1'
+};
+
+const colorCodec = {
+  encode: (value) => (typeof value === 'string' ? value.replace('#', '').toLowerCase() : EMPTY),
+  decode: (token) => `#${token}`
+};
+
+// The 4-digit RAL code as is, "-" for none
+const ralCodec = {
+  encode: (value) => (typeof value === 'string' && /^\d{4}$/.test(value) ? value : EMPTY),
+  decode: (token) => token
+};
+
+// Two characters per side: material index + glass type index
+const sidesCodec = {
+  encode: (sides = {}) => ENCLOSURE_SIDES
+    .map(side => {
+      const material = ENCLOSURE_MATERIALS.indexOf(sides[side]?.material);
+      const glassType = GLASS_TYPES.indexOf(sides[side]?.glassType);
+      return material === -1 || glassType === -1 ? '__' : `${material}${glassType}`;
+    })
+    .join(''),
+  decode: (token) => {
+    const sides = {};
+    ENCLOSURE_SIDES.forEach((side, index) => {
+      const pair = token.slice(index * 2, index * 2 + 2);
+      if (pair.length !== 2 || pair === '__') return;
+      sides[side] = {
+        material: ENCLOSURE_MATERIALS[Number(pair[0])],
+        glassType: GLASS_TYPES[Number(pair[1])]
+      };
+    });
+    return sides;
+  }
+};
+
+// preset index, brightness % (2 chars), kelvin / 100 (2 chars, "__" for a
+// custom colour) and a zone bitmask, e.g. "12r1b5"
+const SCENE_PRESETS = ['custom', ...Object.keys(LIGHTING_SCENES)];
+
+const lightingSceneCodec = {
+  encode: (scene) => {
+    const preset = SCENE_PRESETS.indexOf(scene?.preset);
+    if (preset === -1) return EMPTY;
+    const brightness = Math.round(scene.brightness * 100).toString(36).padStart(2, '0');
+    const kelvin = scene.kelvin ? Math.round(scene.kelvin / 100).toString(36).padStart(2, '0') : '__';
+    const zones = LIGHT_ZONES.reduce((mask, zone, index) => (scene.zones.includes(zone) ? mask | (1 << index) : mask), 0);
+    return `${preset.toString(36)}${brightness}${kelvin}${zones.toString(36)}`;
+  },
+  decode: (token) => {
+    if (token.length !== 6) return undefined;
+    const zoneMask = parseInt(token[5], 36);
+    return {
+      preset: SCENE_PRESETS[parseInt(token[0], 36)],
+      brightness: parseInt(token.slice(1, 3), 36) / 100,
+      kelvin: token.slice(3, 5) === '__' ? null : parseInt(token.slice(3, 5), 36) * 100,
+      zones: LIGHT_ZONES.filter((zone, index) => zoneMask & (1 << index))
+    };
+  }
+};
+
+// Append-only: new fields go at the end with the version that introduced them,
+// so links created by older versions keep decoding
+const SHARE_FIELDS = [
+  { key: 'houseType', since: 1, codec: enumCodec(Object.keys(HOUSE_TYPE_DEFAULTS)) },
+  { key: 'verandaType', since: 1, codec: enumCodec(VERANDA_TYPES) },
+  { key: 'width', since: 1, codec: numberCodec(100) },
+  { key: 'depth', since: 1, codec: numberCodec(100) },
+  { key: 'height', since: 1, codec: numberCodec(100) },
+  { key: 'roofPitchActive', since: 1, codec: booleanCodec },
+  { key: 'roofPitchAngle', since: 1, codec: numberCodec(1) },
+  { key: 'roofAwningPosition', since: 1, codec: enumCodec(AWNING_POSITIONS) },
+  { key: 'metalMaterial', since: 1, codec: enumCodec(FRAME_COLORS) },
+  { key: 'enclosureEnabled', since: 1, codec: booleanCodec },
+  { key: 'glassType', since: 1, codec: enumCodec(GLASS_TYPES) },
+  { key: 'glassStyle', since: 1, codec: enumCodec(GLASS_STYLES) },
+  { key: 'sideEnclosureTypes', since: 1, codec: sidesCodec },
+  { key: 'leftWallOption', since: 1, codec: enumCodec(Object.keys(SIDE_WALL_OPTIONS)) },
+  { key: 'rightWallOption', since: 1, codec: enumCodec(Object.keys(SIDE_WALL_OPTIONS)) },
+  { key: 'tintedGlassEnabled', since: 1, codec: booleanCodec },
+  { key: 'glassColor', since: 1, codec: enumCodec(Object.keys(GLASS_TINT_COLORS)) },
+  { key: 'lightsOn', since: 1, codec: booleanCodec },
+  { key: 'lightShape', since: 1, codec: enumCodec(LIGHT_SHAPES) },
+  { key: 'lightColor', since: 1, codec: colorCodec },
+  { key: 'productLine', since: 2, codec: enumCodec(Object.keys(PRODUCT_LINES)) },
+  { key: 'roofType', since: 2, codec: enumCodec(ROOF_TYPES) },
+  { key: 'roofSheet', since: 3, codec: enumCodec(Object.keys(ROOF_SHEETS)) },
+  { key: 'ledSet', since: 4, codec: numberCodec(1) },
+  { key: 'lightingScene', since: 5, codec: lightingSceneCodec },
+  { key: 'orientation', since: 6, codec: numberCodec(1) },
+  { key: 'loadZone', since: 7, codec: enumCodec(Object.keys(LOAD_ZONES)) },
+  { key: 'frameRal', since: 8, codec: ralCodec },
+  { key: 'frameFinish', since: 8, codec: enumCodec(Object.keys(FRAME_FINISHES)) },
+  { key: 'selectedSide', since: 9, codec: nullableCodec(enumCodec(ENCLOSURE_SIDES)) },
+  { key: 'enclosureType', since: 9, codec: enumCodec(ENCLOSURE_MATERIALS) },
+  { key: 'showLeftFence', since: 9, codec: booleanCodec },
+  { key: 'showRightFence', since: 9, codec: booleanCodec },
+  // Tenths of a degree; overrides the whole degrees of the version 1 field
+  { key: 'roofPitchAngle', since: 9, codec: numberCodec(10) }
+];
+
+export function encodeShareConfig(config) {
+  const tokens = SHARE_FIELDS
+    .filter(field => field.since <= SHARE_VERSION)
+    .map(field => (config[field.key] === undefined ? EMPTY : field.codec.encode(config[field.key])));
+
+  return [SHARE_VERSION, ...tokens].join('.');
+}
+
+// Returns a validated partial config, or null when the link can't be read.
+// Unknown or corrupted values are dropped so the configurator keeps its default.
+export function decodeShareConfig(encoded) {
+  if (typeof encoded !== 'string' || !encoded) return null;
+
+  const [versionToken, ...tokens] = encoded.split('.');
+  const version = parseInt(versionToken, 10);
+
+  if (!Number.isInteger(version) || version < 1 || version > SHARE_VERSION) {
+    console.warn(`⚠️ Unsupported share link version: ${versionToken}`);
+    return null;
+  }
+
+  const raw = {};
+  SHARE_FIELDS
+    .filter(field => field.since <= version)
+    .forEach((field, index) => {
+      const token = tokens[index];
+      if (token === undefined || token === EMPTY || token === '') return;
+      const value = field.codec.decode(token);
+      if (value !== undefined && !Number.isNaN(value)) raw[field.key] = value;
+    });
+
+  const { config, issues } = validateConfig(raw);
+  issues.forEach(issue => console.warn('⚠️ Share link value ignored:', issue.field, issue.reason));
+
+  return config;
+}
+
+export function buildShareUrl(config, location = window.location) {
+  const params = new URLSearchParams(location.search);
+  params.set(SHARE_PARAM, encodeShareConfig(config));
+  return `${location.origin}${location.pathname}?${params.toString()}`;
+}
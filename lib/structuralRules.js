@@ -0,0 +1,136 @@
+import { DEFAULT_LOAD_ZONE, LOAD_ZONES, PRODUCT_LINES } from './verandaOptions';
+import { MAX_RAFTER_SPACING } from './ledLayout';
+
+// ============================================
+// STRUCTURAL RULES
+// Indicative checks for a lean-to veranda roof under Dutch snow and wind
+// loads. They decide the posts and gutter reinforcement shown and priced in
+// the configurator; the supplier's static calculation stays leading.
+// Loads in kN/m², line loads in kN/m, moments in kNm, lengths in metres.
+// ============================================
+
+// Characteristic ground snow load for the whole country × roof shape coefficient
+const SNOW_LOAD = 0.7 * 0.8;
+// Downward pressure coefficient on a low-pitch canopy roof
+const WIND_PRESSURE_COEFFICIENT = 0.6;
+const ROOF_DEAD_LOAD = { polycarbonate: 0.05, glass: 0.25 };
+
+// Allowable bending moments of the gutter (front beam) and rafter profiles.
+// maxUnsupportedSpan is the supplier's limit between two posts, whatever the
+// loads; a gutter insert doesn't extend it.
+export const PROFILE_CAPACITY = {
+  castor: { gutterMoment: 1.5, rafterMoment: 2.8, maxPostHeight: 3.0, maxUnsupportedSpan: 3.0 },
+  titan: { gutterMoment: 2.6, rafterMoment: 3.6, maxPostHeight: 3.5, maxUnsupportedSpan: 3.5 }
+};
+
+// A steel insert in the gutter takes 50% more moment
+export const GUTTER_REINFORCEMENT_FACTOR = 1.5;
+
+// Simply supported beam: M = q·L²/8
+const spanFor = (moment, lineLoad) => Math.floor(Math.sqrt((8 * moment) / lineLoad) * 100) / 100;
+
+export function getRoofLoads({ roofType, loadZone }) {
+  const zone = LOAD_ZONES[loadZone] || LOAD_ZONES[DEFAULT_LOAD_ZONE];
+  const dead = ROOF_DEAD_LOAD[roofType] ?? ROOF_DEAD_LOAD.polycarbonate;
+  const snow = SNOW_LOAD;
+  const wind = Math.round(zone.windPressure * WIND_PRESSURE_COEFFICIENT * 100) / 100;
+  return { dead, snow, wind, design: Math.round((dead + Math.max(snow, wind)) * 100) / 100 };
+}
+
+// config: { productLine, roofType, width, depth, height (m), verandaType, loadZone }
+// Returns the posts per row (corner posts included), intermediate post
+// positions in metres from the centre, gutter reinforcement and issues.
+// Issues with level 'error' make the configuration impossible to build.
+export function checkStructure(config) {
+  const { productLine, roofType, width, depth, height, verandaType } = config;
+  const loadZone = LOAD_ZONES[config.loadZone] ? config.loadZone : DEFAULT_LOAD_ZONE;
+  const capacity = PROFILE_CAPACITY[productLine] || PROFILE_CAPACITY.castor;
+  const lineLabel = PRODUCT_LINES[productLine]?.label || productLine;
+  const loads = getRoofLoads({ roofType, loadZone });
+  const issues = [];
+
+  // The front gutter carries half the roof depth, a rafter one rafter bay
+  const gutterLineLoad = loads.design * depth / 2;
+  const maxSpan = spanFor(capacity.gutterMoment, gutterLineLoad);
+  const reinforcedMaxSpan = spanFor(capacity.gutterMoment * GUTTER_REINFORCEMENT_FACTOR, gutterLineLoad);
+  const maxRafterSpan = spanFor(capacity.rafterMoment, loads.design * MAX_RAFTER_SPACING);
+
+  const allowedSpan = Math.min(maxSpan, capacity.maxUnsupportedSpan);
+  let postsPerRow = 2;
+  let gutterReinforcement = false;
+
+  if (width > allowedSpan && width <= Math.min(reinforcedMaxSpan, capacity.maxUnsupportedSpan)) {
+    gutterReinforcement = true;
+    issues.push({
+      level: 'warning',
+      field: 'width',
+      message: `Gutter reinforcement added: ${width}m is more than the ${maxSpan}m the gutter spans on its own`
+    });
+  } else if (width > allowedSpan) {
+    postsPerRow = Math.ceil(width / allowedSpan) + 1;
+    const reason = maxSpan < capacity.maxUnsupportedSpan
+      ? `the gutter spans at most ${maxSpan}m in wind area ${loadZone}`
+      : `${lineLabel} allows at most ${capacity.maxUnsupportedSpan}m between posts`;
+    issues.push({
+      level: 'warning',
+      field: 'width',
+      message: `${postsPerRow - 2} extra ${postsPerRow - 2 === 1 ? 'post' : 'posts'} per row: ${reason}`
+    });
+  }
+
+  if (depth > maxRafterSpan) {
+    issues.push({
+      level: 'error',
+      field: 'depth',
+      message: `${lineLabel} rafters span at most ${maxRafterSpan}m with a ${roofType} roof in wind area ${loadZone}`
+    });
+  }
+
+  if (height > capacity.maxPostHeight) {
+    issues.push({
+      level: 'error',
+      field: 'height',
+      message: `${lineLabel} posts are available up to ${capacity.maxPostHeight}m`
+    });
+  }
+
+  const rows = verandaType === 'freestanding' ? 2 : 1;
+  const postSpacing = width / (postsPerRow - 1);
+  const postPositions = Array.from({ length: postsPerRow - 2 }, (_, index) =>
+    Math.round((-width / 2 + (index + 1) * postSpacing) * 1000) / 1000
+  );
+  const posts = planPosts({ width, height, postPositions, rows });
+
+  return {
+    valid: !issues.some(issue => issue.level === 'error'),
+    issues,
+    loadZone,
+    loads,
+    maxSpan,
+    reinforcedMaxSpan,
+    maxRafterSpan,
+    allowedSpan,
+    gutterReinforcement,
+    postsPerRow,
+    postSpacing,
+    postPositions,
+    posts,
+    rows,
+    extraPosts: (postsPerRow - 2) * rows
+  };
+}
+
+// One entry per post for pricing and the parts list: the corner posts plus the
+// intermediate ones, front row first (back row only for freestanding verandas).
+// x is metres from the centre, length the post height.
+function planPosts({ width, height, postPositions, rows }) {
+  const positions = [-width / 2, ...postPositions, width / 2];
+  return ['front', 'back'].slice(0, rows).flatMap(row =>
+    positions.map((x, index) => ({
+      row,
+      x: Math.round(x * 1000) / 1000,
+      corner: index === 0 || index === positions.length - 1,
+      length: height
+    }))
+  );
+}
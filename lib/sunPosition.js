@@ -0,0 +1,97 @@
+// ============================================
+// SUN POSITION
+// Solar altitude/azimuth for a Dutch garden, after the suncalc formulas
+// (accurate to well under a degree, plenty for a shading preview).
+// Angles are radians; azimuth is a compass bearing (0 = north, clockwise).
+// ============================================
+
+// De Bilt, the middle of the country
+export const DUTCH_LOCATION = { latitude: 52.1, longitude: 5.18 };
+
+export const COMPASS_POINTS = [
+  { label: 'N', bearing: 0 },
+  { label: 'NE', bearing: 45 },
+  { label: 'E', bearing: 90 },
+  { label: 'SE', bearing: 135 },
+  { label: 'S', bearing: 180 },
+  { label: 'SW', bearing: 225 },
+  { label: 'W', bearing: 270 },
+  { label: 'NW', bearing: 315 }
+];
+
+// Below civil twilight the scene switches to the night HDR and LED preview
+export const NIGHT_ALTITUDE = -6 * (Math.PI / 180);
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J2000 = 2451545;
+const EARTH_OBLIQUITY = 23.4397 * RAD;
+
+const toDays = (date) => date.getTime() / DAY_MS + 2440587.5 - J2000;
+
+const lastSundayUtc = (year, month) => {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0));
+  return Date.UTC(year, month, lastDay.getUTCDate() - lastDay.getUTCDay(), 1);
+};
+
+// CET, or CEST between the last Sundays of March and October (01:00 UTC)
+export function getDutchUtcOffset(date) {
+  const year = date.getUTCFullYear();
+  const time = date.getTime();
+  return time >= lastSundayUtc(year, 2) && time < lastSundayUtc(year, 9) ? 2 : 1;
+}
+
+// dayOfYear 1-365 and a local clock hour (14.5 = 14:30) in Dutch time
+export function toDutchDate(dayOfYear, hour, year = new Date().getFullYear()) {
+  const localAsUtc = Date.UTC(year, 0, dayOfYear) + hour * 60 * 60 * 1000;
+  const offset = getDutchUtcOffset(new Date(localAsUtc - 60 * 60 * 1000));
+  return new Date(localAsUtc - offset * 60 * 60 * 1000);
+}
+
+export function getSunPosition(date, { latitude, longitude } = DUTCH_LOCATION) {
+  const days = toDays(date);
+  const phi = latitude * RAD;
+
+  const meanAnomaly = (357.5291 + 0.98560028 * days) * RAD;
+  const center = (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly)) * RAD;
+  const eclipticLongitude = meanAnomaly + center + 102.9372 * RAD + Math.PI;
+
+  const declination = Math.asin(Math.sin(EARTH_OBLIQUITY) * Math.sin(eclipticLongitude));
+  const rightAscension = Math.atan2(Math.sin(eclipticLongitude) * Math.cos(EARTH_OBLIQUITY), Math.cos(eclipticLongitude));
+  const hourAngle = (280.16 + 360.9856235 * days) * RAD + longitude * RAD - rightAscension;
+
+  const altitude = Math.asin(
+    Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  const azimuthFromSouth = Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+  );
+
+  return {
+    altitude,
+    azimuth: (azimuthFromSouth + Math.PI) % (2 * Math.PI)
+  };
+}
+
+// Unit vector towards the sun in scene space. The veranda looks out along -z
+// (the garden side) and orientation is the compass bearing of that direction.
+export function getSunDirection({ altitude, azimuth }, orientation = 180) {
+  const relative = azimuth - orientation * RAD;
+  return [
+    Math.cos(altitude) * Math.sin(relative),
+    Math.sin(altitude),
+    -Math.cos(altitude) * Math.cos(relative)
+  ];
+}
+
+export function getDayOfYear(date = new Date()) {
+  return Math.floor((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(date.getFullYear(), 0, 0)) / DAY_MS);
+}
+
+export function formatSunTime(dayOfYear, hour, year = new Date().getFullYear()) {
+  const date = new Date(Date.UTC(year, 0, dayOfYear));
+  const minutes = Math.round(hour * 60);
+  const clock = `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  return `${date.getUTCDate()} ${date.toLocaleString('en-GB', { month: 'short', timeZone: 'UTC' })} · ${clock}`;
+}
@@ -0,0 +1,23 @@
+import { createClient } from '@supabase/supabase-js';
+
+// ============================================
+// SUPABASE (server only)
+// ============================================
+
+let serverClient = null;
+
+// Service-role client for API routes. Returns null when Supabase isn't
+// configured so callers can fall back to an in-memory store.
+export function getServerSupabaseClient(env = process.env) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+    return null;
+  }
+
+  if (!serverClient) {
+    serverClient = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  }
+
+  return serverClient;
+}
@@ -0,0 +1,243 @@
+import {
+  AWNING_POSITIONS,
+  ENCLOSURE_MATERIALS,
+  ENCLOSURE_SIDES,
+  FRAME_COLORS,
+  FRAME_FINISHES,
+  GLASS_STYLES,
+  GLASS_TINT_COLORS,
+  GLASS_TYPES,
+  HOUSE_TYPE_DEFAULTS,
+  LED_SET_SIZES,
+  LIGHT_SHAPES,
+  LOAD_ZONES,
+  PRODUCT_LINES,
+  ROOF_SHEETS,
+  ROOF_TYPES,
+  SIDE_WALL_OPTIONS,
+  VERANDA_TYPES,
+  getDepthRange
+} from './verandaOptions';
+import { getLightingScene, validateLightingScene } from './lightingScenes';
+import { findRalColor } from './ralColors';
+
+// ============================================
+// VERANDA CONFIGURATION DEFAULTS
+// Shared by the configurator (client) and the API routes (server)
+// ============================================
+
+export function getDefaultConfig() {
+  return {
+    width: 5.5,
+    depth: 4.5,
+    height: 3.0,
+    metalMaterial: 'anthracite',
+    frameRal: null,
+    frameFinish: 'gloss',
+    glassType: 'triple',
+    glassStyle: 'withframe',
+    enclosureEnabled: true,
+    selectedSide: 'front',
+    enclosureType: 'glass',
+    lightsOn: false,
+    lightShape: 'circle',
+    lightColor: '#ffd700',
+    roofPitchActive: true,
+    roofPitchAngle: 0,
+    roofAwningPosition: 'none',
+    verandaType: 'wall-mounted',
+    productLine: 'castor',
+    roofType: 'polycarbonate',
+    roofSheet: 'opal',
+    ledSet: null,
+    lightingScene: getLightingScene(),
+    orientation: 180,
+    loadZone: 'II'
+  };
+}
+
+// ============================================
+// CONFIGURATION SCHEMA
+// ============================================
+
+// Shallowest depth any product line is made in; checkDepthRange narrows the
+// depth to the range of the chosen line and roof
+const MIN_DEPTH = Math.min(...Object.values(PRODUCT_LINES).flatMap(line => Object.values(line.depthRange).map(([min]) => min)));
+
+export const CONFIG_SCHEMA = {
+  houseType: { type: 'enum', label: 'House type', values: Object.keys(HOUSE_TYPE_DEFAULTS) },
+  width: { type: 'number', label: 'Width', unit: 'm', min: 3, max: 15 },
+  depth: { type: 'number', label: 'Depth', unit: 'm', min: MIN_DEPTH, max: 15 },
+  height: { type: 'number', label: 'Height', unit: 'm', min: 2.5, max: 6 },
+  roofPitchAngle: { type: 'number', label: 'Pitch angle', unit: '°', min: 0, max: 15 },
+  metalMaterial: { type: 'enum', label: 'Frame colour', values: FRAME_COLORS },
+  // RAL code of a 'ral' frame colour, e.g. "9001"
+  frameRal: { type: 'ral', label: 'RAL colour', nullable: true },
+  frameFinish: { type: 'enum', label: 'Frame finish', values: Object.keys(FRAME_FINISHES) },
+  glassType: { type: 'enum', label: 'Glass type', values: GLASS_TYPES },
+  glassStyle: { type: 'enum', label: 'Glass style', values: GLASS_STYLES },
+  selectedSide: { type: 'enum', label: 'Enclosure side', values: ENCLOSURE_SIDES, nullable: true },
+  enclosureType: { type: 'enum', label: 'Enclosure material', values: ENCLOSURE_MATERIALS },
+  lightShape: { type: 'enum', label: 'Light shape', values: LIGHT_SHAPES },
+  roofAwningPosition: { type: 'enum', label: 'Awning', values: AWNING_POSITIONS },
+  verandaType: { type: 'enum', label: 'Veranda type', values: VERANDA_TYPES },
+  productLine: { type: 'enum', label: 'Product line', values: Object.keys(PRODUCT_LINES) },
+  roofType: { type: 'enum', label: 'Roof infill', values: ROOF_TYPES },
+  roofSheet: { type: 'enum', label: 'Roof sheets', values: Object.keys(ROOF_SHEETS) },
+  glassColor: { type: 'enum', label: 'Glass tint', values: Object.keys(GLASS_TINT_COLORS) },
+  leftWallOption: { type: 'enum', label: 'Left wall', values: Object.keys(SIDE_WALL_OPTIONS) },
+  rightWallOption: { type: 'enum', label: 'Right wall', values: Object.keys(SIDE_WALL_OPTIONS) },
+  lightColor: { type: 'color', label: 'Light colour' },
+  // null plans the spots from the rafters, a number picks a fixed set
+  ledSet: { type: 'number', label: 'LED set', unit: ' spots', min: 6, max: 18, values: LED_SET_SIZES, nullable: true },
+  lightingScene: { type: 'lightingScene', label: 'Lighting scene' },
+  // Compass bearing of the garden side, 180 = facing south
+  orientation: { type: 'number', label: 'Orientation', unit: '°', min: 0, max: 359 },
+  loadZone: { type: 'enum', label: 'Wind area', values: Object.keys(LOAD_ZONES) },
+  enclosureEnabled: { type: 'boolean', label: 'Enclosure' },
+  lightsOn: { type: 'boolean', label: 'Lights' },
+  roofPitchActive: { type: 'boolean', label: 'Pitched roof' },
+  tintedGlassEnabled: { type: 'boolean', label: 'Tinted glass' },
+  showLeftFence: { type: 'boolean', label: 'Left fence' },
+  showRightFence: { type: 'boolean', label: 'Right fence' },
+  sideEnclosureTypes: { type: 'sides', label: 'Side enclosures' }
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const validateField = (rule, value) => {
+  switch (rule.type) {
+    case 'number': {
+      if (value === null && rule.nullable) return { value: null };
+      const number = typeof value === 'string' ? parseFloat(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { rejected: true, reason: 'is not a number' };
+      }
+      if (rule.values && !rule.values.includes(number)) {
+        return { rejected: true, reason: `is not one of ${rule.values.join(', ')}` };
+      }
+      if (number < rule.min) {
+        return { value: rule.min, clamped: true, reason: `is below the minimum of ${rule.min}${rule.unit}` };
+      }
+      if (number > rule.max) {
+        return { value: rule.max, clamped: true, reason: `is above the maximum of ${rule.max}${rule.unit}` };
+      }
+      return { value: number };
+    }
+    case 'enum': {
+      if (value === null && rule.nullable) return { value: null };
+      const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      const match = rule.values.find(option => option.toLowerCase() === normalized);
+      return match !== undefined
+        ? { value: match }
+        : { rejected: true, reason: `is not one of ${rule.values.join(', ')}` };
+    }
+    case 'boolean': {
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { rejected: true, reason: 'is not true or false' };
+    }
+    case 'color': {
+      return typeof value === 'string' && HEX_COLOR.test(value)
+        ? { value: value.toLowerCase() }
+        : { rejected: true, reason: 'is not a #rrggbb colour' };
+    }
+    case 'sides': {
+      // { front|left|right: { material, glassType } } - each side is optional
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { rejected: true, reason: 'is not a side enclosure map' };
+      }
+      const sides = {};
+      for (const side of ENCLOSURE_SIDES) {
+        if (value[side] === undefined) continue;
+        const material = validateField({ type: 'enum', values: ENCLOSURE_MATERIALS }, value[side]?.material);
+        const glassType = validateField({ type: 'enum', values: GLASS_TYPES }, value[side]?.glassType);
+        if (material.rejected || glassType.rejected) {
+          return { rejected: true, reason: `has an invalid ${side} side` };
+        }
+        sides[side] = { material: material.value, glassType: glassType.value };
+      }
+      return { value: sides };
+    }
+    case 'ral': {
+      if (value === null && rule.nullable) return { value: null };
+      const color = findRalColor(value);
+      return color ? { value: color.code } : { rejected: true, reason: 'is not a RAL colour we can coat in' };
+    }
+    case 'lightingScene':
+      return validateLightingScene(value);
+    default:
+      return { rejected: true, reason: 'is not supported' };
+  }
+};
+
+// Depth has to fit the product line and roof infill. `current` fills in the
+// fields a partial config leaves out (the configurator's current state).
+const checkDepthRange = (config, current, issues) => {
+  const productLine = config.productLine ?? current.productLine;
+  const roofType = config.roofType ?? current.roofType;
+  const depth = config.depth ?? current.depth;
+  const range = getDepthRange(productLine, roofType);
+
+  if (!range || typeof depth !== 'number') return;
+
+  const [min, max] = range;
+  const limit = depth > max ? max : depth < min ? min : null;
+  if (limit === null) return;
+
+  config.depth = limit;
+  issues.push({
+    field: 'depth',
+    label: CONFIG_SCHEMA.depth.label,
+    value: depth,
+    action: 'clamped',
+    applied: limit,
+    reason: `is outside the ${min}-${max}m range of ${PRODUCT_LINES[productLine].label} ${roofType} roofs`
+  });
+};
+
+// Validates a (partial) configuration against CONFIG_SCHEMA.
+// Out-of-range numbers are clamped, invalid values are dropped and unknown
+// fields are ignored. Every clamp or rejection is reported in `issues` as
+// { field, label, value, action: 'clamped' | 'rejected', applied?, reason }.
+export function validateConfig(input, current = {}) {
+  const config = {};
+  const issues = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { config, issues };
+  }
+
+  Object.entries(CONFIG_SCHEMA).forEach(([field, rule]) => {
+    if (input[field] === undefined) return;
+
+    const result = validateField(rule, input[field]);
+
+    if (result.rejected) {
+      issues.push({ field, label: rule.label, value: input[field], action: 'rejected', reason: result.reason });
+      return;
+    }
+
+    config[field] = result.value;
+
+    if (result.clamped) {
+      issues.push({ field, label: rule.label, value: input[field], action: 'clamped', applied: result.value, reason: result.reason });
+    }
+  });
+
+  checkDepthRange(config, current, issues);
+
+  return { config, issues };
+}
+
+// Customer-facing summary of a validation issue
+export function describeConfigIssue(issue) {
+  const rule = CONFIG_SCHEMA[issue.field] || {};
+  const unit = rule.unit || '';
+
+  if (issue.action === 'clamped') {
+    return `${issue.label} ${issue.value}${unit} ${issue.reason}, adjusted to ${issue.applied}${unit}`;
+  }
+  const shownValue = issue.value !== null && typeof issue.value === 'object' ? '' : ` "${issue.value}"`;
+  return `${issue.label}${shownValue} ${issue.reason}, kept your current choice`;
+}
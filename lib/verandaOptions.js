@@ -0,0 +1,202 @@
+// ============================================
+// VERANDA OPTION CATALOGUES
+// Shared by the configurator UI, the schema and the API routes
+// ============================================
+
+// House type smart defaults
+export const HOUSE_TYPE_DEFAULTS = {
+  tussenwoning: {
+    label: 'Tussenwoning',
+    description: 'Row house with neighbors on both sides',
+    icon: '🏘️',
+    width: 5.0,
+    depth: 4.5,
+    height: 3.0,
+    leftWallOption: 'rabat',      // Solid aluminum
+    rightWallOption: 'rabat',     // Solid aluminum
+    showLeftFence: true,
+    showRightFence: true,
+    metalMaterial: 'anthracite',
+    enclosureEnabled: true,
+    selectedSide: 'front',
+    glassType: 'triple'
+  },
+  hoekwoning: {
+    label: 'Hoekwoning',
+    description: 'Corner house with one neighbor',
+    icon: '🏡',
+    width: 5.5,
+    depth: 4.5,
+    height: 3.0,
+    leftWallOption: 'rabat',      // Solid on neighbor side
+    rightWallOption: 'glass',     // Glass on open side
+    showLeftFence: true,
+    showRightFence: false,
+    metalMaterial: 'anthracite',
+    enclosureEnabled: true,
+    selectedSide: 'front',
+    glassType: 'fourfold'
+  },
+  vrijstaand: {
+    label: 'Vrijstaand',
+    description: 'Detached house with open sides',
+    icon: '🏰',
+    width: 6.5,
+    depth: 5.0,
+    height: 3.0,
+    leftWallOption: 'glass',      // Glass both sides
+    rightWallOption: 'glass',
+    showLeftFence: false,
+    showRightFence: false,
+    metalMaterial: 'black',
+    enclosureEnabled: true,
+    selectedSide: 'front',
+    glassType: 'sixfold'
+  }
+};
+
+// Side wall option types
+export const SIDE_WALL_OPTIONS = {
+  open: { label: 'Open', price: 0, description: 'No enclosure' },
+  glass: { label: 'Glass Wall', price: 1, description: 'Full glass transparency' },
+  rabat: { label: 'Aluminum Rabat', price: 1.5, description: 'Privacy & maintenance-free' },
+  wood: { label: 'Wood Panel', price: 1.2, description: 'Natural warmth' },
+  window: { label: 'Window Wall', price: 1.3, description: 'Glass with frame' }
+};
+
+// ============================================
+// PRODUCT LINES
+// Depth ranges (m) follow the supplier price lists per roof infill
+// ============================================
+export const PRODUCT_LINES = {
+  castor: {
+    label: 'Castor',
+    description: 'Slim profiles for everyday verandas',
+    depthRange: { polycarbonate: [2, 6], glass: [2, 4] }
+  },
+  titan: {
+    label: 'Titan',
+    description: 'Heavy-duty profiles, larger spans',
+    depthRange: { polycarbonate: [2, 4.5], glass: [2, 4] }
+  }
+};
+
+export const ROOF_TYPES = ['polycarbonate', 'glass'];
+
+// ============================================
+// LOAD ZONES
+// Dutch wind areas (NEN-EN 1991-1-4 NB); windPressure is the peak
+// velocity pressure in kN/m² at veranda height in open terrain
+// ============================================
+export const LOAD_ZONES = {
+  I: { label: 'Coast', description: 'Wind area I: Wadden islands and the North Sea coast', windPressure: 1.02 },
+  II: { label: 'West & North', description: 'Wind area II: Randstad, Zeeland and the northern provinces', windPressure: 0.85 },
+  III: { label: 'Inland', description: 'Wind area III: Utrecht, Gelderland, Brabant, Limburg and the east', windPressure: 0.69 }
+};
+
+export const DEFAULT_LOAD_ZONE = 'II';
+
+export const getDepthRange = (productLine, roofType) =>
+  PRODUCT_LINES[productLine]?.depthRange[roofType] || null;
+
+// Polycarbonate roof sheets. `surcharge` names the per-m² rate in the price list,
+// `sunBlock` the share of direct sunlight the sheet keeps out (shade analysis).
+export const ROOF_SHEETS = {
+  clear: { label: 'Clear', description: 'Maximum daylight', surcharge: null, sunBlock: 0.15 },
+  opal: { label: 'Opal', description: 'Diffused light, less glare', surcharge: null, sunBlock: 0.55 },
+  iqrelax: { label: 'IQ Relax', description: 'Heat-reflecting, cooler in summer', surcharge: 'iqRelaxPoly', sunBlock: 0.75 },
+  smokygrey: { label: 'Smoky Grey', description: 'Tinted, strong sun protection', surcharge: 'smokyGreyPoly', sunBlock: 0.7 }
+};
+
+// ============================================
+// GLASS TINT COLORS
+// sunBlock: share of direct sunlight the glass keeps out
+// ============================================
+export const GLASS_TINT_COLORS = {
+  clear: {
+    label: 'Clear',
+    color: '#ffffff',
+    opacity: 0.3,
+    sunBlock: 0.1,
+    description: 'No tint'
+  },
+  lightgrey: {
+    label: 'Light Grey',
+    color: '#b0b0b0',
+    opacity: 0.4,
+    sunBlock: 0.35,
+    description: 'Subtle grey tint'
+  },
+  smokegrey: {
+    label: 'Smoke Grey',
+    color: '#707070',
+    opacity: 0.5,
+    sunBlock: 0.6,
+    description: 'Dark smoke effect'
+  },
+  bronze: {
+    label: 'Bronze',
+    color: '#cd7f32',
+    opacity: 0.45,
+    sunBlock: 0.5,
+    description: 'Warm bronze tone'
+  },
+  green: {
+    label: 'Green',
+    color: '#90c090',
+    opacity: 0.4,
+    sunBlock: 0.35,
+    description: 'Subtle green tint'
+  },
+  blue: {
+    label: 'Blue',
+    color: '#a0c0e0',
+    opacity: 0.4,
+    sunBlock: 0.35,
+    description: 'Light blue tint'
+  }
+};
+
+// Standard frame colours, in the kit price. 'ral' is any other colour from
+// the RAL catalogue (lib/ralColors), picked in frameRal.
+export const FRAME_COLOR_OPTIONS = {
+  anthracite: { label: 'Anthracite', color: '#28282d', ral: '7016' },
+  black: { label: 'Black', color: '#000000', ral: '9005' },
+  grey: { label: 'Grey', color: '#808080', ral: '9007' },
+  white: { label: 'White', color: '#f5f5f5', ral: '9016' }
+};
+
+export const FRAME_COLORS = [...Object.keys(FRAME_COLOR_OPTIONS), 'ral'];
+
+// Powder coating finishes and how they render on the frame
+export const FRAME_FINISHES = {
+  matte: { label: 'Matte', metalness: 0.3, roughness: 0.75 },
+  structured: { label: 'Structured', metalness: 0.4, roughness: 0.95 },
+  gloss: { label: 'Gloss', metalness: 0.8, roughness: 0.2 }
+};
+
+export const GLASS_TYPES = ['double', 'triple', 'fourfold', 'fivefold', 'sixfold'];
+
+// One sliding panel (and rail track) per pane of the front glass wall
+export const GLASS_TYPE_PANELS = {
+  double: 2,
+  triple: 3,
+  fourfold: 4,
+  fivefold: 5,
+  sixfold: 6
+};
+
+// LED spot sets sold as a kit (see TitanPricing.ledLighting.sets)
+export const LED_SET_SIZES = [6, 8, 10, 12, 14, 16, 18];
+
+export const GLASS_STYLES = ['withframe', 'onlyglass', 'grid'];
+
+export const ENCLOSURE_SIDES = ['front', 'left', 'right'];
+
+export const ENCLOSURE_MATERIALS = ['glass', 'metal', 'wood', 'window'];
+
+export const LIGHT_SHAPES = ['circle', 'rectangle', 'square'];
+
+export const AWNING_POSITIONS = ['none', 'top'];
+
+export const VERANDA_TYPES = ['wall-mounted', 'freestanding'];
@@ -0,0 +1,65 @@
+import {
+  MAX_USER_TEXT_LENGTH,
+  buildPrompt,
+  parseConfigReply,
+  resolveModelBackend
+} from '@/lib/gemini';
+import { getDefaultConfig } from '@/lib/verandaConfig';
+
+// POST /api/ai-configure
+// Body: { text: string, history?: [{ role, content }] }
+// Keeps the Gemini key on the server and returns a config validated against
+// CONFIG_SCHEMA, plus the fields that had to be clamped or rejected.
+export function createAiConfigureHandler(getBackend = resolveModelBackend) {
+  return async function handler(req, res) {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    const { text, history = [] } = req.body || {};
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ success: false, error: 'Missing request text' });
+    }
+
+    const userText = text.trim().slice(0, MAX_USER_TEXT_LENGTH);
+    const conversationHistory = Array.isArray(history) ? history : [];
+
+    // A backend that can't even be set up is our fault, not the model's
+    let backend;
+    try {
+      backend = getBackend();
+    } catch (error) {
+      console.error('❌ AI backend setup error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'AI backend is not available',
+        fallbackConfig: getDefaultConfig()
+      });
+    }
+
+    try {
+      console.log(`🔄 Calling AI backend (${backend.name})...`);
+
+      const rawResponse = await backend.generate(buildPrompt(userText, conversationHistory));
+      const { config, issues } = parseConfigReply(rawResponse);
+
+      return res.status(200).json({
+        success: true,
+        config,
+        issues,
+        rawResponse
+      });
+    } catch (error) {
+      console.error('❌ AI configure error:', error);
+      return res.status(502).json({
+        success: false,
+        error: error.message,
+        fallbackConfig: getDefaultConfig()
+      });
+    }
+  };
+}
+
+export default createAiConfigureHandler();
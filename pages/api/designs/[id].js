@@ -0,0 +1,58 @@
+import { getDesignStore, readOwnerId, sanitizeDesignInput } from '@/lib/designStore';
+
+// GET    /api/designs/:id -> one design
+// PUT    /api/designs/:id -> partial update { name?, config?, pricing?, thumbnail? }
+// DELETE /api/designs/:id
+const DESIGN_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function createDesignHandler(getStore = getDesignStore) {
+  return async function handler(req, res) {
+    if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+      res.setHeader('Allow', 'GET, PUT, DELETE');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const ownerId = readOwnerId(req);
+    if (!ownerId) {
+      return res.status(400).json({ error: 'Missing or invalid x-designer-id header' });
+    }
+
+    const { id } = req.query;
+    if (typeof id !== 'string' || !DESIGN_ID_PATTERN.test(id)) {
+      return res.status(404).json({ error: 'Design not found' });
+    }
+
+    const store = getStore();
+
+    try {
+      if (req.method === 'GET') {
+        const design = await store.get(ownerId, id);
+        return design
+          ? res.status(200).json({ design })
+          : res.status(404).json({ error: 'Design not found' });
+      }
+
+      if (req.method === 'PUT') {
+        const { design, error } = sanitizeDesignInput(req.body, { partial: true });
+        if (error) {
+          return res.status(400).json({ error });
+        }
+
+        const updated = await store.update(ownerId, id, design);
+        return updated
+          ? res.status(200).json({ design: updated })
+          : res.status(404).json({ error: 'Design not found' });
+      }
+
+      const removed = await store.remove(ownerId, id);
+      return removed
+        ? res.status(204).end()
+        : res.status(404).json({ error: 'Design not found' });
+    } catch (error) {
+      console.error('❌ Design API error:', error);
+      return res.status(500).json({ error: 'Could not access saved design' });
+    }
+  };
+}
+
+export default createDesignHandler();
@@ -0,0 +1,39 @@
+import { getDesignStore, readOwnerId, sanitizeDesignInput } from '@/lib/designStore';
+
+// GET  /api/designs  -> designs of the x-designer-id owner, newest first
+// POST /api/designs  -> { name, config, pricing?, thumbnail? } creates a design
+export function createDesignsHandler(getStore = getDesignStore) {
+  return async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const ownerId = readOwnerId(req);
+    if (!ownerId) {
+      return res.status(400).json({ error: 'Missing or invalid x-designer-id header' });
+    }
+
+    const store = getStore();
+
+    try {
+      if (req.method === 'GET') {
+        const designs = await store.list(ownerId);
+        return res.status(200).json({ designs });
+      }
+
+      const { design, error } = sanitizeDesignInput(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const created = await store.create(ownerId, design);
+      return res.status(201).json({ design: created });
+    } catch (error) {
+      console.error('❌ Designs API error:', error);
+      return res.status(500).json({ error: 'Could not access saved designs' });
+    }
+  };
+}
+
+export default createDesignsHandler();
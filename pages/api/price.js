@@ -0,0 +1,41 @@
+import { resolveDealer } from '@/lib/dealerRates';
+import { priceConfiguration } from '@/lib/priceCalculator';
+
+// POST /api/price
+// Body: { config, dealer?, postcode? }
+// Returns the authoritative price breakdown for a configuration, computed
+// with the same PriceCalculator as the configurator, plus the config fields
+// that had to be clamped or rejected and the structural check. A design that
+// can't be built is still priced, with structure.valid false.
+export function createPriceHandler(price = priceConfiguration) {
+  return async function handler(req, res) {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { config: input, dealer, postcode = null } = req.body || {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return res.status(400).json({ error: 'Configuration is missing or invalid', field: 'config' });
+    }
+
+    try {
+      const { config, issues, pricing, structure } = price(input, {
+        dealer: resolveDealer({ query: dealer }),
+        postcode: typeof postcode === 'string' ? postcode : null
+      });
+
+      if (Object.keys(config).length === 0) {
+        return res.status(400).json({ error: 'Configuration is missing or invalid', field: 'config' });
+      }
+
+      return res.status(200).json({ pricing, issues, structure });
+    } catch (error) {
+      console.error('❌ Price API error:', error);
+      return res.status(500).json({ error: 'Could not price this configuration' });
+    }
+  };
+}
+
+export default createPriceHandler();
@@ -0,0 +1,58 @@
+import { resolveDealer } from '@/lib/dealerRates';
+import { checkSubmittedPrice, priceConfiguration } from '@/lib/priceCalculator';
+import { getQuoteStore, sanitizeQuoteInput } from '@/lib/quoteStore';
+
+// POST /api/quotes
+// Body: { customer: { name, email, postcode, installAddress, notes? }, config, pricing }
+// Prices the configuration again on the server, stores the request with that
+// price and returns the quote number the customer can refer to. A price that
+// differs from the one the browser sent is flagged on the quote; a design
+// that can't be built is rejected with field 'structure'.
+export function createQuotesHandler(getStore = getQuoteStore, price = priceConfiguration) {
+  return async function handler(req, res) {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { quote, error, field } = sanitizeQuoteInput(req.body);
+    if (error) {
+      return res.status(400).json({ error, field });
+    }
+
+    try {
+      const { customer, config, submittedPricing } = quote;
+      const { pricing, structure } = price(config, {
+        dealer: resolveDealer({ query: submittedPricing.dealer }),
+        postcode: customer.postcode
+      });
+
+      if (!structure.valid) {
+        const errors = structure.issues.filter(issue => issue.level === 'error');
+        return res.status(400).json({ error: errors[0].message, field: 'structure', issues: errors });
+      }
+
+      const priceCheck = checkSubmittedPrice(submittedPricing, pricing);
+
+      const created = await getStore().create({ customer, config, pricing, priceCheck });
+      console.log(`✅ Quote request ${created.quoteNumber} stored`);
+      if (!priceCheck.matches) {
+        console.warn(`⚠️ Quote ${created.quoteNumber}: browser price ${priceCheck.submittedTotal} differs from ${priceCheck.total} (${pricing.priceList.version})`);
+      }
+
+      return res.status(201).json({
+        quote: {
+          quoteNumber: created.quoteNumber,
+          status: created.status,
+          createdAt: created.createdAt
+        },
+        message: `Thanks ${created.customer.name}! We received your quote request ${created.quoteNumber} and will email ${created.customer.email} within 2 working days.`
+      });
+    } catch (error) {
+      console.error('❌ Quotes API error:', error);
+      return res.status(500).json({ error: 'Could not submit your quote request' });
+    }
+  };
+}
+
+export default createQuotesHandler();
@@ -1,5 +1,9 @@
 import dynamic from 'next/dynamic';
 import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { useMemo } from 'react';
+import { resolveDealer } from '@/lib/dealerRates';
+import { SHARE_PARAM, decodeShareConfig } from '@/lib/shareLink';
 
 // Dynamic import to avoid SSR issues with Three.js
 const VerandaConfigurator = dynamic(
@@ -8,6 +12,22 @@ const VerandaConfigurator = dynamic(
 );
 
 export default function Home() {
+  const router = useRouter();
+  const sharedConfig = router.query[SHARE_PARAM];
+
+  // Hydrate the configurator from a shared ?c= link
+  const initialConfig = useMemo(
+    () => (typeof sharedConfig === 'string' ? decodeShareConfig(sharedConfig) : null),
+    [sharedConfig]
+  );
+
+  // Dealer price list and margin from ?dealer= or the subdomain
+  const dealerParam = router.query.dealer;
+  const dealer = useMemo(
+    () => resolveDealer({ query: dealerParam, host: typeof window !== 'undefined' ? window.location.host : '' }),
+    [dealerParam]
+  );
+
   return (
     <>
       <Head>
@@ -18,7 +38,8 @@ export default function Home() {
       </Head>
       
       <main style={{ width: '100vw', height: '100vh', overflow: 'hidden' }}>
-        <VerandaConfigurator />
+        {/* Wait for the query string so the shared design is there on first render */}
+        {router.isReady && <VerandaConfigurator initialConfig={initialConfig} dealer={dealer} />}
       </main>
     </>
   );
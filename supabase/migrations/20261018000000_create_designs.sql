@@ -0,0 +1,17 @@
+-- Saved configurator designs, see lib/designStore.js
+create table if not exists public.designs (
+  id uuid primary key default gen_random_uuid(),
+  owner_id text not null,
+  name text not null,
+  config jsonb not null,
+  pricing jsonb,
+  thumbnail text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists designs_owner_id_updated_at_idx
+  on public.designs (owner_id, updated_at desc);
+
+-- Only the API routes (service role) read and write designs
+alter table public.designs enable row level security;
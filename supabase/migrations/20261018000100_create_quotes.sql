@@ -0,0 +1,20 @@
+-- Quote requests from the configurator, see lib/quoteStore.js
+create table if not exists public.quotes (
+  id uuid primary key default gen_random_uuid(),
+  quote_number text not null unique,
+  status text not null default 'new',
+  customer_name text not null,
+  customer_email text not null,
+  postcode text not null,
+  install_address text not null,
+  notes text,
+  config jsonb not null,
+  pricing jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists quotes_created_at_idx
+  on public.quotes (created_at desc);
+
+-- Only the API routes (service role) read and write quotes
+alter table public.quotes enable row level security;
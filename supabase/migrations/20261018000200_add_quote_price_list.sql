@@ -0,0 +1,8 @@
+-- Dealer and supplier price list a quote was priced with, see lib/priceLists
+alter table public.quotes
+  add column if not exists dealer text,
+  add column if not exists price_list text,
+  add column if not exists price_list_version text;
+
+create index if not exists quotes_price_list_idx
+  on public.quotes (price_list, price_list_version);
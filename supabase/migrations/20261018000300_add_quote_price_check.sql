@@ -0,0 +1,9 @@
+-- Server-side price check of quote requests, see lib/priceCalculator.js
+alter table public.quotes
+  add column if not exists price_check jsonb,
+  add column if not exists price_mismatch boolean not null default false;
+
+-- Quotes whose browser price differed from ours, for review
+create index if not exists quotes_price_mismatch_idx
+  on public.quotes (created_at desc)
+  where price_mismatch;